@@ -10,6 +10,7 @@
     let templateSummary = null;
     let workbookData = null;  // Result from XLSXReader.read or readCSV
     let columnMapping = null; // Map: templateColIndex -> dataColIndex
+    let fieldValues = {};     // Map: field name or cell ref -> header/footer value
 
     // ===== DOM References =====
     const $ = id => document.getElementById(id);
@@ -38,6 +39,12 @@
     const sheetSelect = $('sheetSelect');
     const columnMappingCard = $('columnMappingCard');
     const mappingGrid = $('mappingGrid');
+    const multiSheetCard = $('multiSheetCard');
+    const multiSheetMode = $('multiSheetMode');
+    const sheetMappingGrid = $('sheetMappingGrid');
+    const fieldValuesCard = $('fieldValuesCard');
+    const fieldValuesGrid = $('fieldValuesGrid');
+    const fieldValuesFileInput = $('fieldValuesFileInput');
     const builtinTemplateCard = $('builtinTemplateCard');
     const titleCard = $('titleCard');
     const optionsCard = $('optionsCard');
@@ -50,6 +57,9 @@
     const loadingOverlay = $('loadingOverlay');
     const loadingText = $('loadingText');
 
+    // Renderer's margins when the template has no <pageMargins> (mm)
+    const DEFAULT_PDF_MARGINS = { top: 8, right: 6, bottom: 8, left: 6 };
+
     // ===== Utility =====
     function formatSize(bytes) {
         if (bytes < 1024) return bytes + ' B';
@@ -108,6 +118,11 @@
             }
         });
         btnRemoveTemplate.addEventListener('click', removeTemplate);
+        $('templateSheetSelect').addEventListener('change', handleTemplateSheetChange);
+        $('templateBandingSelect').addEventListener('change', () => {
+            TemplateEngine.setBandingMode(templateData, $('templateBandingSelect').value);
+            templateSummary = TemplateEngine.getTemplateSummary(templateData);
+        });
     }
 
     async function handleTemplateFile(file) {
@@ -128,48 +143,23 @@
             templateFileName.textContent = file.name;
             templateFileMeta.textContent = `${formatSize(file.size)} • ${templateSummary.sheetCount} sheet`;
 
-            // Show details grid
-            templateDetailsGrid.innerHTML = `
-                <div class="detail-item">
-                    <span class="detail-label">Cột</span>
-                    <span class="detail-value">${templateSummary.maxColumns}</span>
-                </div>
-                <div class="detail-item">
-                    <span class="detail-label">Dòng header</span>
-                    <span class="detail-value">${templateSummary.headerRowCount}</span>
-                </div>
-                <div class="detail-item">
-                    <span class="detail-label">Dòng dữ liệu</span>
-                    <span class="detail-value">${templateSummary.dataRowCount}</span>
-                </div>
-                <div class="detail-item">
-                    <span class="detail-label">Dòng footer</span>
-                    <span class="detail-value">${templateSummary.footerRowCount}</span>
-                </div>
-                <div class="detail-item">
-                    <span class="detail-label">Merge cells</span>
-                    <span class="detail-value">${templateSummary.mergeCount}</span>
-                </div>
-                <div class="detail-item">
-                    <span class="detail-label">Sheets</span>
-                    <span class="detail-value">${templateSummary.sheetNames.join(', ')}</span>
-                </div>
-            `;
-
-            // Show column headers from template
-            const headers = templateSummary.columnHeaders.filter(h => h.trim().length > 0);
-            templateColumns.innerHTML = `
-                <div class="template-col-label">Cột phát hiện trong mẫu:</div>
-                <div class="template-col-tags">
-                    ${headers.map(h => `<span class="col-tag">${h}</span>`).join('')}
-                </div>
-            `;
+            renderTemplateDetails();
+            renderTemplateSheetPicker();
 
             // Enable Step 2
             enableStep(stepUpload);
 
             // Update UI: show column mapping, hide built-in templates
             columnMappingCard.style.display = 'block';
+            fieldValuesCard.style.display = 'block';
+            renderFieldValues();
+            if (workbookData) {
+                buildColumnMapping();
+                TemplateEngine.autoMapSheets(templateData, workbookData.sheetNames);
+                renderSheetMapping();
+                renderBatchOptions();
+                renderGroupingOptions();
+            }
             builtinTemplateCard.style.display = 'none';
             // Hide title/options that don't apply to template mode
             titleCard.style.display = 'none';
@@ -184,16 +174,147 @@
         }
     }
 
+    function renderTemplateDetails() {
+        // Show details grid
+        templateDetailsGrid.innerHTML = `
+            <div class="detail-item">
+                <span class="detail-label">Cột</span>
+                <span class="detail-value">${templateSummary.maxColumns}</span>
+            </div>
+            <div class="detail-item">
+                <span class="detail-label">Dòng header</span>
+                <span class="detail-value">${templateSummary.headerRowCount}</span>
+            </div>
+            <div class="detail-item">
+                <span class="detail-label">Dòng dữ liệu</span>
+                <span class="detail-value">${templateSummary.dataRowCount}</span>
+            </div>
+            <div class="detail-item">
+                <span class="detail-label">Dòng footer</span>
+                <span class="detail-value">${templateSummary.footerRowCount}</span>
+            </div>
+            <div class="detail-item">
+                <span class="detail-label">Merge cells</span>
+                <span class="detail-value">${templateSummary.mergeCount}</span>
+            </div>
+            <div class="detail-item">
+                <span class="detail-label">Sheets</span>
+                <span class="detail-value">${templateSummary.sheetNames.join(', ')}</span>
+            </div>
+        `;
+
+        // Banding: show what detection found next to the "auto" choice
+        const { banding, bandingMode } = templateSummary;
+        const bandingSelect = $('templateBandingSelect');
+        bandingSelect.value = bandingMode;
+        bandingSelect.options[0].textContent = banding && banding.banded
+            ? `Tự động (phát hiện xen kẽ ${banding.cycle} kiểu dòng)`
+            : 'Tự động (không phát hiện xen kẽ)';
+
+        applyTemplatePrintSettings();
+
+        // Show column headers from template
+        const headers = templateSummary.columnHeaders.filter(h => h.trim().length > 0);
+        templateColumns.innerHTML = `
+            <div class="template-col-label">Cột phát hiện trong mẫu:</div>
+            <div class="template-col-tags">
+                ${headers.map(h => `<span class="col-tag">${h}</span>`).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Prefill the PDF page controls from the template's page setup — they stay editable,
+     * so whatever the user changes afterwards overrides the template
+     */
+    function applyTemplatePrintSettings() {
+        const print = TemplateEngine.getPrintSettings(templateData);
+        const pageSizeSelect = $('pageSize');
+        if (print.pageSize && Array.from(pageSizeSelect.options).some(o => o.value === print.pageSize)) {
+            pageSizeSelect.value = print.pageSize;
+        }
+        if (print.landscape !== null) $('landscape').checked = print.landscape;
+
+        const margins = print.margins || {};
+        for (const [side, fallback] of Object.entries(DEFAULT_PDF_MARGINS)) {
+            $(marginInputId(side)).value = margins[side] ?? fallback;
+        }
+        $('pdfFit').value = 'template';
+        $('pdfTemplatePrint').style.display = '';
+    }
+
+    function getPdfMargins() {
+        const margins = {};
+        for (const side of Object.keys(DEFAULT_PDF_MARGINS)) {
+            margins[side] = parseFloat($(marginInputId(side)).value);
+        }
+        return margins;
+    }
+
+    /** Page break rules for template PDFs (SVGPDFRenderer pagination option) */
+    function getPdfPagination() {
+        const keepFooter = $('pdfKeepFooter').value;
+        return {
+            groupPageBreaks: $('pdfGroupPageBreak').checked,
+            avoidOrphans: $('pdfAvoidOrphans').checked,
+            keepFooterRows: keepFooter === '' ? null : parseInt(keepFooter, 10),
+        };
+    }
+
+    function marginInputId(side) {
+        return 'margin' + side[0].toUpperCase() + side.slice(1);
+    }
+
+    function renderTemplateSheetPicker() {
+        const picker = $('templateSheetPicker');
+        const select = $('templateSheetSelect');
+        if (templateSummary.sheetCount < 2) {
+            picker.style.display = 'none';
+            return;
+        }
+        picker.style.display = 'block';
+        select.innerHTML = templateSummary.sheetNames.map((name, idx) =>
+            `<option value="${idx}" ${idx === templateData.sheetIndex ? 'selected' : ''}>${escapeHtml(name)}</option>`
+        ).join('');
+    }
+
+    async function handleTemplateSheetChange() {
+        const sheetIndex = parseInt($('templateSheetSelect').value);
+        showLoading('Đang phân tích sheet mẫu...');
+        try {
+            await TemplateEngine.selectSheet(templateData, sheetIndex);
+            templateSummary = TemplateEngine.getTemplateSummary(templateData);
+            renderTemplateDetails();
+            renderFieldValues();
+            if (workbookData) buildColumnMapping();
+        } catch (err) {
+            console.error('Template sheet error:', err);
+            showToast('Lỗi phân tích sheet mẫu: ' + err.message, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
     function removeTemplate() {
         templateData = null;
         templateSummary = null;
         columnMapping = null;
+        fieldValues = {};
         templateDropZone.style.display = '';
         templateInfoCard.style.display = 'none';
         templateFileInput.value = '';
 
         // Hide column mapping, show built-in templates
         columnMappingCard.style.display = 'none';
+        fieldValuesCard.style.display = 'none';
+        multiSheetCard.style.display = 'none';
+        $('templateSheetPicker').style.display = 'none';
+        $('batchCard').style.display = 'none';
+        $('groupingCard').style.display = 'none';
+        $('pdfTemplatePrint').style.display = 'none';
+        $('batchMode').checked = false;
+        $('batchOptions').style.display = 'none';
+        $('btnExportBatch').style.display = 'none';
         builtinTemplateCard.style.display = '';
         titleCard.style.display = '';
         optionsCard.style.display = '';
@@ -274,7 +395,11 @@
             // Build column mapping if template is loaded
             if (templateData) {
                 buildColumnMapping();
+                TemplateEngine.autoMapSheets(templateData, workbookData.sheetNames);
+                renderSheetMapping();
             }
+            renderBatchOptions();
+            renderGroupingOptions();
 
             // Render preview
             renderPreview();
@@ -303,36 +428,34 @@
     }
 
     // ===== Column Mapping =====
-    function buildColumnMapping() {
-        if (!templateData || !workbookData) return;
+    /**
+     * Auto-map template columns to data columns by name similarity
+     * @returns {{mapping: Object, rows: Array}} mapping (tplIdx -> dataIdx) and the mappable columns for the UI
+     */
+    function autoMapColumns(summary, dataHeaders) {
+        const mapping = {};
+        const rows = [];
 
         // Use ALL template columns (including empty headers) to preserve column positions
-        const allTplHeaders = templateSummary.columnHeaders;
-        const selectedSheet = sheetSelect.value || workbookData.sheetNames[0];
-        const dataSheet = workbookData.sheets[selectedSheet];
-        if (!dataSheet) return;
-
-        const dataHeaders = dataSheet.headers;
-
-        // Auto-map by name similarity
-        columnMapping = {};
-        const mappingRows = [];
-
-        allTplHeaders.forEach((tplHeader, tplIdx) => {
+        summary.columnHeaders.forEach((tplHeader, tplIdx) => {
             const headerText = String(tplHeader).trim();
+            const field = summary.columnFields[tplIdx];
 
-            if (headerText.length === 0) {
+            // Placeholder templates: only {{field}}-bound columns receive data
+            if (headerText.length === 0 || (summary.hasPlaceholders && !field)) {
                 // Empty template header — no mapping available
-                columnMapping[tplIdx] = -1;
+                mapping[tplIdx] = -1;
                 return; // Skip UI row for empty headers
             }
 
-            // Try to find a matching data column
+            // Try to find a matching data column — an exact {{field}} name match wins outright
             let bestMatch = -1;
             let bestScore = 0;
 
             dataHeaders.forEach((dh, di) => {
-                const score = stringSimilarity(headerText.toLowerCase(), String(dh).toLowerCase());
+                const score = field && String(dh).trim().toLowerCase() === field.toLowerCase()
+                    ? 1.1
+                    : stringSimilarity((field || headerText).toLowerCase(), String(dh).toLowerCase());
                 if (score > bestScore) {
                     bestScore = score;
                     bestMatch = di;
@@ -341,16 +464,35 @@
 
             // Use match if score > 0.3
             const matchIdx = bestScore > 0.3 ? bestMatch : -1;
-            columnMapping[tplIdx] = matchIdx;
+            mapping[tplIdx] = matchIdx;
+            rows.push({ tplIdx, headerText, field, matchIdx });
+        });
+
+        return { mapping, rows };
+    }
 
+    function buildColumnMapping() {
+        if (!templateData || !workbookData) return;
+
+        const selectedSheet = sheetSelect.value || workbookData.sheetNames[0];
+        const dataSheet = workbookData.sheets[selectedSheet];
+        if (!dataSheet) return;
+
+        const dataHeaders = dataSheet.headers;
+
+        // Auto-map by name similarity
+        const auto = autoMapColumns(templateSummary, dataHeaders);
+        columnMapping = auto.mapping;
+
+        const mappingRows = auto.rows.map(({ tplIdx, headerText, field, matchIdx }) => {
             const options = dataHeaders.map((dh, di) =>
                 `<option value="${di}" ${di === matchIdx ? 'selected' : ''}>${dh}</option>`
             ).join('');
 
-            mappingRows.push(`
+            return `
                 <div class="mapping-row">
                     <div class="mapping-template-col">
-                        <span class="col-tag">${headerText}</span>
+                        <span class="col-tag">${field ? `{{${field}}}` : headerText}</span>
                     </div>
                     <div class="mapping-arrow">→</div>
                     <div class="mapping-data-col">
@@ -360,7 +502,7 @@
                         </select>
                     </div>
                 </div>
-            `);
+            `;
         });
 
         mappingGrid.innerHTML = mappingRows.join('');
@@ -374,6 +516,157 @@
         });
     }
 
+    // ===== Multi-sheet Mapping =====
+    function setupMultiSheet() {
+        multiSheetMode.addEventListener('change', () => {
+            sheetMappingGrid.style.display = multiSheetMode.checked ? 'flex' : 'none';
+        });
+    }
+
+    function renderSheetMapping() {
+        if (!templateData || !workbookData || templateData.sheets.length < 2) {
+            multiSheetCard.style.display = 'none';
+            return;
+        }
+        multiSheetCard.style.display = 'block';
+
+        sheetMappingGrid.innerHTML = templateData.sheetNames.map((tplName, idx) => {
+            const current = templateData.sheetMapping[idx];
+            const options = workbookData.sheetNames.map(name =>
+                `<option value="${escapeHtml(name)}" ${name === current ? 'selected' : ''}>${escapeHtml(name)}</option>`
+            ).join('');
+            return `
+                <div class="mapping-row">
+                    <div class="mapping-template-col">
+                        <span class="col-tag">${escapeHtml(tplName)}</span>
+                    </div>
+                    <div class="mapping-arrow">←</div>
+                    <div class="mapping-data-col">
+                        <select class="form-select mapping-select" data-sheet-idx="${idx}">
+                            <option value="">— Giữ nguyên —</option>
+                            ${options}
+                        </select>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        sheetMappingGrid.querySelectorAll('select[data-sheet-idx]').forEach(sel => {
+            sel.addEventListener('change', e => {
+                TemplateEngine.setSheetMapping(templateData, parseInt(e.target.dataset.sheetIdx), e.target.value || null);
+            });
+        });
+    }
+
+    /**
+     * One generation job per mapped template sheet. The layout sheet paired with the
+     * selected data sheet keeps the user's column mapping; the others are auto-mapped.
+     */
+    async function buildSheetJobs(selectedSheet) {
+        const jobs = [];
+        for (const [idx, dataSheetName] of Object.entries(templateData.sheetMapping)) {
+            const sheetIndex = parseInt(idx);
+            const dataSheet = workbookData.sheets[dataSheetName];
+            if (!dataSheet) continue;
+
+            const analysis = await TemplateEngine.getSheetAnalysis(templateData, sheetIndex);
+            const summary = TemplateEngine.getTemplateSummary(templateData, analysis);
+            const isLayoutSheet = sheetIndex === templateData.sheetIndex && dataSheetName === selectedSheet;
+            const mapping = isLayoutSheet ? columnMapping : autoMapColumns(summary, dataSheet.headers).mapping;
+
+            // Plain cell-ref keys ("F3") address the layout sheet only; "Sheet!F3" keys pick their sheet
+            const sheetFieldValues = sheetIndex === templateData.sheetIndex
+                ? fieldValues
+                : Object.fromEntries(Object.entries(fieldValues).filter(([key]) => !/^[A-Z]+\d+$/.test(key)));
+            jobs.push({
+                sheetIndex,
+                // Grouping options are built from the selected data sheet's columns — other sheets stay flat
+                rows: mapDataToTemplate(dataSheet, mapping, summary, isLayoutSheet),
+                fieldValues: sheetFieldValues,
+            });
+        }
+        return jobs;
+    }
+
+    // ===== Header/Footer Field Values =====
+    function setupFieldValues() {
+        $('btnLoadFieldValues').addEventListener('click', () => fieldValuesFileInput.click());
+        fieldValuesFileInput.addEventListener('change', () => {
+            if (fieldValuesFileInput.files.length > 0) {
+                handleFieldValuesFile(fieldValuesFileInput.files[0]);
+            }
+        });
+    }
+
+    /**
+     * Load a sidecar key-value source: JSON object, or the first two columns of a sheet/CSV
+     */
+    async function handleFieldValuesFile(file) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        if (!['json', 'xlsx', 'csv'].includes(ext)) {
+            showToast('Chỉ hỗ trợ file .json, .xlsx và .csv', 'error');
+            return;
+        }
+
+        showLoading('Đang đọc giá trị...');
+        try {
+            let loaded = {};
+            if (ext === 'json') {
+                loaded = TemplateEngine.flattenFieldValues(JSON.parse(await file.text()));
+            } else {
+                const wb = ext === 'csv'
+                    ? XLSXReader.readCSV(await file.text())
+                    : await XLSXReader.read(await file.arrayBuffer());
+                const sheet = wb.sheets[wb.sheetNames[0]];
+                for (const row of [sheet.headers, ...sheet.rows]) {
+                    const key = String(row[0] ?? '').trim();
+                    if (key.length > 0) loaded[key] = row[1] ?? '';
+                }
+            }
+            fieldValues = { ...fieldValues, ...loaded };
+            renderFieldValues();
+            showToast(`Đã nạp ${Object.keys(loaded).length} giá trị`, 'success');
+        } catch (err) {
+            console.error('Field values read error:', err);
+            showToast('Lỗi đọc file giá trị: ' + err.message, 'error');
+        } finally {
+            fieldValuesFileInput.value = '';
+            hideLoading();
+        }
+    }
+
+    function renderFieldValues() {
+        if (!templateSummary) return;
+
+        // Template {{fields}} first, then any extra keys from the sidecar file
+        const names = [...templateSummary.fieldNames];
+        Object.keys(fieldValues).forEach(k => { if (!names.includes(k)) names.push(k); });
+
+        if (names.length === 0) {
+            fieldValuesGrid.innerHTML = '<p class="mapping-hint">Mẫu không có trường {{...}} nào.</p>';
+            return;
+        }
+
+        fieldValuesGrid.innerHTML = names.map(name => `
+            <div class="mapping-row">
+                <div class="mapping-template-col">
+                    <span class="col-tag">${escapeHtml(/^[A-Z]+\d+$/.test(name) ? name : `{{${name}}}`)}</span>
+                </div>
+                <div class="mapping-arrow">→</div>
+                <div class="mapping-data-col">
+                    <input type="text" class="form-input mapping-select" data-field="${escapeHtml(name)}"
+                        value="${escapeHtml(String(fieldValues[name] ?? ''))}">
+                </div>
+            </div>
+        `).join('');
+
+        fieldValuesGrid.querySelectorAll('input[data-field]').forEach(input => {
+            input.addEventListener('input', e => {
+                fieldValues[e.target.dataset.field] = e.target.value;
+            });
+        });
+    }
+
     // Cross-language synonym groups for auto-mapping
     // Each group contains terms that refer to the same concept across languages
     const SYNONYM_GROUPS = [
@@ -431,13 +724,21 @@
         headerHtml += '</tr>';
         head.innerHTML = headerHtml;
 
-        // Body rows (max 100 for preview)
+        // Body rows (max 100 for preview), numbers shown through their Excel format
         const maxRows = Math.min(sheet.rows.length, 100);
+        const formats = sheet.formats || [];
+        const formatOptions = { date1904: !!workbookData.date1904 };
         let bodyHtml = '';
         for (let i = 0; i < maxRows; i++) {
             bodyHtml += '<tr>';
-            sheet.rows[i].forEach(cell => {
-                bodyHtml += `<td>${escapeHtml(String(cell))}</td>`;
+            sheet.rows[i].forEach((cell, c) => {
+                const code = formats[i] && formats[i][c];
+                if (code && cell !== '' && !isNaN(cell)) {
+                    const { text, color } = NumberFormat.formatWithColor(Number(cell), code, formatOptions);
+                    bodyHtml += `<td${color ? ` style="color:#${color}"` : ''}>${escapeHtml(text)}</td>`;
+                } else {
+                    bodyHtml += `<td>${escapeHtml(String(cell))}</td>`;
+                }
             });
             bodyHtml += '</tr>';
         }
@@ -448,7 +749,8 @@
     }
 
     function escapeHtml(str) {
-        return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     // ===== Export: Excel =====
@@ -463,12 +765,24 @@
         try {
             let blob;
 
-            if (templateData && columnMapping) {
+            if (templateData && multiSheetMode.checked && templateData.sheets.length > 1) {
+                // Multi-sheet template export — untouched sheets are kept as-is
+                const jobs = await buildSheetJobs(selectedSheet);
+                if (jobs.length === 0) throw new Error('Chưa ghép sheet dữ liệu nào với sheet mẫu');
+                blob = await TemplateEngine.generateFromTemplate(templateData, {
+                    sheets: jobs,
+                    fullCalcOnLoad: $('templateFullCalc').checked,
+                    repeatHeaderRows: $('repeatHeaderRows').checked,
+                });
+            } else if (templateData && columnMapping) {
                 // Template-based export
                 const mappedRows = mapDataToTemplate(sheet);
                 blob = await TemplateEngine.generateFromTemplate(templateData, {
                     rows: mappedRows,
                     sheetName: selectedSheet,
+                    fieldValues: fieldValues,
+                    fullCalcOnLoad: $('templateFullCalc').checked,
+                    repeatHeaderRows: $('repeatHeaderRows').checked,
                 });
             } else {
                 // Built-in template export
@@ -480,6 +794,8 @@
                     includeSTT: $('includeSTT').checked,
                     includeDate: $('includeDate').checked,
                     autofitColumns: $('autofitColumns').checked,
+                    headerText: $('xlsxHeaderText').value,
+                    footerText: $('xlsxFooterText').value,
                 });
             }
 
@@ -494,6 +810,25 @@
         }
     }
 
+    // Category header keywords — such rows are stripped from the data (template has its own
+    // structure) or, with grouping by category rows, start a new group
+    const CATEGORY_KEYWORDS = [
+        'Reagent', 'Calibrator', 'Control', 'カテゴリ', 'Category',
+    ];
+
+    function isCategoryRow(row) {
+        // Category rows: first cell is NOT a number, and text matches category keywords
+        const firstVal = String(row[0] ?? '').trim();
+        if (firstVal.length > 0 && !isNaN(parseInt(firstVal))) return false; // Data row
+        for (const cell of row) {
+            const val = String(cell ?? '').trim();
+            for (const kw of CATEGORY_KEYWORDS) {
+                if (val.includes(kw)) return true;
+            }
+        }
+        return false;
+    }
+
     /**
      * Strip footer-like rows and trailing blanks from data.
      * The input data file often contains its own footer (小計/税金/合計/備考)
@@ -506,11 +841,6 @@
             'Tổng', 'Ghi chú', 'Note', 'Remarks',
         ];
 
-        // Category header keywords — strip these too (template has its own structure)
-        const CATEGORY_KEYWORDS = [
-            'Reagent', 'Calibrator', 'Control', 'カテゴリ', 'Category',
-        ];
-
         const isFooterRow = (row) => {
             // Check if any cell in the row matches a footer keyword
             for (const cell of row) {
@@ -523,19 +853,6 @@
             return false;
         };
 
-        const isCategoryRow = (row) => {
-            // Category rows: first cell is NOT a number, and text matches category keywords
-            const firstVal = String(row[0] ?? '').trim();
-            if (firstVal.length > 0 && !isNaN(parseInt(firstVal))) return false; // Data row
-            for (const cell of row) {
-                const val = String(cell ?? '').trim();
-                for (const kw of CATEGORY_KEYWORDS) {
-                    if (val.includes(kw)) return true;
-                }
-            }
-            return false;
-        };
-
         const isBlankRow = (row) => {
             return row.every(cell => String(cell ?? '').trim().length === 0);
         };
@@ -552,28 +869,38 @@
         return filtered;
     }
 
-    function mapDataToTemplate(sheet) {
-        if (!columnMapping || !templateSummary) return sheet.rows;
+    function mapDataToTemplate(sheet, mapping = columnMapping, summary = templateSummary, grouped = true) {
+        if (!mapping || !summary) return sheet.rows;
 
         // Use ALL template columns (including empty headers) to preserve column positions
-        const allTplHeaders = templateSummary.columnHeaders;
-        const mappedRows = [];
-
-        for (const row of sheet.rows) {
-            const mappedRow = [];
-            allTplHeaders.forEach((_, tplIdx) => {
-                const dataIdx = columnMapping[tplIdx];
-                if (dataIdx >= 0 && dataIdx < row.length) {
-                    mappedRow.push(row[dataIdx]);
-                } else {
-                    mappedRow.push('');
-                }
-            });
-            mappedRows.push(mappedRow);
-        }
+        const allTplHeaders = summary.columnHeaders;
+        const mapRows = (rows) => {
+            const mappedRows = [];
+            for (const row of rows) {
+                const mappedRow = [];
+                allTplHeaders.forEach((_, tplIdx) => {
+                    const dataIdx = mapping[tplIdx];
+                    if (dataIdx >= 0 && dataIdx < row.length) {
+                        mappedRow.push(row[dataIdx]);
+                    } else {
+                        mappedRow.push('');
+                    }
+                });
+                mappedRows.push(mappedRow);
+            }
+
+            // Strip footer-like rows and blanks from the mapped data
+            return stripFooterRows(mappedRows);
+        };
+
+        const groups = grouped ? groupDataRows(sheet) : null;
+        if (!groups) return mapRows(sheet.rows);
 
-        // Strip footer-like rows and blanks from the mapped data
-        return stripFooterRows(mappedRows);
+        // Grouped output: category row before each group, optional per-group subtotal
+        return TemplateEngine.buildGroupedRows(
+            groups.map(g => ({ label: g.label, rows: mapRows(g.rows) })),
+            { subtotals: $('groupSubtotals').checked }
+        );
     }
 
     function getSelectedTemplate() {
@@ -611,6 +938,7 @@
 
             // Use SVG-PDF renderer (style-aware, smaller output)
             if (typeof SVGPDFRenderer !== 'undefined') {
+                const safeName = (selectedSheet || 'export').replace(/[\\/:*?"<>|]/g, '_');
                 const blob = await SVGPDFRenderer.renderToPDF({
                     headers: headers,
                     rows: rows,
@@ -618,13 +946,25 @@
                     title: templateData ? '' : title, // Template has its own header zone
                     pageSize: pgSize,
                     landscape: isLandscape,
+                    headerFieldUpdates: templateData
+                        ? TemplateEngine.buildFieldUpdates(templateData.analysis, fieldValues, templateData.sheetNames[templateData.sheetIndex])
+                        : {},
+                    renderer: $('pdfRenderer').value,
+                    repeatHeaderRows: $('repeatHeaderRows').checked,
+                    margins: templateData ? getPdfMargins() : undefined,
+                    fit: $('pdfFit').value,
+                    pagination: getPdfPagination(),
+                    fileName: `${safeName}.pdf`, // &F in the template's header/footer
+                    sheetName: selectedSheet,
                 });
 
-                const safeName = (selectedSheet || 'export').replace(/[\\/:*?"<>|]/g, '_');
                 saveAs(blob, `${safeName}.pdf`);
 
                 const sizeKB = (blob.size / 1024).toFixed(0);
                 showToast(`PDF tải thành công! (${sizeKB} KB)`, 'success');
+                if (blob.fontFallback) {
+                    showToast('Không tải được font nhúng, PDF dùng Helvetica: ' + blob.fontFallback, 'info');
+                }
             } else {
                 // Fallback: old jsPDF autoTable approach
                 showLoading('Đang tải font Unicode...');
@@ -668,6 +1008,225 @@
         }
     }
 
+    // ===== Export: Batch (mail-merge) =====
+    function setupBatch() {
+        $('batchMode').addEventListener('change', () => {
+            const on = $('batchMode').checked;
+            $('batchOptions').style.display = on ? 'grid' : 'none';
+            $('btnExportBatch').style.display = on ? '' : 'none';
+        });
+        $('btnExportBatch').addEventListener('click', exportBatch);
+    }
+
+    function renderBatchOptions() {
+        const sheet = workbookData && workbookData.sheets[sheetSelect.value || workbookData.sheetNames[0]];
+        if (!templateData || !sheet) {
+            $('batchCard').style.display = 'none';
+            return;
+        }
+        $('batchCard').style.display = 'block';
+        $('batchKeyColumn').innerHTML = sheet.headers.map((h, i) =>
+            `<option value="${i}">${escapeHtml(String(h))}</option>`
+        ).join('');
+    }
+
+    /**
+     * Group data rows on one column, keeping first-appearance order.
+     * Rows with a blank key are skipped unless keepBlank is set (they then form a '' group).
+     * @returns {Array<{key: string, rows: Array[]}>}
+     */
+    function groupRowsByColumn(rows, colIdx, keepBlank = false) {
+        const groups = new Map();
+        for (const row of rows) {
+            const key = String(row[colIdx] ?? '').trim();
+            if (key.length === 0 && !keepBlank) continue;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        }
+        return Array.from(groups, ([key, groupRows]) => ({ key, rows: groupRows }));
+    }
+
+    /**
+     * Per-group field values: the shared values, plus {{group}} and any template field
+     * whose name matches a data column (taken from the group's first row)
+     */
+    function buildGroupFieldValues(headers, group) {
+        const values = { ...fieldValues, group: group.key };
+        const firstRow = group.rows[0];
+        headers.forEach((h, i) => {
+            const name = templateSummary.fieldNames.find(f => f.toLowerCase() === String(h).trim().toLowerCase());
+            if (name) values[name] = firstRow[i] ?? '';
+        });
+        return values;
+    }
+
+    /**
+     * Expand {group}, {index}, {sheet}, {date}, {<column>} and {<field>} tokens into a safe file name
+     */
+    function buildBatchFileName(pattern, tokens) {
+        const name = pattern.replace(/\{([^{}]+)\}/g, (match, key) => {
+            const k = key.trim();
+            return tokens[k] !== undefined ? String(tokens[k]) : match;
+        });
+        return (name.trim() || 'export').replace(/[\\/:*?"<>|]/g, '_');
+    }
+
+    // ===== Grouping (category rows inside the data zone) =====
+    function setupGrouping() {
+        $('groupBy').addEventListener('change', () => {
+            $('groupSubtotalsRow').style.display = $('groupBy').value ? '' : 'none';
+        });
+    }
+
+    function renderGroupingOptions() {
+        const sheet = workbookData && workbookData.sheets[sheetSelect.value || workbookData.sheetNames[0]];
+        if (!templateData || !sheet) {
+            $('groupingCard').style.display = 'none';
+            return;
+        }
+        $('groupingCard').style.display = 'block';
+        const select = $('groupBy');
+        const current = select.value;
+        select.innerHTML = '';
+        select.add(new Option('Không nhóm', ''));
+        select.add(new Option('Theo dòng phân nhóm có sẵn trong dữ liệu', '__category__'));
+        sheet.headers.forEach(h => select.add(new Option(`Cột: ${h}`, String(h))));
+        // Keep the choice when switching sheets if the column still exists
+        select.value = Array.from(select.options).some(o => o.value === current) ? current : '';
+        $('groupSubtotalsRow').style.display = select.value ? '' : 'none';
+    }
+
+    /**
+     * Split a data sheet into groups according to the grouping option, or null when not grouping.
+     * Column grouping keeps blank keys as an unlabelled group; category-row grouping uses the
+     * data's own "Reagent"/"Calibrator"… rows as group labels.
+     * @returns {Array<{label: string, rows: Array[]}>|null}
+     */
+    function groupDataRows(sheet) {
+        const mode = $('groupBy').value;
+        if (!mode || !sheet.headers) return null;
+
+        if (mode === '__category__') {
+            const groups = [{ label: '', rows: [] }];
+            for (const row of sheet.rows) {
+                if (isCategoryRow(row)) {
+                    const label = row.map(c => String(c ?? '').trim()).find(v => v.length > 0) || '';
+                    groups.push({ label, rows: [] });
+                } else {
+                    groups[groups.length - 1].rows.push(row);
+                }
+            }
+            return groups.length > 1 ? groups : null;
+        }
+
+        const colIdx = sheet.headers.findIndex(h => String(h).trim() === mode.trim());
+        if (colIdx === -1) return null;
+        return groupRowsByColumn(sheet.rows, colIdx, true).map(g => ({ label: g.key, rows: g.rows }));
+    }
+
+    async function exportBatch() {
+        if (!workbookData || !templateData || !columnMapping) return;
+
+        const selectedSheet = sheetSelect.value || workbookData.sheetNames[0];
+        const sheet = workbookData.sheets[selectedSheet];
+        if (!sheet) return;
+
+        const wantExcel = $('batchExcel').checked;
+        const wantPDF = $('batchPDF').checked;
+        if (!wantExcel && !wantPDF) {
+            showToast('Chọn ít nhất một định dạng (Excel / PDF)', 'error');
+            return;
+        }
+
+        const keyIdx = parseInt($('batchKeyColumn').value);
+        const groups = groupRowsByColumn(sheet.rows, keyIdx);
+        if (groups.length === 0) {
+            showToast('Cột nhóm không có giá trị nào', 'error');
+            return;
+        }
+
+        const pattern = $('batchFileNamePattern').value || '{sheet}_{group}';
+        const d = new Date();
+        const pad = n => String(n).padStart(2, '0');
+        const dateStr = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+
+        showLoading('Đang tạo file hàng loạt...');
+        try {
+            const zip = new JSZip();
+            const usedNames = new Set();
+            let fontFallback = null; // reason the embedded PDF font could not be used, if any
+
+            for (let gi = 0; gi < groups.length; gi++) {
+                const group = groups[gi];
+                showLoading(`Đang tạo nhóm ${gi + 1}/${groups.length}: ${group.key}`);
+
+                const rows = mapDataToTemplate({ headers: sheet.headers, rows: group.rows });
+                const groupValues = buildGroupFieldValues(sheet.headers, group);
+
+                // File name tokens: data columns of the first row, then template fields, then built-ins
+                const tokens = {};
+                sheet.headers.forEach((h, i) => { tokens[String(h).trim()] = group.rows[0][i] ?? ''; });
+                Object.assign(tokens, groupValues, { group: group.key, index: gi + 1, sheet: selectedSheet, date: dateStr });
+
+                let baseName = buildBatchFileName(pattern, tokens);
+                for (let n = 2; usedNames.has(baseName); n++) {
+                    baseName = `${buildBatchFileName(pattern, tokens)}_${n}`;
+                }
+                usedNames.add(baseName);
+
+                if (wantExcel) {
+                    const blob = await TemplateEngine.generateFromTemplate(templateData, {
+                        rows: rows,
+                        sheetName: selectedSheet,
+                        fieldValues: groupValues,
+                        fullCalcOnLoad: $('templateFullCalc').checked,
+                        repeatHeaderRows: $('repeatHeaderRows').checked,
+                    });
+                    zip.file(`${baseName}.xlsx`, blob);
+                }
+
+                if (wantPDF) {
+                    const blob = await SVGPDFRenderer.renderToPDF({
+                        headers: templateSummary.columnHeaders,
+                        rows: rows,
+                        templateData: templateData,
+                        pageSize: $('pageSize').value,
+                        landscape: $('landscape').checked,
+                        headerFieldUpdates: TemplateEngine.buildFieldUpdates(templateData.analysis, groupValues, templateData.sheetNames[templateData.sheetIndex]),
+                        renderer: $('pdfRenderer').value,
+                        repeatHeaderRows: $('repeatHeaderRows').checked,
+                        margins: getPdfMargins(),
+                        fit: $('pdfFit').value,
+                        pagination: getPdfPagination(),
+                        fileName: `${baseName}.pdf`,
+                        sheetName: selectedSheet,
+                    });
+                    zip.file(`${baseName}.pdf`, blob);
+                    fontFallback = fontFallback || blob.fontFallback;
+                }
+            }
+
+            showLoading('Đang nén ZIP...');
+            const zipBlob = await zip.generateAsync({
+                type: 'blob',
+                compression: 'DEFLATE',
+                compressionOptions: { level: 6 },
+            });
+
+            const safeName = (selectedSheet || 'export').replace(/[\\/:*?"<>|]/g, '_');
+            saveAs(zipBlob, `${safeName}_batch.zip`);
+            showToast(`Đã tạo ${groups.length} nhóm thành công!`, 'success');
+            if (fontFallback) {
+                showToast('Không tải được font nhúng, PDF dùng Helvetica: ' + fontFallback, 'info');
+            }
+        } catch (err) {
+            console.error('Batch export error:', err);
+            showToast('Lỗi xuất hàng loạt: ' + err.message, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
     // ===== Template Options (built-in) =====
     function setupTemplateOptions() {
         document.querySelectorAll('.template-option').forEach(opt => {
@@ -691,6 +1250,8 @@
     function setupSheetSelect() {
         sheetSelect.addEventListener('change', () => {
             if (templateData) buildColumnMapping();
+            renderBatchOptions();
+            renderGroupingOptions();
             renderPreview();
         });
     }
@@ -702,6 +1263,10 @@
         setupTemplateOptions();
         setupHelp();
         setupSheetSelect();
+        setupFieldValues();
+        setupMultiSheet();
+        setupBatch();
+        setupGrouping();
 
         btnExportExcel.addEventListener('click', exportExcel);
         btnExportPDF.addEventListener('click', exportPDF);
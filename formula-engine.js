@@ -0,0 +1,703 @@
+/**
+ * Formula Engine — Tokenize, rewrite and evaluate Excel formulas
+ * Used to move template formulas to their generated rows and to compute
+ * the values shown in the PDF / written as cached <v> values.
+ */
+const FormulaEngine = (() => {
+    // --- Helper functions ---
+    function colToRef(col) {
+        let ref = '';
+        while (col > 0) {
+            col--;
+            ref = String.fromCharCode(65 + (col % 26)) + ref;
+            col = Math.floor(col / 26);
+        }
+        return ref;
+    }
+
+    function refToCol(letters) {
+        let col = 0;
+        for (const ch of letters.toUpperCase()) {
+            col = col * 26 + (ch.charCodeAt(0) - 64);
+        }
+        return col;
+    }
+
+    /** Excel error value (#DIV/0!, #VALUE!, …) — propagates through calculations */
+    class FormulaError {
+        constructor(code) {
+            this.code = code;
+        }
+        toString() {
+            return this.code;
+        }
+    }
+
+    /** Thrown for syntax or functions the engine does not implement */
+    class UnsupportedFormula extends Error {}
+
+    // --- Tokenizer ---
+    const SHEET_PREFIX = "(?:'(?:[^']|'')+'|[A-Za-z_][\\w.]*)!";
+    const CELL_RE = new RegExp(`^(${SHEET_PREFIX})?(\\$?)([A-Za-z]{1,3})(\\$?)(\\d+)(?![\\w(\\[])`);
+    const NUMBER_RE = /^(\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+    const IDENT_RE = /^[A-Za-z_\\][\w.]*/;
+    const ERROR_RE = /^#(?:NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|GETTING_DATA)/;
+
+    /**
+     * Split a formula (without the leading "=") into tokens.
+     * Ref tokens keep their parts so they can be rewritten.
+     */
+    function tokenize(formula) {
+        const tokens = [];
+        let i = 0;
+        const src = String(formula);
+        while (i < src.length) {
+            const rest = src.slice(i);
+            const ch = src[i];
+
+            if (/\s/.test(ch)) {
+                const ws = rest.match(/^\s+/)[0];
+                tokens.push({ type: 'ws', text: ws });
+                i += ws.length;
+                continue;
+            }
+            if (ch === '"') {
+                let j = i + 1;
+                while (j < src.length) {
+                    if (src[j] === '"' && src[j + 1] === '"') j += 2;
+                    else if (src[j] === '"') break;
+                    else j++;
+                }
+                const text = src.slice(i, j + 1);
+                tokens.push({ type: 'str', text, value: text.slice(1, -1).replace(/""/g, '"') });
+                i = j + 1;
+                continue;
+            }
+
+            // Structured reference of an Excel Table ([@Qty], [[#This Row],[Qty]]) — kept whole
+            if (ch === '[') {
+                let depth = 0;
+                let j = i;
+                for (; j < src.length; j++) {
+                    if (src[j] === "'" && j + 1 < src.length) j++; // ' escapes the next character
+                    else if (src[j] === '[') depth++;
+                    else if (src[j] === ']' && --depth === 0) break;
+                }
+                const text = src.slice(i, j + 1);
+                tokens.push({ type: 'struct', text });
+                i += text.length;
+                continue;
+            }
+
+            const cell = rest.match(CELL_RE);
+            if (cell) {
+                const sheet = cell[1] ? cell[1].slice(0, -1).replace(/^'|'$/g, '').replace(/''/g, "'") : null;
+                tokens.push({
+                    type: 'ref',
+                    text: cell[0],
+                    sheetText: cell[1] || '',
+                    sheet,
+                    colAbs: cell[2] === '$',
+                    col: refToCol(cell[3]),
+                    rowAbs: cell[4] === '$',
+                    row: parseInt(cell[5], 10),
+                });
+                i += cell[0].length;
+                continue;
+            }
+
+            const num = rest.match(NUMBER_RE);
+            if (num) {
+                tokens.push({ type: 'num', text: num[0], value: parseFloat(num[0]) });
+                i += num[0].length;
+                continue;
+            }
+
+            const err = rest.match(ERROR_RE);
+            if (err) {
+                tokens.push({ type: 'err', text: err[0] });
+                i += err[0].length;
+                continue;
+            }
+
+            const ident = rest.match(IDENT_RE);
+            if (ident) {
+                const name = ident[0];
+                const after = src.slice(i + name.length);
+                if (after.startsWith('(')) {
+                    tokens.push({ type: 'func', text: name, name: name.toUpperCase().replace(/^_XLFN\./, '') });
+                } else if (/^(TRUE|FALSE)$/i.test(name)) {
+                    tokens.push({ type: 'bool', text: name, value: name.toUpperCase() === 'TRUE' });
+                } else {
+                    tokens.push({ type: 'name', text: name });
+                }
+                i += name.length;
+                continue;
+            }
+
+            const two = src.slice(i, i + 2);
+            if (two === '<=' || two === '>=' || two === '<>') {
+                tokens.push({ type: 'op', text: two });
+                i += 2;
+                continue;
+            }
+            if ('+-*/^&=<>%:'.includes(ch)) {
+                tokens.push({ type: 'op', text: ch });
+            } else if (ch === '(' || ch === ')') {
+                tokens.push({ type: 'paren', text: ch });
+            } else if (ch === ',' || ch === ';') {
+                tokens.push({ type: 'sep', text: ch });
+            } else {
+                tokens.push({ type: 'other', text: ch });
+            }
+            i++;
+        }
+        return tokens;
+    }
+
+    /**
+     * Rewrite every cell reference in a formula.
+     * @param {string} formula
+     * @param {Function} mapRef - ({col, row, colAbs, rowAbs, sheet}) → {col, row} to move it, or null to keep it
+     * @returns {string}
+     */
+    function shiftReferences(formula, mapRef) {
+        return tokenize(formula).map(tok => {
+            if (tok.type !== 'ref') return tok.text;
+            const moved = mapRef(tok);
+            if (!moved) return tok.text;
+            return tok.sheetText +
+                (tok.colAbs ? '$' : '') + colToRef(moved.col) +
+                (tok.rowAbs ? '$' : '') + moved.row;
+        }).join('');
+    }
+
+    // --- Parser (recursive descent, Excel operator precedence) ---
+    const COMPARE_OPS = ['=', '<>', '<', '>', '<=', '>='];
+
+    function parse(formula) {
+        const tokens = tokenize(formula).filter(t => t.type !== 'ws');
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().text);
+
+        function comparison() {
+            let node = concat();
+            while (isOp(...COMPARE_OPS)) {
+                const op = next().text;
+                node = { type: 'binary', op, left: node, right: concat() };
+            }
+            return node;
+        }
+        function concat() {
+            let node = additive();
+            while (isOp('&')) {
+                next();
+                node = { type: 'binary', op: '&', left: node, right: additive() };
+            }
+            return node;
+        }
+        function additive() {
+            let node = multiplicative();
+            while (isOp('+', '-')) {
+                const op = next().text;
+                node = { type: 'binary', op, left: node, right: multiplicative() };
+            }
+            return node;
+        }
+        function multiplicative() {
+            let node = power();
+            while (isOp('*', '/')) {
+                const op = next().text;
+                node = { type: 'binary', op, left: node, right: power() };
+            }
+            return node;
+        }
+        function power() {
+            let node = percent();
+            while (isOp('^')) {
+                next();
+                node = { type: 'binary', op: '^', left: node, right: percent() };
+            }
+            return node;
+        }
+        function percent() {
+            let node = unary();
+            while (isOp('%')) {
+                next();
+                node = { type: 'percent', arg: node };
+            }
+            return node;
+        }
+        function unary() {
+            if (isOp('-', '+')) {
+                const op = next().text;
+                const arg = unary();
+                return op === '-' ? { type: 'negate', arg } : arg;
+            }
+            return range();
+        }
+        function range() {
+            const node = primary();
+            if (node.type === 'ref' && isOp(':')) {
+                next();
+                const end = next();
+                if (!end || end.type !== 'ref') throw new UnsupportedFormula('Vùng tham chiếu không hợp lệ');
+                return { type: 'range', sheet: node.sheet, from: node, to: { col: end.col, row: end.row } };
+            }
+            return node;
+        }
+        function primary() {
+            const tok = next();
+            if (!tok) throw new UnsupportedFormula('Công thức không đầy đủ');
+            switch (tok.type) {
+                case 'num': return { type: 'value', value: tok.value };
+                case 'str': return { type: 'value', value: tok.value };
+                case 'bool': return { type: 'value', value: tok.value };
+                case 'err': return { type: 'value', value: new FormulaError(tok.text) };
+                case 'ref': return { type: 'ref', sheet: tok.sheet, col: tok.col, row: tok.row };
+                case 'func': {
+                    next(); // (
+                    const args = [];
+                    if (!(peek() && peek().type === 'paren' && peek().text === ')')) {
+                        for (;;) {
+                            // Empty argument, e.g. ROUND(A1,)
+                            if (peek() && (peek().type === 'sep' || (peek().type === 'paren' && peek().text === ')'))) {
+                                args.push({ type: 'value', value: null });
+                            } else {
+                                args.push(comparison());
+                            }
+                            if (peek() && peek().type === 'sep') {
+                                next();
+                                continue;
+                            }
+                            break;
+                        }
+                    }
+                    const close = next();
+                    if (!close || close.text !== ')') throw new UnsupportedFormula('Thiếu dấu ")"');
+                    return { type: 'func', name: tok.name, args };
+                }
+                case 'paren':
+                    if (tok.text === '(') {
+                        const inner = comparison();
+                        const close = next();
+                        if (!close || close.text !== ')') throw new UnsupportedFormula('Thiếu dấu ")"');
+                        return inner;
+                    }
+                    break;
+            }
+            throw new UnsupportedFormula(`Không hỗ trợ: ${tok.text}`);
+        }
+
+        const ast = comparison();
+        if (pos < tokens.length) throw new UnsupportedFormula(`Không hỗ trợ: ${tokens[pos].text}`);
+        return ast;
+    }
+
+    // --- Evaluation ---
+    const ERR_VALUE = () => new FormulaError('#VALUE!');
+    const ERR_DIV0 = () => new FormulaError('#DIV/0!');
+
+    function toNumber(v) {
+        if (v instanceof FormulaError) throw v;
+        if (typeof v === 'number') return v;
+        if (typeof v === 'boolean') return v ? 1 : 0;
+        if (v === null || v === undefined || v === '') return 0;
+        const n = Number(String(v).trim());
+        if (String(v).trim() === '' || isNaN(n)) throw ERR_VALUE();
+        return n;
+    }
+
+    function toText(v) {
+        if (v instanceof FormulaError) throw v;
+        if (v === null || v === undefined) return '';
+        if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+        return String(v);
+    }
+
+    /** Flatten function arguments; ranges contribute numbers only (Excel SUM semantics) */
+    function numbersOf(args) {
+        const nums = [];
+        for (const a of args) {
+            if (a && a.range) {
+                for (const row of a.values) {
+                    for (const v of row) {
+                        if (v instanceof FormulaError) throw v;
+                        if (typeof v === 'number') nums.push(v);
+                        else if (v !== '' && v !== null && typeof v !== 'boolean' && !isNaN(Number(v))) nums.push(Number(v));
+                    }
+                }
+            } else {
+                nums.push(toNumber(a));
+            }
+        }
+        return nums;
+    }
+
+    function roundHalfAway(x, digits) {
+        const f = Math.pow(10, digits);
+        const r = Math.round((Math.abs(x) * f) * (1 + Number.EPSILON)) / f;
+        return x < 0 ? -r : r;
+    }
+
+    function truncate(x, digits) {
+        const f = Math.pow(10, digits);
+        const r = Math.floor(Number((Math.abs(x) * f).toPrecision(15))) / f;
+        return x < 0 ? -r : r;
+    }
+
+    function roundAway(x, digits) {
+        const f = Math.pow(10, digits);
+        const r = Math.ceil(Number((Math.abs(x) * f).toPrecision(15))) / f;
+        return x < 0 ? -r : r;
+    }
+
+    function toBool(v) {
+        if (v instanceof FormulaError) throw v;
+        if (typeof v === 'boolean') return v;
+        if (typeof v === 'number') return v !== 0;
+        if (v === null || v === undefined || v === '') return false;
+        const t = String(v).toUpperCase();
+        if (t === 'TRUE') return true;
+        if (t === 'FALSE') return false;
+        throw ERR_VALUE();
+    }
+
+    /** Range → 2D values; a single value acts as a 1×1 range */
+    function gridOf(a) {
+        return a && a.range ? a.values : [[a]];
+    }
+
+    /** SUMIF/COUNTIF criteria: 5, "abc", ">0", "<>x", "=abc" */
+    function matchesCriteria(value, criteria) {
+        const m = typeof criteria === 'string' ? criteria.match(/^(<=|>=|<>|<|>|=)?(.*)$/) : null;
+        const op = m && m[1] ? m[1] : '=';
+        const target = m ? m[2] : criteria;
+        const numTarget = target !== '' && !isNaN(Number(target)) ? Number(target) : null;
+        const v = value === null || value === undefined ? '' : value;
+        if (numTarget !== null && v !== '' && !isNaN(Number(v))) {
+            return compare(op, Number(v), numTarget);
+        }
+        if (op === '=' || op === '<>') {
+            const eq = String(v).toLowerCase() === String(target).toLowerCase();
+            return op === '=' ? eq : !eq;
+        }
+        return false;
+    }
+
+    // SUBTOTAL function numbers; 101–111 also skip hidden rows, which generated sheets do not have
+    const SUBTOTAL_FUNCTIONS = { 1: 'AVERAGE', 2: 'COUNT', 3: 'COUNTA', 4: 'MAX', 5: 'MIN', 9: 'SUM' };
+
+    const FUNCTIONS = {
+        SUM: (args) => numbersOf(args).reduce((s, n) => s + n, 0),
+        MIN: (args) => { const n = numbersOf(args); return n.length ? Math.min(...n) : 0; },
+        MAX: (args) => { const n = numbersOf(args); return n.length ? Math.max(...n) : 0; },
+        AVERAGE: (args) => {
+            const n = numbersOf(args);
+            if (n.length === 0) throw ERR_DIV0();
+            return n.reduce((s, x) => s + x, 0) / n.length;
+        },
+        COUNT: (args) => args.reduce((n, a) => n + gridOf(a).flat().filter(v => typeof v === 'number').length, 0),
+        COUNTA: (args) => args.reduce((n, a) => n + gridOf(a).flat().filter(v => v !== null && v !== undefined && v !== '').length, 0),
+        ABS: (args) => Math.abs(toNumber(args[0])),
+        INT: (args) => Math.floor(toNumber(args[0])),
+        MOD: (args) => {
+            const d = toNumber(args[1]);
+            if (d === 0) throw ERR_DIV0();
+            const n = toNumber(args[0]);
+            return n - d * Math.floor(n / d);
+        },
+        ROUND: (args) => roundHalfAway(toNumber(args[0]), toNumber(args[1] ?? 0)),
+        ROUNDDOWN: (args) => truncate(toNumber(args[0]), toNumber(args[1] ?? 0)),
+        ROUNDUP: (args) => roundAway(toNumber(args[0]), toNumber(args[1] ?? 0)),
+        TRUNC: (args) => truncate(toNumber(args[0]), toNumber(args[1] ?? 0)),
+        SUMPRODUCT: (args) => {
+            const grids = args.map(gridOf);
+            const rows = grids[0].length, cols = grids[0][0].length;
+            if (grids.some(g => g.length !== rows || g[0].length !== cols)) throw ERR_VALUE();
+            let total = 0;
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < cols; c++) {
+                    let product = 1;
+                    for (const g of grids) {
+                        const v = g[r][c];
+                        if (v instanceof FormulaError) throw v;
+                        product *= typeof v === 'number' ? v : 0; // Text and blanks count as 0
+                    }
+                    total += product;
+                }
+            }
+            return total;
+        },
+        SUMIF: (args) => {
+            const range = gridOf(args[0]).flat();
+            const sumRange = args[2] !== undefined ? gridOf(args[2]).flat() : range;
+            return range.reduce((s, v, i) => {
+                const n = sumRange[i];
+                return matchesCriteria(v, args[1]) && typeof n === 'number' ? s + n : s;
+            }, 0);
+        },
+        COUNTIF: (args) => gridOf(args[0]).flat().filter(v => matchesCriteria(v, args[1])).length,
+        AND: (args) => args.every(a => gridOf(a).flat().filter(v => v !== null && v !== '').every(toBool)),
+        OR: (args) => args.some(a => gridOf(a).flat().filter(v => v !== null && v !== '').some(toBool)),
+        NOT: (args) => !toBool(args[0]),
+        SUBTOTAL: (args, ctx, nodes) => {
+            const name = SUBTOTAL_FUNCTIONS[toNumber(args[0]) % 100];
+            if (!name) throw new UnsupportedFormula(`Hàm chưa hỗ trợ: SUBTOTAL(${args[0]})`);
+            // Cells holding another SUBTOTAL are left out, so a grand total over group subtotals counts each row once
+            const refs = args.slice(1).map((a, i) => {
+                const node = nodes[i + 1];
+                if (!a || !a.range || node.type !== 'range' || !ctx.getFormula) return a;
+                const r1 = Math.min(node.from.row, node.to.row), c1 = Math.min(node.from.col, node.to.col);
+                return {
+                    range: true,
+                    values: a.values.map((row, r) => row.map((v, c) =>
+                        /\bSUBTOTAL\s*\(/i.test(ctx.getFormula(c1 + c, r1 + r, node.sheet) || '') ? null : v)),
+                };
+            });
+            return FUNCTIONS[name](refs);
+        },
+        CONCATENATE: (args) => args.map(toText).join(''),
+        ROW: (args, ctx, nodes) => (nodes[0] ? (nodes[0].type === 'range' ? nodes[0].from.row : nodes[0].row) : ctx.row),
+        COLUMN: (args, ctx, nodes) => (nodes[0] ? (nodes[0].type === 'range' ? nodes[0].from.col : nodes[0].col) : ctx.col),
+    };
+
+    // Functions that evaluate only the arguments they need (errors in untaken branches are ignored)
+    const LAZY_FUNCTIONS = {
+        IF: (nodes, ctx) => {
+            const cond = toBool(evalNode(nodes[0], ctx));
+            if (cond) return nodes[1] ? evalNode(nodes[1], ctx) : true;
+            return nodes[2] ? evalNode(nodes[2], ctx) : false;
+        },
+        IFERROR: (nodes, ctx) => {
+            try {
+                const v = evalNode(nodes[0], ctx);
+                if (v instanceof FormulaError) return evalNode(nodes[1], ctx);
+                return v;
+            } catch (err) {
+                if (err instanceof FormulaError) return evalNode(nodes[1], ctx);
+                throw err;
+            }
+        },
+    };
+
+    function evalNode(node, ctx) {
+        switch (node.type) {
+            case 'value':
+                return node.value;
+            case 'ref': {
+                const v = ctx.getCell(node.col, node.row, node.sheet);
+                return v === undefined ? null : v;
+            }
+            case 'range': {
+                const r1 = Math.min(node.from.row, node.to.row), r2 = Math.max(node.from.row, node.to.row);
+                const c1 = Math.min(node.from.col, node.to.col), c2 = Math.max(node.from.col, node.to.col);
+                const values = [];
+                for (let r = r1; r <= r2; r++) {
+                    const row = [];
+                    for (let c = c1; c <= c2; c++) {
+                        const v = ctx.getCell(c, r, node.sheet);
+                        row.push(v === undefined ? null : v);
+                    }
+                    values.push(row);
+                }
+                return { range: true, values };
+            }
+            case 'negate':
+                return -toNumber(evalNode(node.arg, ctx));
+            case 'percent':
+                return toNumber(evalNode(node.arg, ctx)) / 100;
+            case 'binary': {
+                const l = evalNode(node.left, ctx);
+                const r = evalNode(node.right, ctx);
+                if (l instanceof FormulaError) throw l;
+                if (r instanceof FormulaError) throw r;
+                switch (node.op) {
+                    case '+': return toNumber(l) + toNumber(r);
+                    case '-': return toNumber(l) - toNumber(r);
+                    case '*': return toNumber(l) * toNumber(r);
+                    case '/': {
+                        const d = toNumber(r);
+                        if (d === 0) throw ERR_DIV0();
+                        return toNumber(l) / d;
+                    }
+                    case '^': return Math.pow(toNumber(l), toNumber(r));
+                    case '&': return toText(l) + toText(r);
+                    default: return compare(node.op, l, r);
+                }
+            }
+            case 'func': {
+                if (LAZY_FUNCTIONS[node.name]) return LAZY_FUNCTIONS[node.name](node.args, ctx);
+                const fn = FUNCTIONS[node.name];
+                if (!fn) throw new UnsupportedFormula(`Hàm chưa hỗ trợ: ${node.name}`);
+                const args = node.args.map(a => evalNode(a, ctx));
+                return fn(args, ctx, node.args);
+            }
+        }
+        throw new UnsupportedFormula(`Không hỗ trợ: ${node.type}`);
+    }
+
+    function compare(op, l, r) {
+        const norm = v => (v === null || v === undefined ? '' : v);
+        let a = norm(l), b = norm(r);
+        if (typeof a !== typeof b) {
+            // Blank compares as 0 / "" / FALSE to the other side's type
+            if (a === '') a = typeof b === 'number' ? 0 : typeof b === 'boolean' ? false : '';
+            if (b === '') b = typeof a === 'number' ? 0 : typeof a === 'boolean' ? false : '';
+        }
+        if (typeof a === 'string' && typeof b === 'string') {
+            a = a.toLowerCase();
+            b = b.toLowerCase();
+        }
+        switch (op) {
+            case '=': return a === b;
+            case '<>': return a !== b;
+            case '<': return a < b;
+            case '>': return a > b;
+            case '<=': return a <= b;
+            case '>=': return a >= b;
+        }
+        return false;
+    }
+
+    /**
+     * Evaluate a formula (without the leading "=").
+     * @param {string} formula
+     * @param {Object} ctx
+     * @param {Function} ctx.getCell - (col, row, sheet) → number | string | boolean | FormulaError | null
+     * @param {Function} [ctx.getFormula] - (col, row, sheet) → formula text of a cell, so SUBTOTAL
+     *   can skip nested subtotals
+     * @param {number} [ctx.row] - Row of the formula cell (for ROW())
+     * @param {number} [ctx.col] - Column of the formula cell (for COLUMN())
+     * @returns {number|string|boolean|FormulaError|null} null when the formula cannot be evaluated
+     */
+    function evaluate(formula, ctx) {
+        let result;
+        try {
+            result = evalNode(parse(formula), ctx);
+        } catch (err) {
+            if (err instanceof FormulaError) return err;
+            if (err instanceof UnsupportedFormula) return null;
+            throw err;
+        }
+        if (result && result.range) {
+            // A bare range (e.g. =A1:A3) yields its first cell, like implicit intersection
+            result = result.values[0][0];
+        }
+        if (typeof result === 'number') {
+            if (!isFinite(result)) return new FormulaError('#NUM!');
+            return Number(result.toPrecision(15)); // Excel keeps 15 significant digits
+        }
+        return result === undefined ? null : result;
+    }
+
+    /**
+     * Cells and ranges a formula reads (for the dependency graph)
+     * @returns {Array<{sheet, col, row} | {sheet, from: {col, row}, to: {col, row}}>}
+     */
+    function dependencies(formula) {
+        const deps = [];
+        const walk = (node) => {
+            if (!node) return;
+            if (node.type === 'ref') deps.push({ sheet: node.sheet, col: node.col, row: node.row });
+            else if (node.type === 'range') deps.push({ sheet: node.sheet, from: node.from, to: node.to });
+            else if (node.type === 'func') node.args.forEach(walk);
+            else if (node.type === 'binary') { walk(node.left); walk(node.right); }
+            else if (node.arg) walk(node.arg);
+        };
+        try {
+            walk(parse(formula));
+        } catch (err) {
+            if (!(err instanceof UnsupportedFormula)) throw err;
+        }
+        return deps;
+    }
+
+    /**
+     * Evaluate every formula of a sheet in dependency order (formulas that read other
+     * formula cells run after them). Cells on a reference cycle, or that the engine cannot
+     * evaluate, come back as null.
+     * @param {Object} cells - A1 ref → { value, formula }
+     * @param {Object} [options]
+     * @param {Function} [options.getExternal] - (col, row, sheet) → value of other sheets' cells
+     * @returns {Object} A1 ref → computed value, for every formula cell
+     */
+    function evaluateSheet(cells, options = {}) {
+        const { getExternal = () => null } = options;
+        const parseRef = (ref) => {
+            const m = ref.match(/^([A-Z]+)(\d+)$/);
+            return { col: refToCol(m[1]), row: parseInt(m[2], 10) };
+        };
+
+        // Dependency graph between formula cells
+        const formulaRefs = Object.keys(cells).filter(ref => cells[ref].formula);
+        const formulaSet = new Set(formulaRefs);
+        const dependents = {};  // ref → formula cells that read it
+        const pending = {};     // ref → number of formula cells it still waits for
+        for (const ref of formulaRefs) {
+            const needs = new Set();
+            for (const dep of dependencies(cells[ref].formula)) {
+                if (dep.sheet) continue;
+                if (dep.from) {
+                    const r1 = Math.min(dep.from.row, dep.to.row), r2 = Math.max(dep.from.row, dep.to.row);
+                    const c1 = Math.min(dep.from.col, dep.to.col), c2 = Math.max(dep.from.col, dep.to.col);
+                    for (const other of formulaRefs) {
+                        const p = parseRef(other);
+                        if (p.row >= r1 && p.row <= r2 && p.col >= c1 && p.col <= c2) needs.add(other);
+                    }
+                } else {
+                    const key = colToRef(dep.col) + dep.row;
+                    if (formulaSet.has(key)) needs.add(key);
+                }
+            }
+            pending[ref] = needs.size;
+            for (const n of needs) (dependents[n] = dependents[n] || []).push(ref);
+        }
+
+        // Kahn's algorithm: evaluate a formula once everything it reads is known
+        const results = {};
+        const getCell = (col, row, sheet) => {
+            if (sheet) return getExternal(col, row, sheet);
+            const key = colToRef(col) + row;
+            if (key in results) return results[key];
+            const cell = cells[key];
+            if (!cell || cell.formula) return null;
+            return cell.value === undefined ? null : cell.value;
+        };
+        const getFormula = (col, row, sheet) => (sheet ? null : (cells[colToRef(col) + row] || {}).formula || null);
+        const queue = formulaRefs.filter(ref => pending[ref] === 0);
+        while (queue.length > 0) {
+            const ref = queue.shift();
+            const { col, row } = parseRef(ref);
+            results[ref] = evaluate(cells[ref].formula, { getCell, getFormula, row, col });
+            for (const d of dependents[ref] || []) {
+                if (--pending[d] === 0) queue.push(d);
+            }
+        }
+        for (const ref of formulaRefs) {
+            if (!(ref in results)) results[ref] = null; // Circular reference
+        }
+        return results;
+    }
+
+    /**
+     * Whether a formula refers to any cell, directly or through a table column (a
+     * reference-free formula such as ROW()-16 does not compute anything from the row's data)
+     */
+    function hasReferences(formula) {
+        return tokenize(formula).some(t => t.type === 'ref' || t.type === 'struct');
+    }
+
+    return {
+        tokenize,
+        parse,
+        evaluate,
+        shiftReferences,
+        hasReferences,
+        dependencies,
+        evaluateSheet,
+        FormulaError,
+    };
+})();
@@ -0,0 +1,597 @@
+/**
+ * Number Format — ECMA-376 number format codes → the text Excel displays
+ * Handles built-in formats 0–49 and custom <numFmt> codes: ;-separated sections,
+ * [Red]/[ColorN] colors, [>=100] conditions, text literals, thousands scaling,
+ * percent, scientific, fractions, dates (incl. Japanese eras) and elapsed time.
+ * Shared by the PDF renderer and the data preview table.
+ */
+const NumberFormat = (() => {
+    'use strict';
+
+    // --- Built-in formats ---
+    // IDs 5–8 and 27–36 depend on the Excel UI locale: currency as en-US, dates as ja-JP.
+    // 14 and 22 follow the ja-JP short date, like Excel shows them in Japan.
+    const BUILTIN_FORMATS = {
+        0: 'General',
+        1: '0',
+        2: '0.00',
+        3: '#,##0',
+        4: '#,##0.00',
+        5: '"$"#,##0_);\\("$"#,##0\\)',
+        6: '"$"#,##0_);[Red]\\("$"#,##0\\)',
+        7: '"$"#,##0.00_);\\("$"#,##0.00\\)',
+        8: '"$"#,##0.00_);[Red]\\("$"#,##0.00\\)',
+        9: '0%',
+        10: '0.00%',
+        11: '0.00E+00',
+        12: '# ?/?',
+        13: '# ??/??',
+        14: 'yyyy/m/d',
+        15: 'd-mmm-yy',
+        16: 'd-mmm',
+        17: 'mmm-yy',
+        18: 'h:mm AM/PM',
+        19: 'h:mm:ss AM/PM',
+        20: 'h:mm',
+        21: 'h:mm:ss',
+        22: 'yyyy/m/d h:mm',
+        27: '[$-411]ge.m.d',
+        28: '[$-411]ggge"年"m"月"d"日"',
+        29: '[$-411]ggge"年"m"月"d"日"',
+        30: 'm/d/yy',
+        31: 'yyyy"年"m"月"d"日"',
+        32: 'h"時"mm"分"',
+        33: 'h"時"mm"分"ss"秒"',
+        34: 'yyyy"年"m"月"',
+        35: 'm"月"d"日"',
+        36: '[$-411]ge.m.d',
+        37: '#,##0_);\\(#,##0\\)',
+        38: '#,##0_);[Red]\\(#,##0\\)',
+        39: '#,##0.00_);\\(#,##0.00\\)',
+        40: '#,##0.00_);[Red]\\(#,##0.00\\)',
+        41: '_(* #,##0_);_(* \\(#,##0\\);_(* "-"_);_(@_)',
+        42: '_("$"* #,##0_);_("$"* \\(#,##0\\);_("$"* "-"_);_(@_)',
+        43: '_(* #,##0.00_);_(* \\(#,##0.00\\);_(* "-"??_);_(@_)',
+        44: '_("$"* #,##0.00_);_("$"* \\(#,##0.00\\);_("$"* "-"??_);_(@_)',
+        45: 'mm:ss',
+        46: '[h]:mm:ss',
+        47: 'mm:ss.0',
+        48: '##0.0E+0',
+        49: '@',
+    };
+
+    const NAMED_COLORS = {
+        black: '000000', blue: '0000FF', cyan: '00FFFF', green: '00FF00',
+        magenta: 'FF00FF', red: 'FF0000', white: 'FFFFFF', yellow: 'FFFF00',
+    };
+    // [Color1]–[Color8]; higher numbers use the workbook's indexed palette
+    const COLOR_INDEX = ['000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF'];
+
+    const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+        'August', 'September', 'October', 'November', 'December'];
+    const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    // Japanese eras, newest first: g / gg / ggg names and the first day (UTC)
+    const ERAS = [
+        { start: Date.UTC(2019, 4, 1), names: ['R', '令', '令和'] },
+        { start: Date.UTC(1989, 0, 8), names: ['H', '平', '平成'] },
+        { start: Date.UTC(1926, 11, 25), names: ['S', '昭', '昭和'] },
+        { start: Date.UTC(1912, 6, 30), names: ['T', '大', '大正'] },
+        { start: Date.UTC(1868, 0, 1), names: ['M', '明', '明治'] },
+    ];
+
+    /**
+     * Format code of a style's numFmtId: the workbook's custom <numFmt> first, then the built-ins
+     * @param {number} numFmtId
+     * @param {Object} [customFormats] - numFmtId → formatCode from styles.xml
+     */
+    function resolveFormatCode(numFmtId, customFormats = {}) {
+        const id = parseInt(numFmtId, 10) || 0;
+        return customFormats[id] ?? BUILTIN_FORMATS[id] ?? 'General';
+    }
+
+    // --- Compilation ---
+    const compiled = new Map();
+
+    /**
+     * Split a format code into sections and tokens (cached per code)
+     */
+    function compile(code) {
+        if (compiled.has(code)) return compiled.get(code);
+        const sections = splitSections(code).map(parseSection);
+        const result = {
+            sections,
+            numeric: sections.filter(s => !s.isText).slice(0, 3),
+            text: sections.find(s => s.isText) || (sections.length === 4 ? sections[3] : null),
+            conditional: sections.some(s => s.condition),
+        };
+        compiled.set(code, result);
+        return result;
+    }
+
+    /** Split on ; outside quotes, brackets and escapes */
+    function splitSections(code) {
+        const sections = [];
+        let current = '';
+        for (let i = 0; i < code.length; i++) {
+            const ch = code[i];
+            if (ch === '"') {
+                const end = code.indexOf('"', i + 1);
+                const stop = end === -1 ? code.length : end + 1;
+                current += code.slice(i, stop);
+                i = stop - 1;
+            } else if (ch === '\\' || ch === '_' || ch === '*') {
+                current += code.slice(i, i + 2);
+                i++;
+            } else if (ch === '[') {
+                const end = code.indexOf(']', i);
+                const stop = end === -1 ? code.length : end + 1;
+                current += code.slice(i, stop);
+                i = stop - 1;
+            } else if (ch === ';') {
+                sections.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        sections.push(current);
+        return sections;
+    }
+
+    /**
+     * Tokens of one section plus its color, condition and kind (number/date/text/general)
+     */
+    function parseSection(src) {
+        const tokens = [];
+        const section = { tokens, color: null, condition: null, isDate: false, isText: false, empty: src === '' };
+        const lit = (text) => {
+            const last = tokens[tokens.length - 1];
+            if (last && last.type === 'lit') last.text += text;
+            else tokens.push({ type: 'lit', text });
+        };
+
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            const rest = src.slice(i);
+            let m;
+            if (ch === '"') {
+                const end = src.indexOf('"', i + 1);
+                const stop = end === -1 ? src.length : end;
+                lit(src.slice(i + 1, stop));
+                i = stop;
+            } else if (ch === '\\') {
+                lit(src[i + 1] || '');
+                i++;
+            } else if (ch === '_') {
+                lit(' '); // Space as wide as the next character
+                i++;
+            } else if (ch === '*') {
+                i++; // Repeat-to-fill character: nothing to fill in a fixed-width cell text
+            } else if (ch === '[') {
+                const end = src.indexOf(']', i);
+                const body = src.slice(i + 1, end === -1 ? src.length : end);
+                i = end === -1 ? src.length : end;
+                if (NAMED_COLORS[body.toLowerCase()]) {
+                    section.color = NAMED_COLORS[body.toLowerCase()];
+                } else if ((m = body.match(/^color\s*(\d+)$/i))) {
+                    section.color = COLOR_INDEX[parseInt(m[1], 10) - 1] || null;
+                } else if ((m = body.match(/^(<>|<=|>=|<|>|=)\s*(-?[\d.]+(?:e[+-]?\d+)?)$/i))) {
+                    section.condition = { op: m[1], value: parseFloat(m[2]) };
+                } else if ((m = body.match(/^\$([^-]*)/))) {
+                    if (m[1]) lit(m[1]); // [$¥-411] → currency symbol; [$-411] is only a locale
+                } else if (/^(h+|m+|s+)$/i.test(body)) {
+                    tokens.push({ type: 'elapsed', unit: body[0].toLowerCase(), len: body.length });
+                    section.isDate = true;
+                }
+            } else if (/^general/i.test(rest)) {
+                tokens.push({ type: 'general' });
+                i += 6;
+            } else if (ch === '0' || ch === '#' || ch === '?') {
+                tokens.push({ type: 'digit', ch });
+            } else if (ch === '.') {
+                tokens.push({ type: 'point' });
+            } else if (ch === ',') {
+                tokens.push({ type: 'comma' });
+            } else if (ch === '%') {
+                tokens.push({ type: 'percent' });
+            } else if ((m = rest.match(/^[eE]([+-])/)) && !section.isDate) {
+                tokens.push({ type: 'exp', sign: m[1] });
+                i++;
+            } else if (ch === '/') {
+                tokens.push({ type: 'slash' });
+            } else if (ch === '@') {
+                tokens.push({ type: 'text' });
+                section.isText = true;
+            } else if ((m = rest.match(/^(AM\/PM|am\/pm|A\/P|a\/p)/))) {
+                tokens.push({ type: 'ampm', text: m[1] });
+                section.isDate = true;
+                i += m[1].length - 1;
+            } else if ((m = rest.match(/^(y+|Y+|m+|M+|d+|D+|h+|H+|s+|S+|g+|G+|e+)/))) {
+                tokens.push({ type: 'date', code: m[1].toLowerCase() });
+                section.isDate = true;
+                i += m[1].length - 1;
+            } else {
+                lit(ch);
+            }
+        }
+
+        if (section.isDate) resolveMinutes(tokens);
+        return section;
+    }
+
+    /** "m" right after an hour or right before a second means minutes, not months */
+    function resolveMinutes(tokens) {
+        const timeTokens = tokens.filter(t => t.type === 'date' || t.type === 'elapsed');
+        timeTokens.forEach((tok, i) => {
+            if (tok.type !== 'date' || tok.code[0] !== 'm' || tok.code.length > 2) return;
+            const prev = timeTokens[i - 1];
+            const next = timeTokens[i + 1];
+            const afterHour = prev && (prev.type === 'elapsed' ? prev.unit === 'h' : prev.code[0] === 'h');
+            const beforeSecond = next && (next.type === 'elapsed' ? next.unit === 's' : next.code[0] === 's');
+            if (afterHour || beforeSecond) tok.minutes = true;
+        });
+    }
+
+    // --- Formatting ---
+
+    /**
+     * Text Excel displays for a value under a format code, with the section color
+     * @param {*} value - Number, string or boolean (null/undefined → '')
+     * @param {string} code - Format code (see resolveFormatCode)
+     * @param {Object} [options]
+     * @param {boolean} [options.date1904=false] - Workbook uses the 1904 date system
+     * @returns {{text: string, color: string|null}} color is RRGGBB from [Red]/[ColorN]
+     */
+    function formatWithColor(value, code, options = {}) {
+        if (value === null || value === undefined || value === '') return { text: '', color: null };
+        if (typeof value === 'boolean') return { text: value ? 'TRUE' : 'FALSE', color: null };
+        const fmt = compile(code || 'General');
+
+        if (typeof value !== 'number') {
+            const section = fmt.text;
+            if (!section) return { text: String(value), color: null };
+            const text = section.tokens.map(t => (t.type === 'text' ? String(value) : t.type === 'lit' ? t.text : '')).join('');
+            return { text, color: section.color };
+        }
+        if (!isFinite(value)) return { text: '#NUM!', color: null };
+
+        const { section, minus } = pickSection(fmt, value);
+        if (!section || section.empty) return { text: '', color: section ? section.color : null };
+        const v = minus === null ? Math.abs(value) : value;
+
+        let text;
+        if (section.isDate) {
+            text = formatDate(v, section.tokens, options);
+        } else if (section.tokens.some(t => t.type === 'general')) {
+            text = section.tokens.map(t => (t.type === 'general' ? formatGeneral(Math.abs(v)) : t.type === 'lit' ? t.text : '')).join('');
+            if (v < 0 && minus) text = '-' + text;
+        } else if (section.isText || !section.tokens.some(t => t.type === 'digit')) {
+            text = section.tokens.map(t => (t.type === 'lit' ? t.text : t.type === 'text' ? formatGeneral(v) : '')).join('');
+        } else {
+            const body = formatNumberTokens(Math.abs(v), section.tokens);
+            text = v < 0 && minus && /[1-9]/.test(body) ? '-' + body : body;
+        }
+        return { text, color: section.color };
+    }
+
+    /** Like formatWithColor, text only */
+    function format(value, code, options = {}) {
+        return formatWithColor(value, code, options).text;
+    }
+
+    /**
+     * Section for a number. minus: true when the section shows its own minus sign,
+     * false when the sign is implied by the section (the negative one), null = use |value|.
+     */
+    function pickSection(fmt, value) {
+        const secs = fmt.numeric;
+        if (secs.length === 0) return { section: fmt.sections[0], minus: true };
+
+        if (fmt.conditional) {
+            const test = ({ op, value: limit }) => (
+                op === '<' ? value < limit : op === '<=' ? value <= limit : op === '>' ? value > limit
+                    : op === '>=' ? value >= limit : op === '=' ? value === limit : value !== limit);
+            const hit = secs.find(s => s.condition && test(s.condition));
+            const section = hit || secs.find(s => !s.condition) || null;
+            // A section meant for negatives ([<0]) shows the value without its sign
+            const negativeSection = section && section.condition && /</.test(section.condition.op) && section.condition.value <= 0;
+            return { section, minus: negativeSection ? null : true };
+        }
+        if (secs.length === 1 || value > 0 || (value === 0 && secs.length === 2)) {
+            return { section: secs[0], minus: secs.length === 1 ? true : null };
+        }
+        if (value < 0) return { section: secs[1], minus: null };
+        return { section: secs[2], minus: null };
+    }
+
+    /** "General": up to 11 characters, switching to scientific for very large/small numbers */
+    function formatGeneral(v) {
+        if (v === 0) return '0';
+        const abs = Math.abs(v);
+        if (abs >= 1e11 || abs < 1e-9) {
+            const [mantissa, exp] = v.toExponential(5).split('e');
+            const m = mantissa.replace(/\.?0+$/, '');
+            const e = parseInt(exp, 10);
+            return `${m}E${e < 0 ? '-' : '+'}${String(Math.abs(e)).padStart(2, '0')}`;
+        }
+        const intDigits = Math.max(1, Math.floor(Math.log10(abs)) + 1);
+        const decimals = Math.max(0, 10 - intDigits - (v < 0 ? 1 : 0));
+        return String(Number(roundTo(v, decimals).toFixed(decimals)));
+    }
+
+    /** Round half away from zero without binary artefacts (1.005 → 1.01) */
+    function roundTo(v, decimals) {
+        const shifted = Math.round(Math.abs(v) * Math.pow(10, decimals) * (1 + Number.EPSILON));
+        return Math.sign(v) * shifted / Math.pow(10, decimals);
+    }
+
+    /**
+     * Number section: digit placeholders 0 # ?, decimal point, grouping and scaling
+     * commas, percent, scientific (E+/E-) and fractions (# ?/?, ?/8)
+     */
+    function formatNumberTokens(v, tokens) {
+        const slash = tokens.findIndex(t => t.type === 'slash');
+        if (slash > 0 && tokens.slice(0, slash).some(t => t.type === 'digit')) return formatFraction(v, tokens, slash);
+
+        const percent = tokens.filter(t => t.type === 'percent').length;
+        v *= Math.pow(100, percent);
+
+        const point = tokens.findIndex(t => t.type === 'point');
+        const exp = tokens.findIndex(t => t.type === 'exp');
+        const intEnd = point !== -1 ? point : exp !== -1 ? exp : tokens.length;
+        const intTokens = tokens.slice(0, intEnd);
+        const decTokens = point === -1 ? [] : tokens.slice(point + 1, exp !== -1 ? exp : tokens.length);
+        const expTokens = exp === -1 ? [] : tokens.slice(exp + 1);
+
+        // Commas right after the last integer placeholder divide by 1000; others group
+        const lastDigit = intTokens.map(t => t.type).lastIndexOf('digit');
+        let scaleCommas = 0;
+        for (let i = lastDigit + 1; i < intTokens.length && intTokens[i].type === 'comma'; i++) scaleCommas++;
+        if (point === -1 && exp === -1 && scaleCommas === 0) {
+            // "#,##0," — trailing commas may also follow literals-free runs at the end
+            for (let i = intTokens.length - 1; i > lastDigit && intTokens[i].type === 'comma'; i--) scaleCommas++;
+        }
+        v /= Math.pow(1000, scaleCommas);
+        const grouping = intTokens.slice(0, lastDigit).some(t => t.type === 'comma');
+
+        const intPh = intTokens.filter(t => t.type === 'digit');
+        const decPh = decTokens.filter(t => t.type === 'digit');
+
+        let exponent = 0;
+        if (exp !== -1) {
+            if (v !== 0) {
+                exponent = Math.floor(Math.log10(v));
+                const engineering = intPh.length > 1 && intPh.some(t => t.ch === '#');
+                exponent = engineering
+                    ? Math.floor(exponent / intPh.length) * intPh.length
+                    : exponent - Math.max(0, intPh.length - 1);
+                v /= Math.pow(10, exponent);
+                if (roundTo(v, decPh.length) >= Math.pow(10, engineering ? intPh.length : Math.max(1, intPh.length))) {
+                    v /= 10;
+                    exponent++;
+                }
+            }
+        }
+
+        const fixed = roundTo(v, decPh.length).toFixed(decPh.length);
+        const [intRaw, decRaw = ''] = fixed.split('.');
+        const intDigits = intRaw === '0' ? '' : intRaw;
+
+        // Integer placeholders filled from the right; extra digits go in front of the first
+        const intChars = new Array(intPh.length).fill('');
+        for (let k = intPh.length - 1, j = intDigits.length - 1; k >= 0; k--, j--) {
+            intChars[k] = j >= 0 ? intDigits[j] : intPh[k].ch === '0' ? '0' : intPh[k].ch === '?' ? ' ' : '';
+        }
+        if (intPh.length > 0) intChars[0] = intDigits.slice(0, Math.max(0, intDigits.length - intPh.length)) + intChars[0];
+        if (grouping) {
+            const joined = intChars.join('');
+            const digits = joined.replace(/^ +/, '');
+            intChars.fill('');
+            intChars[0] = joined.slice(0, joined.length - digits.length) + digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        }
+
+        // Decimal placeholders: trailing zeros vanish under # and turn into spaces under ?
+        const decChars = decPh.map((t, i) => decRaw[i] || '0');
+        for (let i = decChars.length - 1; i >= 0 && decChars[i] === '0' && decPh[i].ch !== '0'; i--) {
+            decChars[i] = decPh[i].ch === '?' ? ' ' : '';
+        }
+
+        let out = '';
+        let ip = 0;
+        for (const t of intTokens) {
+            if (t.type === 'digit') out += intChars[ip++];
+            else if (t.type === 'lit') out += t.text;
+            else if (t.type === 'percent') out += '%';
+        }
+        if (point !== -1) {
+            out += '.';
+            let dp = 0;
+            for (const t of decTokens) {
+                if (t.type === 'digit') out += decChars[dp++];
+                else if (t.type === 'lit') out += t.text;
+                else if (t.type === 'percent') out += '%';
+            }
+        }
+        if (exp !== -1) {
+            const expPh = expTokens.filter(t => t.type === 'digit').length;
+            const sign = exponent < 0 ? '-' : tokens[exp].sign === '+' ? '+' : '';
+            out += 'E' + sign + String(Math.abs(exponent)).padStart(expPh, '0');
+            for (const t of expTokens) {
+                if (t.type === 'lit') out += t.text;
+                else if (t.type === 'percent') out += '%';
+            }
+        }
+        return out;
+    }
+
+    /** Fraction sections: "# ?/?", "# ??/??", "?/8" (fixed denominator), "0 ?/?" */
+    function formatFraction(v, tokens, slash) {
+        const before = tokens.slice(0, slash);
+        const after = tokens.slice(slash + 1);
+        // Numerator: the placeholder run right before the slash; a whole part precedes it
+        let numStart = slash;
+        while (numStart > 0 && before[numStart - 1].type === 'digit') numStart--;
+        const wholeTokens = before.slice(0, numStart);
+        const numPh = before.slice(numStart).filter(t => t.type === 'digit');
+        const hasWhole = wholeTokens.some(t => t.type === 'digit');
+
+        const fixedDen = after.length > 0 && after[0].type === 'lit' ? parseInt(after[0].text, 10) : NaN;
+        const denPh = after.filter(t => t.type === 'digit');
+
+        let whole = hasWhole ? Math.floor(v) : 0;
+        const frac = v - whole;
+        let num;
+        let den;
+        if (fixedDen > 0) {
+            den = fixedDen;
+            num = Math.round(frac * den);
+        } else {
+            const maxDen = Math.pow(10, Math.max(1, denPh.length)) - 1;
+            let best = { num: 0, den: 1, err: frac };
+            for (let d = 1; d <= maxDen && best.err > 0; d++) {
+                const n = Math.round(frac * d);
+                const err = Math.abs(frac - n / d);
+                if (err < best.err - 1e-12) best = { num: n, den: d, err };
+            }
+            ({ num, den } = best);
+        }
+        if (hasWhole && num === den) {
+            whole++;
+            num = 0;
+        }
+
+        const wholeText = hasWhole
+            ? (whole === 0 && num !== 0 ? '' : String(whole)).padStart(wholeTokens.filter(t => t.type === 'digit' && t.ch !== '#').length, ' ')
+            : '';
+        const lits = (list) => list.filter(t => t.type === 'lit').map(t => t.text).join('');
+        const sep = lits(wholeTokens.slice(wholeTokens.map(t => t.type).lastIndexOf('digit') + 1));
+        const prefix = lits(wholeTokens.slice(0, wholeTokens.findIndex(t => t.type === 'digit')));
+        const denText = fixedDen > 0 ? after[0].text : String(den).padEnd(denPh.length, ' ');
+        if (hasWhole && num === 0) {
+            return prefix + wholeText + ' '.repeat(sep.length + numPh.length + 1 + denText.length);
+        }
+        const numText = String(hasWhole ? num : num + whole * den).padStart(numPh.length, ' ');
+        return prefix + (wholeText ? wholeText + sep : ' '.repeat(wholeText.length + (hasWhole ? sep.length : 0))) +
+            numText + '/' + denText + lits(fixedDen > 0 ? after.slice(1) : after);
+    }
+
+    /** Date/time sections on a serial date (1900 or 1904 system) */
+    function formatDate(serial, tokens, options) {
+        if (serial < 0) return '#'.repeat(8); // Excel cannot show negative dates
+        const fracDigits = (() => {
+            const idx = tokens.findIndex(t => t.type === 'point');
+            if (idx === -1 || !tokens.slice(0, idx).some(t => t.type === 'date' && t.code[0] === 's' || t.type === 'elapsed')) return 0;
+            let n = 0;
+            for (let i = idx + 1; i < tokens.length && tokens[i].type === 'digit' && tokens[i].ch === '0'; i++) n++;
+            return n;
+        })();
+
+        // Round to the smallest unit shown (Excel rounds times to the second)
+        const scale = Math.pow(10, fracDigits);
+        const totalUnits = Math.round(serial * 86400 * scale);
+        const totalSeconds = Math.floor(totalUnits / scale);
+        const subSecond = totalUnits - totalSeconds * scale;
+        const days = Math.floor(totalSeconds / 86400);
+        const secOfDay = totalSeconds - days * 86400;
+
+        let y;
+        let mo;
+        let d;
+        let weekday;
+        if (options.date1904) {
+            const date = new Date(Date.UTC(1904, 0, 1) + days * 86400000);
+            [y, mo, d, weekday] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCDay()];
+        } else if (days === 60) {
+            [y, mo, d, weekday] = [1900, 2, 29, 3]; // Excel's fictitious 1900-02-29
+        } else if (days === 0) {
+            [y, mo, d, weekday] = [1900, 1, 0, 6]; // 1900-01-00
+        } else {
+            const date = new Date(Date.UTC(1899, 11, days < 60 ? 31 : 30) + days * 86400000);
+            [y, mo, d, weekday] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCDay()];
+        }
+        const utc = Date.UTC(y, mo - 1, Math.max(1, d));
+        const era = ERAS.find(e => utc >= e.start) || null;
+        const eraYear = era ? y - new Date(era.start).getUTCFullYear() + 1 : y;
+
+        const hour = Math.floor(secOfDay / 3600);
+        const minute = Math.floor((secOfDay % 3600) / 60);
+        const second = secOfDay % 60;
+        const twelveHour = tokens.some(t => t.type === 'ampm');
+        const pad = (n, len) => String(n).padStart(len, '0');
+
+        let out = '';
+        for (let i = 0; i < tokens.length; i++) {
+            const t = tokens[i];
+            if (t.type === 'lit') {
+                out += t.text;
+            } else if (t.type === 'elapsed') {
+                const value = t.unit === 'h' ? Math.floor(totalSeconds / 3600)
+                    : t.unit === 'm' ? Math.floor(totalSeconds / 60) : totalSeconds;
+                out += pad(value, t.len);
+            } else if (t.type === 'ampm') {
+                const pm = hour >= 12;
+                out += t.text.length === 3 ? (pm ? t.text[2] : t.text[0]) : (pm ? 'PM' : 'AM');
+            } else if (t.type === 'point') {
+                out += fracDigits > 0 ? '.' + pad(subSecond, fracDigits) : '.';
+                while (tokens[i + 1] && tokens[i + 1].type === 'digit') i++;
+            } else if (t.type === 'date') {
+                const c = t.code;
+                const len = c.length;
+                switch (c[0]) {
+                    case 'y':
+                        out += len <= 2 ? pad(y % 100, 2) : String(y);
+                        break;
+                    case 'm':
+                        if (t.minutes) out += pad(minute, len >= 2 ? 2 : 1);
+                        else if (len === 1 || len === 2) out += pad(mo, len);
+                        else if (len === 3) out += MONTHS[mo - 1].slice(0, 3);
+                        else if (len === 5) out += MONTHS[mo - 1][0];
+                        else out += MONTHS[mo - 1];
+                        break;
+                    case 'd':
+                        if (len <= 2) out += pad(d, len);
+                        else out += len === 3 ? DAYS[weekday].slice(0, 3) : DAYS[weekday];
+                        break;
+                    case 'h': {
+                        const h = twelveHour ? (hour % 12 || 12) : hour;
+                        out += pad(h, Math.min(len, 2));
+                        break;
+                    }
+                    case 's':
+                        out += pad(second, Math.min(len, 2));
+                        break;
+                    case 'g':
+                        out += era ? era.names[Math.min(len, 3) - 1] : '';
+                        break;
+                    case 'e':
+                        out += era ? pad(eraYear, Math.min(len, 2)) : String(y);
+                        break;
+                }
+            } else if (t.type === 'digit') {
+                out += t.ch === '0' ? '0' : '';
+            } else if (t.type === 'comma') {
+                out += ',';
+            } else if (t.type === 'slash') {
+                out += '/';
+            } else if (t.type === 'percent') {
+                out += '%';
+            }
+        }
+        return out;
+    }
+
+    /** Whether a format code shows numbers as dates/times */
+    function isDateFormat(code) {
+        const fmt = compile(code || 'General');
+        return fmt.numeric.length > 0 && fmt.numeric[0].isDate;
+    }
+
+    return {
+        BUILTIN_FORMATS,
+        resolveFormatCode,
+        format,
+        formatWithColor,
+        isDateFormat,
+    };
+})();
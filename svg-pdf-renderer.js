@@ -7,6 +7,11 @@
  * captured canvas image into jsPDF pages.
  *
  * This leverages the browser's native text rendering engine for perfect layout.
+ *
+ * Vector mode (renderer: 'vector') draws the same cell layout directly with jsPDF
+ * text, lines and fills in the embedded Noto Sans font — selectable, searchable text
+ * and much smaller files. Text the font has no glyphs for (e.g. CJK) is rasterized
+ * per cell.
  */
 const SVGPDFRenderer = (() => {
     'use strict';
@@ -14,41 +19,85 @@ const SVGPDFRenderer = (() => {
     const PAGE_SIZES = {
         a4: { w: 210, h: 297 },
         a3: { w: 297, h: 420 },
+        a5: { w: 148, h: 210 },
         letter: { w: 215.9, h: 279.4 },
+        legal: { w: 215.9, h: 355.6 },
     };
 
+    const DEFAULT_MARGINS = { top: 8, right: 6, bottom: 8, left: 6 };
+
+    // Default Office theme by SpreadsheetML theme index (lt1/dk1 and lt2/dk2 come first,
+    // swapped against the order of <a:clrScheme>); overridden by xl/theme/theme1.xml
     const THEME_COLORS = [
         'FFFFFF', '000000', 'E7E6E6', '44546A',
         '4472C4', 'ED7D31', 'A5A5A5', 'FFC000',
-        '5B9BD5', '70AD47',
+        '5B9BD5', '70AD47', '0563C1', '954F72',
+    ];
+
+    // Legacy indexed palette 0–63 (overridden by <indexedColors>); 64/65 are the system
+    // foreground and background
+    const INDEXED_COLORS = [
+        '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+        '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+        '800000', '008000', '000080', '808000', '800080', '008080', 'C0C0C0', '808080',
+        '9999FF', '993366', 'FFFFCC', 'CCFFFF', '660066', 'FF8080', '0066CC', 'CCCCFF',
+        '000080', 'FF00FF', 'FFFF00', '00FFFF', '800080', '800000', '008080', '0000FF',
+        '00CCFF', 'CCFFFF', 'CCFFCC', 'FFFF99', '99CCFF', 'FF99CC', 'CC99FF', 'FFCC99',
+        '3366FF', '33CCCC', '99CC00', 'FFCC00', 'FF9900', 'FF6600', '666699', '969696',
+        '003366', '339966', '003300', '333300', '993300', '993366', '333399', '333333',
+        '000000', 'FFFFFF',
     ];
 
     // ===== Main entry =====
 
+    /**
+     * Render rows to a PDF, from the template layout when one is loaded.
+     * @returns {Promise<Blob>} The PDF; `blob.fontFallback` holds the reason when the
+     *   embedded font could not be loaded and Helvetica was used instead
+     */
     async function renderToPDF(opts) {
         const {
             headers, rows,
             templateData = null,
             title = '',
-            pageSize = 'a4',
-            landscape = false,
-            margins = { top: 8, right: 6, bottom: 8, left: 6 },
+            headerFieldUpdates = {},
+            renderer = 'raster',
+            repeatHeaderRows = false,
+            fit = 'template',
+            pagination = {},
+            fileName = '',
+            sheetName = '',
         } = opts;
 
+        // Page size, orientation and margins default to the template's page setup
         if (templateData && templateData.zip) {
-            return await renderFromTemplate(templateData, rows, pageSize, landscape, margins);
+            const print = TemplateEngine.getPrintSettings(templateData);
+            const margins = { ...DEFAULT_MARGINS };
+            for (const side of Object.keys(DEFAULT_MARGINS)) {
+                const value = opts.margins ? opts.margins[side] : print.margins && print.margins[side];
+                if (value != null && !isNaN(value)) margins[side] = value;
+            }
+            return await renderFromTemplate(templateData, rows,
+                opts.pageSize || print.pageSize || 'a4',
+                opts.landscape ?? print.landscape ?? false,
+                margins, headerFieldUpdates,
+                { renderer, repeatHeaderRows, fit, pagination, print, fileName, sheetName });
         }
-        return await renderSimpleTable(headers, rows, title, pageSize, landscape, margins);
+        return await renderSimpleTable(headers, rows, title, opts.pageSize || 'a4', !!opts.landscape, opts.margins || DEFAULT_MARGINS);
     }
 
     // ===== Template-based rendering =====
 
-    async function renderFromTemplate(templateData, dataRows, pageSize, landscape, margins) {
+    async function renderFromTemplate(templateData, dataRows, pageSize, landscape, margins, headerFieldUpdates = {}, options = {}) {
+        const {
+            renderer = 'raster', repeatHeaderRows = false, fit = 'template', pagination = {},
+            print = {}, fileName = '', sheetName = '',
+        } = options;
         const zip = templateData.zip;
         const analysis = templateData.analysis;
 
         // 1. Parse template XML
-        const sheetXml = await zip.file(templateData.sheetPaths[0]).async('string');
+        const sheetXml = await zip.file(templateData.sheetPath || templateData.sheetPaths[0]).async('string');
         const sheetDoc = new DOMParser().parseFromString(sheetXml, 'application/xml');
 
         // 2. Shared strings
@@ -58,10 +107,13 @@ const SVGPDFRenderer = (() => {
 
         // 3. Styles
         const stylesXml = await zip.file('xl/styles.xml').async('string');
-        const styles = parseStyles(stylesXml);
+        const themeFile = zip.file('xl/theme/theme1.xml');
+        const styles = parseStyles(stylesXml, themeFile ? await themeFile.async('string') : null);
+        const wbFile = zip.file('xl/workbook.xml');
+        styles.date1904 = wbFile ? /<(?:\w+:)?workbookPr\b[^>]*\bdate1904="(?:1|true)"/.test(await wbFile.async('string')) : false;
 
         // 4. Column widths
-        const colWidths = parseColumnWidths(sheetDoc);
+        let colWidths = parseColumnWidths(sheetDoc);
 
         // 5. Merge cells from template
         const merges = parseMergeCells(sheetDoc);
@@ -72,40 +124,153 @@ const SVGPDFRenderer = (() => {
         // 7. Zone detection
         const dataStart = analysis.dataZone.startRowNum;
         const dataEnd = analysis.dataZone.endRowNum;
-        const maxCol = analysis.maxCol || 8;
+        let maxCol = analysis.maxCol || 8;
+
+        // Header/footer field values (keyed by template cell ref, before the footer shift)
+        applyFieldUpdates(allRows, headerFieldUpdates, dataStart, dataEnd);
 
         // 8. Build final rows: header zone + new data + shifted footer
         const headerRows = allRows.filter(r => r.rowNum < dataStart);
         const tplDataRows = allRows.filter(r => r.rowNum >= dataStart && r.rowNum <= dataEnd);
         const footerRows = allRows.filter(r => r.rowNum > dataEnd);
 
-        // FIX 1: Use ONLY the first data row style pattern for consistent font size.
-        // Template may have 2+ data rows with DIFFERENT font sizes — cycling them causes
-        // alternating large/small text. Using only pattern[0] ensures uniformity.
-        const firstPattern = { cellStyles: {}, ht: 18 };
-        if (tplDataRows.length > 0) {
-            firstPattern.ht = tplDataRows[0].ht || 18;
-            for (const cell of tplDataRows[0].cells) {
-                firstPattern.cellStyles[cell.colNum] = cell.s;
+        // Data row style patterns — same cycle as the XLSX output: pattern[0] for every row
+        // unless the template is banded (or banding is forced on). Rows that differ only in
+        // font size would otherwise alternate large/small text.
+        const patterns = (analysis.dataZone.stylePatterns || []).map(p => ({
+            ht: parseFloat(p.ht) || 18,
+            cellStyles: Object.fromEntries(p.pattern.map(c => [c.col, parseInt(c.style || '0')])),
+        }));
+        if (patterns.length === 0) {
+            const firstPattern = { cellStyles: {}, ht: 18 };
+            if (tplDataRows.length > 0) {
+                firstPattern.ht = tplDataRows[0].ht || 18;
+                for (const cell of tplDataRows[0].cells) {
+                    firstPattern.cellStyles[cell.colNum] = cell.s;
+                }
             }
+            patterns.push(firstPattern);
         }
+        const cycleLen = Math.max(1, Math.min(TemplateEngine.getBandCycle(templateData, analysis), patterns.length));
+
+        // Category/subtotal markers (TemplateEngine.buildGroupedRows) copy the template's
+        // category row and footer SUM row, like the XLSX output
+        const categoryRowNum = analysis.dataZone.categoryRows.length > 0 ? analysis.dataZone.categoryRows[0].row.rowNum : null;
+        const categoryTpl = categoryRowNum !== null ? allRows.find(r => r.rowNum === categoryRowNum) : null;
+        const subtotalTpl = footerRows.find(r => r.cells.some(c => /\bSUM\(/i.test(c.formula))) || null;
+        const groupMerges = [];
+        const copyRowMerges = (tplRowNum, rowNum) => {
+            for (const m of merges) {
+                if (m.startRow === tplRowNum && m.endRow === tplRowNum) {
+                    groupMerges.push({ ...m, startRow: rowNum, endRow: rowNum });
+                }
+            }
+        };
 
-        // New data rows — all use the SAME style pattern
-        const newDataRows = [];
-        for (let ri = 0; ri < dataRows.length; ri++) {
-            const rowData = dataRows[ri];
-            const rowNum = dataStart + ri;
+        // Data-row formulas (e.g. amount = qty * price) are moved to each row and computed,
+        // exactly like the XLSX output; other rows' values come from earlier rows / the header zone
+        const tplPatterns = analysis.dataZone.stylePatterns || [];
+        const generatedValues = {};
+        const headerValues = {};
+        for (const row of headerRows) {
+            for (const c of row.cells) headerValues[`${c.colNum}_${row.rowNum}`] = c.t === 's' ? c.display : toCellValue(c.display);
+        }
+        const getCell = (col, row, sheet) => {
+            if (sheet) return null;
+            if (generatedValues[row]) return toCellValue(generatedValues[row][col - 1]);
+            return headerValues[`${col}_${row}`] ?? null;
+        };
 
-            const cells = [];
-            for (let ci = 0; ci < Math.min(rowData.length, maxCol); ci++) {
-                cells.push({
-                    colNum: ci + 1,
-                    s: firstPattern.cellStyles[ci + 1] || 0,
-                    display: String(rowData[ci] ?? ''),
-                    t: '',
-                });
+        // Generated rows grow like the XLSX output's (TemplateEngine.estimateRowHeight)
+        // Estimated from the raw cell values when given (what the XLSX output passes), else the display text
+        const fitHeight = (ht, cells, mergeRowNum = null, values = null) => Math.max(ht || 0, TemplateEngine.estimateRowHeight(
+            cells.map((c, i) => ({ col: c.colNum, style: c.s, text: values ? values[i] : c.display })),
+            analysis, templateData.stylesData, mergeRowNum
+        ));
+
+        const newDataRows = [];
+        let groupData = [];
+        let bandIdx = 0;
+        for (const entry of dataRows) {
+            const rowNum = dataStart + newDataRows.length;
+
+            if (Array.isArray(entry)) {
+                const patternIdx = bandIdx++ % cycleLen;
+                const pattern = patterns[patternIdx];
+                const formulas = tplPatterns[patternIdx]
+                    ? TemplateEngine.buildRowFormulas(analysis, tplPatterns[patternIdx], rowNum, entry, getCell)
+                    : {};
+                const values = [];
+                const cells = [];
+                const colCount = Math.max(Math.min(entry.length, maxCol), ...Object.keys(formulas).map(Number));
+                for (let ci = 0; ci < colCount; ci++) {
+                    const formula = formulas[ci + 1];
+                    const value = formula ? formula.value : entry[ci];
+                    values.push(value);
+                    cells.push({
+                        colNum: ci + 1,
+                        s: pattern.cellStyles[ci + 1] || 0,
+                        display: formatValue(value),
+                        t: formula && typeof formula.value === 'string' ? 'str' : '',
+                    });
+                }
+                generatedValues[rowNum] = values;
+                newDataRows.push({ rowNum, ht: fitHeight(pattern.ht, cells, null, values), cells, generated: true });
+                groupData.push(values);
+            } else if (entry.kind === 'category') {
+                const labelCell = categoryTpl && categoryTpl.cells.find(c => c.display);
+                const labelCol = labelCell ? labelCell.colNum : 1;
+                const cells = [];
+                for (let col = 1; col <= maxCol; col++) {
+                    const tplCell = categoryTpl && categoryTpl.cells.find(c => c.colNum === col);
+                    cells.push({
+                        colNum: col,
+                        s: tplCell ? tplCell.s : (patterns[0].cellStyles[col] || 0),
+                        display: col === labelCol ? String(entry.label ?? '') : '',
+                        t: 's',
+                    });
+                }
+                const ht = categoryTpl ? categoryTpl.ht : patterns[0].ht;
+                newDataRows.push({ rowNum, ht: fitHeight(ht, cells, categoryRowNum), cells, kind: 'category', generated: true });
+                if (categoryTpl) copyRowMerges(categoryTpl.rowNum, rowNum);
+                groupData = [];
+                bandIdx = 0;
+            } else if (entry.kind === 'subtotal') {
+                if (groupData.length === 0) continue;
+                const colSum = (col) => groupData.reduce((sum, r) => {
+                    const num = parseFloat(r[col - 1]);
+                    return isNaN(num) ? sum : sum + num;
+                }, 0);
+                const isNumericCol = (col) => col > 1 &&
+                    groupData.some(r => r[col - 1] !== '' && r[col - 1] != null && !isNaN(r[col - 1])) &&
+                    groupData.every(r => r[col - 1] === '' || r[col - 1] == null || !isNaN(r[col - 1]));
+
+                const cells = [];
+                let labelDone = false;
+                for (let col = 1; col <= maxCol; col++) {
+                    const tplCell = subtotalTpl && subtotalTpl.cells.find(c => c.colNum === col);
+                    const isSum = subtotalTpl
+                        ? !!(tplCell && /\bSUM\(/i.test(tplCell.formula))
+                        : isNumericCol(col);
+                    let display = '';
+                    if (isSum) {
+                        display = String(colSum(col));
+                    } else if (!labelDone && (subtotalTpl ? (tplCell && !tplCell.formula && tplCell.display) : true)) {
+                        display = entry.label != null ? String(entry.label) : (tplCell ? tplCell.display : 'Subtotal');
+                        labelDone = true;
+                    }
+                    cells.push({
+                        colNum: col,
+                        s: tplCell ? tplCell.s : (patterns[0].cellStyles[col] || 0),
+                        display,
+                        t: isSum ? '' : 's',
+                    });
+                }
+                const ht = subtotalTpl ? subtotalTpl.ht : patterns[0].ht;
+                newDataRows.push({ rowNum, ht: fitHeight(ht, cells, subtotalTpl ? subtotalTpl.rowNum : null), cells, kind: 'subtotal', generated: true });
+                if (subtotalTpl) copyRowMerges(subtotalTpl.rowNum, rowNum);
+                groupData = [];
             }
-            newDataRows.push({ rowNum, ht: firstPattern.ht, cells });
         }
 
         // Shift footer
@@ -116,8 +281,22 @@ const SVGPDFRenderer = (() => {
             cells: r.cells.map(c => ({ ...c })),
         }));
 
-        // Evaluate footer formulas — compute SUM/tax/total values from new data
-        evaluateFooterFormulas(shiftedFooter, newDataRows, dataStart, maxCol);
+        // Evaluate header/footer formulas — SUM/tax/total values computed from the new data
+        const dataRuns = [];
+        for (const row of newDataRows) {
+            if (row.kind) continue; // Category/subtotal rows are not covered by footer totals
+            const lastRun = dataRuns[dataRuns.length - 1];
+            if (lastRun && lastRun[1] === row.rowNum - 1) lastRun[1] = row.rowNum;
+            else dataRuns.push([row.rowNum, row.rowNum]);
+        }
+        evaluateSheetFormulas([...headerRows, ...newDataRows, ...shiftedFooter], {
+            dataStart,
+            dataEnd,
+            newDataEnd: dataStart + newDataRows.length - 1,
+            footerStart: analysis.footerZone.rows[0]?.rowNum || dataEnd + 1,
+            shift,
+            dataRuns: newDataRows.some(row => row.kind) ? dataRuns : null, // Only grouping splits the data
+        });
 
         // Adjust merges
         const adjustedMerges = [];
@@ -134,15 +313,36 @@ const SVGPDFRenderer = (() => {
             }
         }
 
+        adjustedMerges.push(...groupMerges);
+
+        // Print area (template coordinates): footer rows move with the data, and an area
+        // ending inside the data zone still covers every generated row
+        let printRows = [...headerRows, ...newDataRows, ...shiftedFooter];
+        let printMerges = adjustedMerges;
+        const area = print.printArea;
+        if (area) {
+            const newDataEnd = dataStart + newDataRows.length - 1;
+            const firstRow = area.startRow || 1;
+            const lastRow = area.endRow === null ? Infinity
+                : area.endRow > dataEnd ? area.endRow + shift
+                    : area.endRow >= dataStart ? newDataEnd : area.endRow;
+            const firstCol = area.startCol || 1;
+            const lastCol = Math.min(area.endCol || maxCol, maxCol);
+            printRows = printRows.filter(r => r.rowNum >= firstRow && r.rowNum <= lastRow);
+            ({ rows: printRows, merges: printMerges, colWidths } =
+                clipColumns(printRows, printMerges, colWidths, firstCol, lastCol, firstRow, lastRow));
+            maxCol = lastCol - firstCol + 1;
+        }
+
         // Build merge map
-        const mergeMap = buildMergeMap(adjustedMerges);
+        const mergeMap = buildMergeMap(printMerges);
 
         // DEFINITIVE FIX: Collapse consecutive empty rows.
         // Previous approaches (merge-aware filter, trailing trim) failed because
         // empty rows are INSIDE merge cells whose origin has content (e.g. 備考 spans 10 rows).
         // New approach: simply walk through ALL rows and collapse any run of 2+ consecutive
         // empty rows into a single spacer. This is universal and handles all cases.
-        const allRowsUnsorted = [...headerRows, ...newDataRows, ...shiftedFooter];
+        const allRowsUnsorted = printRows;
         allRowsUnsorted.sort((a, b) => a.rowNum - b.rowNum);
 
         const hasContent = (row) => row.cells.some(c => c.display && String(c.display).trim().length > 0);
@@ -165,206 +365,531 @@ const SVGPDFRenderer = (() => {
         // 9. Calculate page dimensions (in pixels for HTML)
         const pgBase = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
         const pw = landscape ? pgBase.h : pgBase.w; // mm
+        const ph = landscape ? pgBase.w : pgBase.h;
         const contentWidthMM = pw - margins.left - margins.right;
         const PX_PER_MM = 3.78; // 96 dpi
         const contentWidthPX = Math.round(contentWidthMM * PX_PER_MM);
+        const contentHeightPX = Math.round((ph - margins.top - margins.bottom) * PX_PER_MM);
 
         // Use 100% Excel template column widths — the template designer set these proportions.
         // Header text uses overflow:visible so it doesn't need wider columns.
         let totalExcelW = 0;
         for (let c = 1; c <= maxCol; c++) totalExcelW += (colWidths[c] || 8.43);
+
+        // Scaling: the layout fills the content width (zoom 1) and shrinks uniformly for
+        // fit-to-N-pages-tall or a percentage scale narrower than the page
+        let zoom = 1;
+        if (fit === 'page' || (fit === 'template' && print.fitToPage)) {
+            const pagesTall = fit === 'page' ? 1 : print.fitToHeight;
+            const totalH = allFinalRows.reduce((sum, r) => sum + rowHeightPx(r), 0);
+            if (pagesTall > 0 && totalH > 0) zoom = Math.min(1, pagesTall * contentHeightPX / totalH);
+        } else if (fit === 'template' && print.scale) {
+            const naturalPX = totalExcelW * 7 + maxCol * 5; // Excel width in characters → px at 100%
+            zoom = Math.min(1, naturalPX * (print.scale / 100) / contentWidthPX);
+        }
+        const tableWidthPX = Math.round(contentWidthPX * zoom);
+        const view = { zoom, centered: !!print.horizontalCentered, contentWidthPX };
+
         const colPxWidths = {};
         for (let c = 1; c <= maxCol; c++) {
-            colPxWidths[c] = Math.round(((colWidths[c] || 8.43) / totalExcelW) * contentWidthPX);
+            colPxWidths[c] = Math.round(((colWidths[c] || 8.43) / totalExcelW) * tableWidthPX);
         }
 
-        // FIX 5: Extract seal/stamp images from template with position info
-        let sealImages = [];
-        try {
-            sealImages = await extractTemplateImages(zip, dataStart, dataEnd, shift);
-        } catch (e) { /* ignore if no images */ }
+        // Template pictures (seals, logos) and charts at their anchors, moved with the footer.
+        // Chart series read the generated rows, like the refreshed caches of the XLSX output.
+        const tableW = Object.values(colPxWidths).reduce((sum, w) => sum + w, 0);
+        const templateSheetName = (templateData.sheetNames || [])[templateData.sheetIndex || 0] || '';
+        const charts = (analysis.charts || []).map(anchor => ({
+            ...anchor,
+            chart: resolveChartData(anchor.chart, templateSheetName, [...headerRows, ...newDataRows, ...shiftedFooter], {
+                dataStart, dataEnd, newDataEnd: dataStart + newDataRows.length - 1, rowShift: shift,
+            }),
+        }));
+        const images = await placeTemplateImages(zip, [...(analysis.images || []), ...charts], {
+            rows: allFinalRows,
+            templateRows: allRows,
+            sheetColWidths: parseColumnWidths(sheetDoc),
+            colPxWidths,
+            maxCol,
+            firstCol: area ? area.startCol || 1 : 1,
+            zoom,
+            offsetX: view.centered ? Math.max(0, (contentWidthPX - tableW) / 2) : 0,
+            mapRow: (rowNum) => rowNum > dataEnd ? rowNum + shift : rowNum,
+        });
+
+        // Column header / print title rows repeated on every page (indexes into allFinalRows)
+        let titleRows = null;
+        const repeatRange = repeatHeaderRows ? TemplateEngine.getRepeatRows(templateData, analysis) : null;
+        if (repeatRange) {
+            const inRange = (r) => r.rowNum >= repeatRange.startRow && r.rowNum <= repeatRange.endRow;
+            const first = allFinalRows.findIndex(inRange);
+            if (first !== -1) {
+                let last = first;
+                while (last + 1 < allFinalRows.length && inRange(allFinalRows[last + 1])) last++;
+                titleRows = { first, last };
+            }
+        }
+
+        const pageRules = buildPageRules(allFinalRows, printMerges, analysis, {
+            ...pagination,
+            newDataEnd: dataStart + newDataRows.length - 1,
+            shift,
+        });
+
+        // Template header/footer (&L/&C/&R sections) — replaces the plain page number
+        const headerFooter = analysis.headerFooter || null;
+        const decor = {
+            headerFooter,
+            images: {},
+            fileName,
+            sheetName: sheetName || (templateData.sheetNames || [])[templateData.sheetIndex || 0] || '',
+            left: margins.left,
+            right: margins.right,
+            // Excel's header/footer distance; 0 would print on the paper edge
+            headerY: Math.max(print.margins?.header ?? 7.6, 4),
+            footerY: Math.max(print.margins?.footer ?? 7.6, 4),
+        };
+        for (const [id, img] of Object.entries(headerFooter ? headerFooter.images : {})) {
+            const file = zip.file(img.path);
+            if (!file) continue;
+            const ext = img.path.split('.').pop().toLowerCase();
+            const mime = ext === 'jpg' || ext === 'jpeg' ? 'image/jpeg' : 'image/png';
+            decor.images[id] = {
+                ...img,
+                format: mime === 'image/jpeg' ? 'JPEG' : 'PNG',
+                dataUrl: `data:${mime};base64,${await file.async('base64')}`,
+            };
+        }
+
+        if (renderer === 'vector') {
+            return await vectorTableToPDF(allFinalRows, mergeMap, styles, maxCol, colPxWidths, dataStart,
+                pageSize, landscape, margins, images, titleRows, view, decor, pageRules);
+        }
 
         // 10. Build HTML table
-        const html = buildFullHTML(allFinalRows, mergeMap, styles, maxCol, colPxWidths, contentWidthPX, dataStart);
+        const html = buildFullHTML(allFinalRows, mergeMap, styles, maxCol, colPxWidths, tableWidthPX, dataStart, view);
 
         // 11. Render HTML → Canvas → PDF (with row-aware page breaks)
-        return await htmlCanvasToPDF(html, pageSize, landscape, margins, contentWidthPX, sealImages);
+        return await htmlCanvasToPDF(html, pageSize, landscape, margins, contentWidthPX, images, titleRows, decor, pageRules);
     }
 
-    // ===== Build HTML table =====
+    // ===== Pagination =====
 
-    function buildFullHTML(rows, mergeMap, styles, maxCol, colPxWidths, totalWidth, dataStartRowNum) {
-        let html = `<table style="border-collapse:collapse; width:${totalWidth}px; table-layout:fixed; font-family:'MS PGothic','Yu Gothic','Meiryo',sans-serif; font-size:10px;">`;
+    /**
+     * Page break rules for the final rows (indexes into rows):
+     * - breaks: rows that must start a page — the template's manual <rowBreaks> (footer
+     *   breaks move with the data, breaks inside the sample data zone are dropped) and,
+     *   with groupPageBreaks, every category row after the first
+     * - keeps: [first, last] runs that move to the next page as a whole when they fit there —
+     *   vertical merges (備考 blocks), the footer block with the last keepFooterRows data
+     *   rows, and with avoidOrphans the first/last two rows of each data run, category rows
+     *   with the row below, subtotals with the row above and the column header with data
+     */
+    function buildPageRules(rows, merges, analysis, options) {
+        const { groupPageBreaks = false, keepFooterRows = null, avoidOrphans = false, newDataEnd, shift } = options;
+        const dataStart = analysis.dataZone.startRowNum;
+        const dataEnd = analysis.dataZone.endRowNum;
+        const breaks = new Set();
+        const keeps = [];
+        const firstIndexAfter = (rowNum) => rows.findIndex(r => r.rowNum > rowNum);
+        const keep = (first, last) => {
+            if (first >= 0 && last > first && last < rows.length) keeps.push([first, last]);
+        };
 
-        // Colgroup for fixed widths
-        html += '<colgroup>';
-        for (let c = 1; c <= maxCol; c++) {
-            html += `<col style="width:${colPxWidths[c]}px">`;
+        for (const brk of analysis.rowBreaks || []) {
+            if (brk >= dataStart && brk < dataEnd) continue;
+            const idx = firstIndexAfter(brk >= dataEnd ? brk + shift : brk);
+            if (idx > 0) breaks.add(idx);
         }
-        html += '</colgroup>';
 
-        for (const row of rows) {
-            const cellMap = {};
-            for (const cell of row.cells) cellMap[cell.colNum] = cell;
-
-            const rowH = Math.max(Math.round((row.ht || 16) * 1.15), 14);
-            html += `<tr style="height:${rowH}px">`;
+        const categoryIdx = [];
+        const dataIdx = [];
+        rows.forEach((row, i) => {
+            if (row.kind === 'category') categoryIdx.push(i);
+            else if (row.generated && !row.kind) dataIdx.push(i);
+        });
+        if (groupPageBreaks) {
+            for (const i of categoryIdx.slice(1)) breaks.add(i);
+        }
 
-            let skipUntilCol = 0;
+        for (const m of merges) {
+            if (m.endRow <= m.startRow) continue;
+            const first = rows.findIndex(r => r.rowNum >= m.startRow);
+            let last = first;
+            while (last + 1 < rows.length && rows[last + 1].rowNum <= m.endRow) last++;
+            keep(first, last);
+        }
 
-            for (let c = 1; c <= maxCol; c++) {
-                if (c <= skipUntilCol) continue;
+        if (keepFooterRows != null && keepFooterRows >= 0) {
+            const footerIdx = firstIndexAfter(newDataEnd);
+            if (footerIdx !== -1) {
+                const n = Math.min(keepFooterRows, dataIdx.length);
+                keep(n > 0 ? dataIdx[dataIdx.length - n] : footerIdx, rows.length - 1);
+            }
+        }
 
-                const key = `${row.rowNum},${c}`;
-                const merge = mergeMap[key];
+        if (avoidOrphans) {
+            if (dataIdx.length > 0) keep(dataIdx[0] - 1, dataIdx[0] + 1);
+            for (const i of categoryIdx) keep(i, i + 1);
+            rows.forEach((row, i) => {
+                if (row.kind === 'subtotal') keep(i - 1, i);
+            });
+            // Consecutive data rows form a run; each end keeps two rows together
+            let runStart = 0;
+            for (let k = 1; k <= dataIdx.length; k++) {
+                if (k < dataIdx.length && dataIdx[k] === dataIdx[k - 1] + 1) continue;
+                const first = dataIdx[runStart];
+                const last = dataIdx[k - 1];
+                if (last - first >= 2) {
+                    keep(first, first + 1);
+                    keep(last - 1, last);
+                }
+                runStart = k;
+            }
+        }
 
-                if (merge && !merge.isOrigin) continue; // covered by explicit merge
+        return { breaks, keeps };
+    }
 
-                let colspanAttr = 1;
-                let rowspanAttr = 1;
-                let cellW = colPxWidths[c];
+    /**
+     * Choose the first row of every page. A page ends before the row that no longer fits
+     * or at a forced break; a page break that would split a keep run moves up to the run's
+     * start instead, when the run fits on one page and something stays on the current page.
+     * @param {number[]} heights - Row heights (any unit)
+     * @param {number} pageH - Content height of a page (same unit)
+     * @param {Object} [options]
+     * @param {{first: number, last: number}|null} [options.titleRows] - Repeated on later pages
+     * @param {number} [options.titleH] - Height taken by the repeated title rows
+     * @param {{breaks: Set<number>, keeps: number[][]}|null} [options.rules] - buildPageRules output
+     * @returns {number[]} Index of the first row on each page
+     */
+    function planPages(heights, pageH, options = {}) {
+        const { titleRows = null, titleH = 0, rules = null } = options;
+        const breaks = rules ? rules.breaks : new Set();
+        const keeps = rules ? rules.keeps : [];
+        const available = (start) => pageH - (titleH > 0 && start > titleRows.last ? titleH : 0);
+        const runHeight = (first, last) => {
+            let h = 0;
+            for (let i = first; i <= last; i++) h += heights[i];
+            return h;
+        };
 
-                if (merge && merge.isOrigin) {
-                    colspanAttr = merge.colspan || 1;
-                    rowspanAttr = merge.rowspan || 1;
-                    cellW = 0;
-                    for (let mc = merge.startCol; mc <= merge.endCol; mc++) {
-                        cellW += (colPxWidths[mc] || 40);
-                    }
-                } else {
-                    // Breakthrough Auto-Colspan: If this cell has text, and adjacent cells are empty,
-                    // absorb them so the text has room to breathe, mirroring Excel's visual overflow.
-                    const cell = cellMap[c];
-                    if (cell && cell.display && String(cell.display).trim().length > 0) {
-                        for (let nc = c + 1; nc <= maxCol; nc++) {
-                            const nextKey = `${row.rowNum},${nc}`;
-                            const nextMerge = mergeMap[nextKey];
-                            const nextCell = cellMap[nc];
-
-                            // Stop if hitting an explicit merge
-                            if (nextMerge) break;
-
-                            // Stop if next cell has its own text
-                            if (nextCell && nextCell.display && String(nextCell.display).trim().length > 0) break;
-
-                            // Stop if next cell has a distinct background color (don't erase visual blocks)
-                            let hasDistinctFill = false;
-                            if (nextCell && nextCell.s) {
-                                const nxf = styles.xfs[nextCell.s] || {};
-                                const nfill = styles.fills[nxf.fillId] || {};
-                                if (nfill.pattern && nfill.pattern !== 'none' && nfill.pattern !== 'gray125') {
-                                    hasDistinctFill = true;
-                                }
+        const starts = [0];
+        let start = 0;
+        let y = 0;
+        for (let i = 0; i < heights.length; i++) {
+            if (i > start && (breaks.has(i) || y + heights[i] > available(start))) {
+                let breakAt = i;
+                if (!breaks.has(i)) {
+                    let moved = true;
+                    while (moved) {
+                        moved = false;
+                        for (const [first, last] of keeps) {
+                            if (first > start && first < breakAt && last >= breakAt &&
+                                runHeight(first, last) <= available(first)) {
+                                breakAt = first;
+                                moved = true;
                             }
-                            if (hasDistinctFill) break;
-
-                            // Safe to absorb this empty column!
-                            colspanAttr++;
                         }
                     }
                 }
+                start = breakAt;
+                starts.push(start);
+                y = runHeight(start, i - 1);
+            }
+            y += heights[i];
+        }
+        return starts;
+    }
 
-                if (colspanAttr > 1 && !(merge && merge.isOrigin)) {
-                    skipUntilCol = c + colspanAttr - 1;
-                }
+    // ===== Cell layout (shared by the HTML and vector renderers) =====
+
+    /** Row height in layout pixels (the HTML table's px) */
+    function rowHeightPx(row, zoom = 1) {
+        return Math.max(Math.round((row.ht || 16) * 1.15 * zoom), Math.round(14 * zoom));
+    }
+
+    /**
+     * Cells drawn for one row: explicit merge origins, covered cells skipped, and text
+     * cells that absorb the empty neighbours to their right.
+     * @returns {Array<{col: number, colspan: number, rowspan: number, cell: Object}>}
+     */
+    function layoutRowCells(row, mergeMap, styles, maxCol) {
+        const cellMap = {};
+        for (const cell of row.cells) cellMap[cell.colNum] = cell;
+
+        const items = [];
+        let skipUntilCol = 0;
+
+        for (let c = 1; c <= maxCol; c++) {
+            if (c <= skipUntilCol) continue;
+
+            const key = `${row.rowNum},${c}`;
+            const merge = mergeMap[key];
+
+            if (merge && !merge.isOrigin) continue; // covered by explicit merge
 
+            let colspan = 1;
+            let rowspan = 1;
+
+            if (merge && merge.isOrigin) {
+                colspan = merge.colspan || 1;
+                rowspan = merge.rowspan || 1;
+            } else {
+                // Breakthrough Auto-Colspan: If this cell has text, and adjacent cells are empty,
+                // absorb them so the text has room to breathe, mirroring Excel's visual overflow.
+                // Wrapped, shrunk, rotated and justified text stays inside its own cell.
                 const cell = cellMap[c];
-                // Header zone rows: use overflow:visible so long text spills into adjacent empty cells,
-                // exactly like Excel's visual overflow behavior. Data zone keeps overflow:hidden.
-                const isHeaderZone = dataStartRowNum && row.rowNum < dataStartRowNum;
-                const css = buildCellCSS(cell, styles, isHeaderZone);
-                let content = '';
-
-                if (cell && cell.display) {
-                    // Format numbers
-                    const xf = styles.xfs[cell.s] || {};
-                    const numFmtId = xf.numFmtId || 0;
-                    if (numFmtId > 0 && cell.t !== 's' && !isNaN(parseFloat(cell.display))) {
-                        content = formatNumber(cell.display, numFmtId, styles.numFmts);
-                    } else {
-                        content = cell.display;
+                const align = cell ? (styles.xfs[cell.s] || {}).alignment || {} : {};
+                const contained = align.wrapText || align.shrinkToFit || align.textRotation ||
+                    ['justify', 'distributed', 'fill'].includes(align.horizontal);
+                if (cell && !contained && cell.display && String(cell.display).trim().length > 0) {
+                    for (let nc = c + 1; nc <= maxCol; nc++) {
+                        const nextKey = `${row.rowNum},${nc}`;
+                        const nextMerge = mergeMap[nextKey];
+                        const nextCell = cellMap[nc];
+
+                        // Stop if hitting an explicit merge
+                        if (nextMerge) break;
+
+                        // Stop if next cell has its own text
+                        if (nextCell && nextCell.display && String(nextCell.display).trim().length > 0) break;
+
+                        // Stop if next cell has a distinct background color (don't erase visual blocks)
+                        let hasDistinctFill = false;
+                        if (nextCell && nextCell.s) {
+                            const nxf = styles.xfs[nextCell.s] || {};
+                            const nfill = styles.fills[nxf.fillId] || {};
+                            if (nfill.pattern && nfill.pattern !== 'none' && nfill.pattern !== 'gray125') {
+                                hasDistinctFill = true;
+                            }
+                        }
+                        if (hasDistinctFill) break;
+
+                        // Safe to absorb this empty column!
+                        colspan++;
                     }
                 }
-
-                const colspanStr = colspanAttr > 1 ? ` colspan="${colspanAttr}"` : '';
-                const rowspanStr = rowspanAttr > 1 ? ` rowspan="${rowspanAttr}"` : '';
-                html += `<td${colspanStr}${rowspanStr} style="${css}">${escapeHtml(content)}</td>`;
+                if (colspan > 1) skipUntilCol = c + colspan - 1;
             }
-            html += '</tr>';
+
+            items.push({ col: c, colspan, rowspan, cell: cellMap[c] });
         }
+        return items;
+    }
 
-        html += '</table>';
-        return html;
+    /** Displayed text of a cell (number formats applied) */
+    function cellText(cell, styles) {
+        return formatCell(cell, styles).text;
     }
 
-    function buildCellCSS(cell, styles, isHeaderZone) {
-        // Header zone: overflow:visible so text flows into adjacent empty cells (like Excel)
-        // Data zone: overflow:hidden to keep rows clean
-        const overflow = isHeaderZone ? 'overflow:visible; white-space:nowrap;' : 'overflow:hidden; white-space:nowrap;';
-        let css = `padding:1px 3px; ${overflow} vertical-align:middle;`;
-        if (!cell) return css;
+    /**
+     * Cell value through its number format (NumberFormat): text and the section color
+     * ([Red] etc., RRGGBB or null). Shared strings and formula strings go to the @ section.
+     */
+    function formatCell(cell, styles) {
+        if (!cell || cell.display === null || cell.display === undefined || cell.display === '') return { text: '', color: null };
+        if (cell.t === 'e') return { text: String(cell.display), color: null };
+        const xf = styles.xfs[cell.s] || {};
+        const code = NumberFormat.resolveFormatCode(xf.numFmtId || 0, styles.numFmts);
+        let value;
+        if (cell.t === 's' || cell.t === 'str' || cell.t === 'inlineStr') value = String(cell.display);
+        else if (cell.t === 'b') value = cell.display === '1' || cell.display === 'TRUE';
+        else value = toCellValue(cell.display);
+        return NumberFormat.formatWithColor(value, code, { date1904: styles.date1904 });
+    }
 
+    /**
+     * Resolved look of a cell: font size in layout px, colors as RRGGBB, alignment and
+     * borders ({ width: px, color } per side). Text control: wrap, shrink, indent (px),
+     * rotation (degrees counterclockwise, -90..90) and vertical (stacked characters).
+     */
+    function resolveCellStyle(cell, styles, isHeaderZone, zoom = 1) {
         const xf = styles.xfs[cell.s] || {};
         const font = styles.fonts[xf.fontId] || {};
         const fill = styles.fills[xf.fillId] || {};
         const border = isHeaderZone ? {} : (styles.borders[xf.borderId] || {}); // FIX 2: No borders in header zone
         const align = xf.alignment || {};
 
-        // Font
-        const fontSize = Math.min(font.size || 10, 14);
-        css += `font-size:${fontSize}px;`;
-        if (font.bold) css += 'font-weight:bold;';
+        // Font color: explicit, theme (with tint) or indexed; automatic is black
+        let color = resolveColor(font.color, styles.palette) || '000000';
+        const formatColor = formatCell(cell, styles).color; // [Red] negatives etc. win over the font
+        if (formatColor) color = formatColor;
+
+        let hAlign = 'left';
+        if (align.horizontal === 'center' || align.horizontal === 'centerContinuous') hAlign = 'center';
+        else if (align.horizontal === 'right') hAlign = 'right';
+        else if (align.horizontal === 'justify' || align.horizontal === 'distributed') hAlign = align.horizontal;
+        else if (!align.horizontal && cell.display && !isNaN(parseFloat(cell.display)) && cell.t !== 's') hAlign = 'right';
+
+        // textRotation: 1–90 counterclockwise, 91–180 clockwise by (value - 90), 255 vertical
+        const rotation = align.textRotation > 0 && align.textRotation <= 90 ? align.textRotation
+            : align.textRotation > 90 && align.textRotation <= 180 ? 90 - align.textRotation : 0;
+
+        return {
+            fontSize: (font.size || 10) * zoom,
+            bold: !!font.bold,
+            italic: !!font.italic,
+            underline: !!font.underline,
+            strike: !!font.strike,
+            color,
+            fill: resolveFillColor(fill, styles.palette),
+            hAlign,
+            vAlign: align.vertical === 'top' ? 'top' : align.vertical === 'bottom' ? 'bottom' : 'middle',
+            wrap: !!align.wrapText,
+            shrink: !!align.shrinkToFit && !align.wrapText,
+            indent: (align.indent || 0) * INDENT_PX * zoom,
+            rotation,
+            vertical: align.textRotation === 255,
+            borders: {
+                top: resolveBorder(border.top, styles.palette),
+                bottom: resolveBorder(border.bottom, styles.palette),
+                left: resolveBorder(border.left, styles.palette),
+                right: resolveBorder(border.right, styles.palette),
+            },
+        };
+    }
+
+    function resolveBorder(b, palette) {
+        if (!b || !b.style) return null;
+        const widths = { thin: 0.5, medium: 1.5, thick: 2.5, hair: 0.5 };
+        // Automatic (or missing) border color is black, like Excel
+        return { width: widths[b.style] || 0.5, color: resolveColor(b.color, palette) || '000000' };
+    }
+
+    /**
+     * Rich text runs of a cell, resolved like resolveCellStyle: { text, fontSize, fontFamily,
+     * bold, italic, underline, strike, color, vertAlign }. Null for plain cells, and once the
+     * shown text is no longer the shared string (replaced or number-formatted).
+     */
+    function resolveCellRuns(cell, text, st, styles, zoom = 1) {
+        if (!cell || !cell.runs || cell.runs.map(r => r.text).join('') !== text) return null;
+        return cell.runs.map(({ text: runText, font }) => (font ? {
+            text: runText,
+            fontSize: font.size ? font.size * zoom : st.fontSize,
+            fontFamily: font.name,
+            bold: font.bold,
+            italic: font.italic,
+            underline: font.underline,
+            strike: font.strike,
+            color: resolveColor(font.color, styles.palette) || '000000',
+            vertAlign: font.vertAlign,
+        } : {
+            text: runText, fontSize: st.fontSize, fontFamily: null, bold: st.bold,
+            italic: st.italic, underline: st.underline, strike: st.strike, color: st.color, vertAlign: null,
+        }));
+    }
+
+    /** Rich text runs → inline spans */
+    function runsToHTML(runs) {
+        return runs.map(r => {
+            let css = `font-size:${r.vertAlign ? r.fontSize * SCRIPT_SCALE : r.fontSize}px; color:#${r.color};`;
+            css += `font-weight:${r.bold ? 'bold' : 'normal'};`;
+            if (r.fontFamily) css += `font-family:'${r.fontFamily.replace(/'/g, '')}','MS PGothic','Yu Gothic','Meiryo',sans-serif;`;
+            if (r.italic) css += 'font-style:italic;';
+            const decorations = [r.underline && 'underline', r.strike && 'line-through'].filter(Boolean);
+            if (decorations.length) css += `text-decoration:${decorations.join(' ')};`;
+            if (r.vertAlign) css += `vertical-align:${r.vertAlign === 'superscript' ? 'super' : 'sub'};`;
+            return `<span style="${css}">${escapeHtml(r.text)}</span>`;
+        }).join('');
+    }
+
+    // ===== Build HTML table =====
+
+    function buildFullHTML(rows, mergeMap, styles, maxCol, colPxWidths, totalWidth, dataStartRowNum, view = {}) {
+        const { zoom = 1, centered = false } = view;
+        const margin = centered ? ' margin:0 auto;' : '';
+        let html = `<table style="border-collapse:collapse; width:${totalWidth}px; table-layout:fixed;${margin} font-family:'MS PGothic','Yu Gothic','Meiryo',sans-serif; font-size:10px;">`;
 
-        // Font color: default to BLACK. Only override with explicit RGB (not theme+tint).
-        // Theme colors with tint produce gray text — we want solid black for readability.
-        css += 'color:#000000;';
-        if (font.colorRgb) {
-            const rgb = font.colorRgb.length === 8 ? font.colorRgb.substring(2) : font.colorRgb;
-            // Only apply non-white, non-near-black colors (actual colored text)
-            if (rgb !== '000000' && rgb !== 'FFFFFF' && rgb !== 'FF000000') {
-                css += `color:#${rgb};`;
+        // Colgroup for fixed widths
+        html += '<colgroup>';
+        for (let c = 1; c <= maxCol; c++) {
+            html += `<col style="width:${colPxWidths[c]}px">`;
+        }
+        html += '</colgroup>';
+
+        for (const row of rows) {
+            html += `<tr style="height:${rowHeightPx(row, zoom)}px">`;
+
+            // Header zone rows: use overflow:visible so long text spills into adjacent empty cells,
+            // exactly like Excel's visual overflow behavior. Data zone keeps overflow:hidden.
+            const isHeaderZone = dataStartRowNum && row.rowNum < dataStartRowNum;
+
+            for (const item of layoutRowCells(row, mergeMap, styles, maxCol)) {
+                const content = cellText(item.cell, styles);
+                let width = 0;
+                for (let c = item.col; c < item.col + item.colspan; c++) width += colPxWidths[c] || 0;
+                const css = buildCellCSS(item.cell, styles, isHeaderZone, zoom, { text: content, width });
+                const colspanStr = item.colspan > 1 ? ` colspan="${item.colspan}"` : '';
+                const rowspanStr = item.rowspan > 1 ? ` rowspan="${item.rowspan}"` : '';
+                html += `<td${colspanStr}${rowspanStr} style="${css}">${cellContentHTML(item.cell, content, styles, isHeaderZone, zoom)}</td>`;
             }
+            html += '</tr>';
         }
 
-        // Fill
-        const bg = resolveFillColor(fill);
-        if (bg) css += `background-color:#${bg};`;
+        html += '</table>';
+        return html;
+    }
 
-        // Alignment
-        if (align.horizontal === 'center') css += 'text-align:center;';
-        else if (align.horizontal === 'right') css += 'text-align:right;';
-        else if (cell.display && !isNaN(parseFloat(cell.display)) && cell.t !== 's') css += 'text-align:right;';
+    /**
+     * @param {Object} [fit] - { text, width }: shown text and cell width (px), for shrinkToFit
+     */
+    function buildCellCSS(cell, styles, isHeaderZone, zoom = 1, fit = null) {
+        // Header zone: overflow:visible so text flows into adjacent empty cells (like Excel)
+        // Data zone: overflow:hidden to keep rows clean. Wrapped text grows the row instead.
+        const st = cell ? resolveCellStyle(cell, styles, isHeaderZone, zoom) : null;
+        const overflow = st && (st.wrap || st.vertical) ? 'overflow:hidden; white-space:pre-wrap; overflow-wrap:anywhere;'
+            : isHeaderZone ? 'overflow:visible; white-space:nowrap;' : 'overflow:hidden; white-space:nowrap;';
+        const indentLeft = st && st.hAlign !== 'right' && st.hAlign !== 'center' ? st.indent : 0;
+        const indentRight = st && (st.hAlign === 'right' || st.hAlign === 'distributed') ? st.indent : 0;
+        let css = `padding:1px ${3 + indentRight}px 1px ${3 + indentLeft}px; ${overflow} vertical-align:middle;`;
+        if (!cell) return css;
 
-        if (align.vertical === 'center') css += 'vertical-align:middle;';
-        else if (align.vertical === 'top') css += 'vertical-align:top;';
+        let fontSize = st.fontSize;
+        if (st.shrink && fit && fit.text) {
+            const room = fit.width - 6 - indentLeft - indentRight;
+            const textW = measureTextPx(fit.text, { ...st, vertAlign: null });
+            if (textW > room && room > 0) fontSize *= room / textW;
+        }
+        css += `font-size:${fontSize}px;`;
+        if (st.bold) css += 'font-weight:bold;';
+        if (st.italic) css += 'font-style:italic;';
+        const decorations = [st.underline && 'underline', st.strike && 'line-through'].filter(Boolean);
+        if (decorations.length) css += `text-decoration:${decorations.join(' ')};`;
+        css += `color:#${st.color};`;
+        if (st.fill) css += `background-color:#${st.fill};`;
+        if (st.vertical) css += 'text-align:center; line-height:1.05;';
+        else if (st.hAlign === 'distributed') css += 'text-align:justify; text-align-last:justify;';
+        else if (st.hAlign !== 'left') css += `text-align:${st.hAlign};`;
+        if (st.vAlign !== 'middle') css += `vertical-align:${st.vAlign};`;
 
         // Borders — only draw if explicitly defined in template
-        css += borderSideCSS('top', border.top);
-        css += borderSideCSS('bottom', border.bottom);
-        css += borderSideCSS('left', border.left);
-        css += borderSideCSS('right', border.right);
-
+        for (const side of ['top', 'bottom', 'left', 'right']) {
+            const b = st.borders[side];
+            if (b) css += `border-${side}:${b.width}px solid #${b.color};`;
+        }
         return css;
     }
 
-    function borderSideCSS(side, b) {
-        if (!b || !b.style) return '';
-        const widths = { thin: '0.5px', medium: '1.5px', thick: '2.5px', hair: '0.5px' };
-        const w = widths[b.style] || '0.5px';
-        // Use black borders to match Excel template appearance
-        let color = '#000';
-        if (b.color) {
-            const resolved = b.color.length === 8 ? b.color.substring(2) : b.color;
-            if (resolved !== '000000' && resolved !== 'FF000000') {
-                color = '#' + resolved;
-            }
+    /** Inner HTML of a cell: rich text spans, one character per line for vertical text, rotated text */
+    function cellContentHTML(cell, content, styles, isHeaderZone, zoom) {
+        if (!cell || !content) return '';
+        const st = resolveCellStyle(cell, styles, isHeaderZone, zoom);
+        const runs = resolveCellRuns(cell, content, st, styles, zoom);
+        if (st.vertical) {
+            const chars = runs
+                ? runs.flatMap(r => Array.from(r.text.replace(/\n/g, '')).map(ch => runsToHTML([{ ...r, text: ch }])))
+                : Array.from(content.replace(/\n/g, '')).map(escapeHtml);
+            return chars.join('<br>');
         }
-        return `border-${side}:${w} solid ${color};`;
+        const inner = runs ? runsToHTML(runs) : escapeHtml(content);
+        if (!st.rotation) return inner;
+        return `<div style="display:inline-block; white-space:${st.wrap ? 'pre-wrap' : 'nowrap'}; transform:rotate(${-st.rotation}deg);">${inner}</div>`;
     }
 
     // ===== HTML → Canvas → PDF =====
 
-    async function htmlCanvasToPDF(html, pageSize, landscape, margins, contentWidthPX, sealImages) {
+    async function htmlCanvasToPDF(html, pageSize, landscape, margins, contentWidthPX, images, titleRows = null, decor = null, pageRules = null) {
         const pgBase = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
         const pw = landscape ? pgBase.h : pgBase.w;
         const ph = landscape ? pgBase.w : pgBase.h;
@@ -412,27 +937,29 @@ const SVGPDFRenderer = (() => {
             const imgH = canvas.height;
             const pageContentHpx = Math.round(contentH * PX_PER_MM * SCALE);
 
-            // Calculate page break points at row boundaries
-            const breakPoints = [0]; // start of each page in scaled pixels
-            let currentLimit = pageContentHpx;
-
-            for (let i = 0; i < rowBottoms.length; i++) {
-                const rowBottomScaled = rowBottoms[i] * SCALE;
-                if (rowBottomScaled > currentLimit) {
-                    // This row exceeds the page. Break BEFORE this row.
-                    // Find the previous row's bottom as the break point.
-                    const prevBottom = (i > 0) ? rowBottoms[i - 1] * SCALE : 0;
-                    if (prevBottom > breakPoints[breakPoints.length - 1]) {
-                        breakPoints.push(prevBottom);
-                        currentLimit = prevBottom + pageContentHpx;
-                    } else {
-                        // Single row taller than page — force break at page limit
-                        breakPoints.push(currentLimit);
-                        currentLimit += pageContentHpx;
-                    }
-                }
+            // Title rows band (scaled px), drawn again at the top of every later page.
+            // Skipped when it would take more than half the page.
+            let titleY = 0;
+            let titleH = 0;
+            if (titleRows && rowBottoms[titleRows.last] !== undefined) {
+                titleY = titleRows.first > 0 ? rowBottoms[titleRows.first - 1] * SCALE : 0;
+                titleH = rowBottoms[titleRows.last] * SCALE - titleY;
+                if (titleH <= 0 || titleH > pageContentHpx / 2) titleH = 0;
             }
 
+            // Calculate page break points at row boundaries
+            const rowTop = (i) => (i > 0 ? rowBottoms[i - 1] : 0) * SCALE;
+            const heights = rowBottoms.map((bottom, i) => bottom * SCALE - rowTop(i));
+            const starts = planPages(heights, pageContentHpx, { titleRows, titleH, rules: pageRules });
+            const breakPoints = []; // start of each page in scaled pixels
+            starts.forEach((start, p) => {
+                breakPoints.push(rowTop(start));
+                // Single row taller than page — force breaks at the page limit
+                const end = rowTop(p + 1 < starts.length ? starts[p + 1] : rowBottoms.length);
+                const limit = pageContentHpx - (titleH > 0 && start > titleRows.last ? titleH : 0);
+                for (let y = rowTop(start) + limit; y < end; y += limit) breakPoints.push(y);
+            });
+
             const totalPages = breakPoints.length;
 
             const jsPDFLib = window.jspdf || window.jsPDF;
@@ -440,15 +967,12 @@ const SVGPDFRenderer = (() => {
                 orientation: landscape ? 'landscape' : 'portrait',
                 unit: 'mm', format: pageSize, compress: true,
             });
+            const font = (decor && decor.headerFooter) || images.some(img => img.chart)
+                ? await registerPdfFont(doc) : { name: 'helvetica', fallback: null };
+            const fontName = font.name;
 
-            for (let page = 0; page < totalPages; page++) {
-                if (page > 0) doc.addPage();
-
-                const srcY = breakPoints[page];
-                const srcEnd = (page + 1 < breakPoints.length) ? breakPoints[page + 1] : imgH;
-                const srcH = srcEnd - srcY;
-                if (srcH <= 0) break;
-
+            // Copy a horizontal band of the capture onto the page at y (mm from the top margin)
+            const placeSlice = (srcY, srcH, y) => {
                 const pageCanvas = document.createElement('canvas');
                 pageCanvas.width = imgW;
                 pageCanvas.height = srcH;
@@ -459,39 +983,1000 @@ const SVGPDFRenderer = (() => {
 
                 const imgData = pageCanvas.toDataURL('image/jpeg', 0.92);
                 const sliceHmm = (srcH / (PX_PER_MM * SCALE));
+                doc.addImage(imgData, 'JPEG', margins.left, margins.top + y, contentW, sliceHmm);
+                return sliceHmm;
+            };
 
-                doc.addImage(imgData, 'JPEG', margins.left, margins.top, contentW, sliceHmm);
-
-                // FIX 5: Add seal image on first page using anchor position from template
-                if (page === 0 && sealImages.length > 0) {
-                    for (const seal of sealImages) {
-                        try {
-                            const sealW = 18; // mm
-                            const sealH = 18;
-                            // Convert anchor col/row to mm position
-                            // Approximate: each col ≈ contentW/maxCol, each row ≈ 4.5mm
-                            const approxColW = contentW / 8; // assume ~8 cols
-                            const approxRowH = 4.5; // mm per row
-                            const sealX = margins.left + (seal.anchorCol * approxColW);
-                            const sealY = margins.top + (seal.anchorRow * approxRowH);
-                            doc.addImage(seal.dataUrl, 'PNG', sealX, sealY, sealW, sealH);
-                        } catch (e) { /* skip bad images */ }
-                    }
-                }
+            for (let page = 0; page < totalPages; page++) {
+                if (page > 0) doc.addPage();
+
+                const srcY = breakPoints[page];
+                const srcEnd = (page + 1 < breakPoints.length) ? breakPoints[page + 1] : imgH;
+                const srcH = srcEnd - srcY;
+                if (srcH <= 0) break;
 
-                // Page number
-                doc.setFontSize(8);
-                doc.setTextColor(150, 150, 150);
-                doc.text(`${page + 1} / ${totalPages}`, pw / 2, ph - 3, { align: 'center' });
-                doc.setTextColor(0, 0, 0);
+                const repeat = page > 0 && titleH > 0 && srcY >= titleY + titleH;
+                const titleHmm = repeat ? placeSlice(titleY, titleH, 0) : 0;
+                placeSlice(srcY, srcH, titleHmm);
+
+                drawAnchoredImages(doc, images, margins, contentW / contentWpx, (idx) => {
+                    const top = rowTop(idx);
+                    return top >= srcY && top < srcEnd ? titleHmm + (top - srcY) / (PX_PER_MM * SCALE) : null;
+                }, fontName);
+                drawPageDecor(doc, page, totalPages, pw, ph, decor, fontName);
             }
 
-            return doc.output('blob');
+            const blob = doc.output('blob');
+            blob.fontFallback = font.fallback;
+            return blob;
         } finally {
             document.body.removeChild(container);
         }
     }
 
+    /**
+     * Draw the pictures and charts anchored on this page's rows
+     * @param {number} MM - mm per layout px
+     * @param {function(number): (number|null)} rowY - Top of a final row on this page (mm below the top margin), null when elsewhere
+     * @param {string} fontName - jsPDF font for chart text
+     */
+    function drawAnchoredImages(doc, images, margins, MM, rowY, fontName) {
+        for (const img of images) {
+            const y = rowY(img.rowIdx);
+            if (y === null) continue;
+            const box = { x: margins.left + img.x * MM, y: margins.top + y + img.dy * MM, w: img.w * MM, h: img.h * MM };
+            if (img.chart) {
+                drawChart(doc, img.chart, box, fontName);
+                continue;
+            }
+            try {
+                doc.addImage(img.dataUrl, img.format, box.x, box.y, box.w, box.h);
+            } catch (e) { /* skip images jsPDF cannot decode */ }
+        }
+    }
+
+    // ===== Charts =====
+
+    const CHART_COLORS = THEME_COLORS.slice(4); // accent1–6
+    const AXIS_CHART_TYPES = new Set(['bar', 'line', 'area', 'scatter']);
+
+    /**
+     * Series values of a parsed chart (TemplateEngine analysis.charts[].chart) read from the
+     * final rows: references into the template sheet move with the data zone, other sheets
+     * keep the points cached in the chart part.
+     * @param {Array} rows - Final rows (rowNum in output coordinates) with their cells
+     * @param {Object} layout - { dataStart, dataEnd, newDataEnd, rowShift }
+     */
+    function resolveChartData(chart, sheetName, rows, layout) {
+        const byRow = new Map(rows.map(r => [r.rowNum, r]));
+        const read = (source) => {
+            if (!source) return [];
+            const areas = source.ref && TemplateEngine.parseAreaRef(source.ref);
+            if (!areas || !areas.every(a => a.sheet === sheetName)) return source.points;
+            const values = [];
+            for (const area of areas) {
+                const [range] = TemplateEngine.shiftRowRange(area.r1, area.r2, layout);
+                if (!range) continue;
+                for (let r = range[0]; r <= range[1]; r++) {
+                    const row = byRow.get(r);
+                    for (let c = area.c1; c <= area.c2; c++) {
+                        const cell = row && row.cells.find(x => x.colNum === c);
+                        values.push(!cell ? null : cell.t === 's' || cell.t === 'str' ? cell.display : toCellValue(cell.display));
+                    }
+                }
+            }
+            return values;
+        };
+        return {
+            ...chart,
+            plots: chart.plots.map(plot => ({
+                ...plot,
+                series: plot.series.map(ser => {
+                    const name = ser.nameRef ? read({ ref: ser.nameRef, points: [ser.name] })[0] : ser.name;
+                    return {
+                        name: name === null || name === undefined ? '' : String(name),
+                        color: ser.color,
+                        cats: read(ser.cat).map(v => (v === null ? '' : String(v))),
+                        vals: read(ser.val).map(v => (v === null || v === '' || isNaN(v) ? null : Number(v))),
+                    };
+                }),
+            })),
+        };
+    }
+
+    /**
+     * Draw a chart with jsPDF primitives into box (mm): column/bar (clustered, stacked,
+     * percent), line, area, scatter (points in category order) and pie/doughnut, with title,
+     * legend, gridlines and axis labels. Other chart types (radar, bubble, stock, surface)
+     * are not drawn.
+     */
+    function drawChart(doc, chart, box, fontName) {
+        const pie = chart.plots.find(p => (p.type === 'pie' || p.type === 'doughnut') && p.series.length > 0);
+        const plots = pie ? [pie] : chart.plots.filter(p => AXIS_CHART_TYPES.has(p.type) && p.series.length > 0);
+        if (plots.length === 0) return;
+
+        const { x, y, w, h } = box;
+        const sizePt = Math.max(5, Math.min(9, h / 7.5));
+        const lineH = sizePt * 0.3528 * 1.3; // mm
+        const text = (str, tx, ty, opts = {}) => drawFreeText(doc, String(str), tx, ty, {
+            align: opts.align || 'left', baseline: 'middle', sizePt: opts.sizePt || sizePt,
+            bold: false, color: opts.color || '595959', fontName,
+        });
+        const textW = (str) => {
+            doc.setFont(fontName, 'normal');
+            doc.setFontSize(sizePt);
+            return fontHasGlyphs(doc, str) ? doc.getTextWidth(str) : String(str).length * sizePt * 0.3528;
+        };
+
+        doc.setFillColor(255, 255, 255);
+        doc.setDrawColor(217, 217, 217);
+        doc.setLineWidth(0.2);
+        doc.rect(x, y, w, h, 'FD');
+
+        const pad = Math.min(w, h) * 0.04;
+        let top = y + pad;
+        let bottom = y + h - pad;
+        let left = x + pad;
+        let right = x + w - pad;
+        if (chart.title) {
+            text(chart.title, x + w / 2, top + lineH * 0.7, { align: 'center', sizePt: sizePt * 1.4, color: '404040' });
+            top += lineH * 1.8;
+        }
+
+        // Legend: categories for a pie, series otherwise
+        const items = pie
+            ? pie.series[0].cats.map((name, i) => ({ name, color: CHART_COLORS[i % CHART_COLORS.length] }))
+            : plots.flatMap(p => p.series.map(s => ({ name: s.name, color: s.color })));
+        if (chart.legend && items.length > 0) {
+            const sw = lineH * 0.6;
+            const itemW = (item) => sw + 1 + textW(item.name) + 3;
+            const drawItem = (item, ix, iy) => {
+                doc.setFillColor(`#${item.color}`);
+                doc.rect(ix, iy - sw / 2, sw, sw, 'F');
+                text(item.name, ix + sw + 1, iy);
+            };
+            if (chart.legend === 'r' || chart.legend === 'l' || chart.legend === 'tr') {
+                const colW = Math.min(w * 0.35, Math.max(...items.map(itemW)));
+                const lx = chart.legend === 'l' ? left : right - colW;
+                let ly = (top + bottom) / 2 - (items.length * lineH) / 2 + lineH / 2;
+                for (const item of items) {
+                    if (ly > bottom) break;
+                    drawItem(item, lx, ly);
+                    ly += lineH;
+                }
+                if (chart.legend === 'l') left += colW + 1;
+                else right -= colW + 1;
+            } else {
+                const lines = [[]];
+                let lineW = 0;
+                for (const item of items) {
+                    if (lineW + itemW(item) > right - left && lines[lines.length - 1].length > 0) {
+                        lines.push([]);
+                        lineW = 0;
+                    }
+                    lines[lines.length - 1].push(item);
+                    lineW += itemW(item);
+                }
+                const legendH = lines.length * lineH;
+                let ly = chart.legend === 't' ? top + lineH / 2 : bottom - legendH + lineH / 2;
+                for (const line of lines) {
+                    let lx = (left + right) / 2 - line.reduce((sum, item) => sum + itemW(item), 0) / 2;
+                    for (const item of line) {
+                        drawItem(item, lx, ly);
+                        lx += itemW(item);
+                    }
+                    ly += lineH;
+                }
+                if (chart.legend === 't') top += legendH + 1;
+                else bottom -= legendH + 1;
+            }
+        }
+        if (right - left < 5 || bottom - top < 5) return;
+
+        if (pie) {
+            drawPieChart(doc, pie, { cx: (left + right) / 2, cy: (top + bottom) / 2, r: Math.min(right - left, bottom - top) / 2 });
+            return;
+        }
+        drawAxisChart(doc, plots, { left, top, right, bottom }, { text, textW, lineH });
+    }
+
+    /** Pie/doughnut slices of the first series, clockwise from 12 o'clock like Excel */
+    function drawPieChart(doc, plot, { cx, cy, r }) {
+        const vals = plot.series[0].vals.map(v => (v > 0 ? v : 0));
+        const total = vals.reduce((sum, v) => sum + v, 0);
+        if (total <= 0) return;
+        doc.setDrawColor(255, 255, 255);
+        doc.setLineWidth(0.3);
+        let angle = -Math.PI / 2;
+        vals.forEach((v, i) => {
+            if (v <= 0) return;
+            const sweep = (v / total) * Math.PI * 2;
+            const steps = Math.max(2, Math.ceil(sweep / (Math.PI / 60)));
+            const points = [[cx, cy]];
+            for (let k = 0; k <= steps; k++) {
+                const a = angle + (sweep * k) / steps;
+                points.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+            }
+            const segments = points.slice(1).map((p, k) => [p[0] - points[k][0], p[1] - points[k][1]]);
+            doc.setFillColor(`#${plot.varyColors || plot.series[0].vals.length > 1 ? CHART_COLORS[i % CHART_COLORS.length] : plot.series[0].color}`);
+            doc.lines(segments, cx, cy, [1, 1], 'FD', true);
+            angle += sweep;
+        });
+        if (plot.type === 'doughnut') {
+            doc.setFillColor(255, 255, 255);
+            doc.circle(cx, cy, r * 0.5, 'F');
+        }
+    }
+
+    /** Column/bar, line, area and scatter plots sharing one category and one value axis */
+    function drawAxisChart(doc, plots, area, { text, textW, lineH }) {
+        const horizontal = plots.every(p => p.type === 'bar' && p.barDir === 'bar');
+        const stacked = (p) => p.grouping === 'stacked' || p.grouping === 'percentStacked';
+        const percent = plots.some(p => p.grouping === 'percentStacked');
+        const count = Math.max(...plots.flatMap(p => p.series.map(s => s.vals.length)), 1);
+        const cats = (plots.flatMap(p => p.series).find(s => s.cats.some(Boolean)) || { cats: [] }).cats;
+
+        // Stacked plots draw cumulative values; percent stacks are shares of each category
+        const stacks = plots.map(p => {
+            if (!stacked(p)) return p.series.map(s => s.vals.map(v => (v === null ? null : [0, v])));
+            const pos = new Array(count).fill(0);
+            const neg = new Array(count).fill(0);
+            const totals = pos.map((_, i) => p.series.reduce((sum, s) => sum + Math.abs(s.vals[i] || 0), 0));
+            return p.series.map(s => s.vals.map((v, i) => {
+                if (v === null) return null;
+                const value = p.grouping === 'percentStacked' ? (totals[i] ? v / totals[i] : 0) : v;
+                const base = value >= 0 ? pos : neg;
+                const span = [base[i], base[i] + value];
+                base[i] += value;
+                return span;
+            }));
+        });
+        const ends = stacks.flat(2).filter(Boolean).flat();
+        let min = Math.min(0, ...ends);
+        let max = Math.max(0, ...ends);
+        if (min === max) max = min + 1;
+        const rawStep = (max - min) / 5;
+        const mag = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 2.5, 5, 10].map(f => f * mag).find(s => s >= rawStep);
+        min = Math.floor(min / step - 1e-9) * step;
+        max = Math.ceil(max / step - 1e-9) * step;
+        const ticks = [];
+        for (let t = min; t <= max + step / 2; t += step) ticks.push(Number(t.toPrecision(12)));
+        const label = (v) => percent ? `${Math.round(v * 100)}%` : v.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+        // Reserve the axis labels, then map values and category bands to page coordinates
+        let { left, top, right, bottom } = area;
+        if (horizontal) {
+            left += Math.min((right - left) * 0.3, Math.max(0, ...cats.map(textW)) + 1.5);
+            bottom -= lineH * 1.2;
+        } else {
+            left += Math.max(...ticks.map(t => textW(label(t)))) + 1.5;
+            bottom -= lineH * 1.2;
+        }
+        if (right - left < 5 || bottom - top < 5) return;
+        const valPos = (v) => horizontal
+            ? left + ((v - min) / (max - min)) * (right - left)
+            : bottom - ((v - min) / (max - min)) * (bottom - top);
+        const band = (horizontal ? bottom - top : right - left) / count;
+        const bandStart = (i) => (horizontal ? top : left) + i * band;
+        const point = (i, v) => horizontal ? [valPos(v), bandStart(i) + band / 2] : [bandStart(i) + band / 2, valPos(v)];
+
+        doc.setLineWidth(0.15);
+        for (const t of ticks) {
+            const p = valPos(t);
+            doc.setDrawColor(217, 217, 217);
+            if (horizontal) {
+                doc.line(p, top, p, bottom);
+                text(label(t), p, bottom + lineH * 0.6, { align: 'center' });
+            } else {
+                doc.line(left, p, right, p);
+                text(label(t), left - 1, p, { align: 'right' });
+            }
+        }
+        const labelEvery = Math.max(1, Math.ceil(count / Math.max(1, Math.floor((horizontal ? bottom - top : right - left) / (lineH * (horizontal ? 1 : 3))))));
+        for (let i = 0; i < count; i += labelEvery) {
+            const name = cats[i] === undefined ? String(i + 1) : cats[i];
+            if (horizontal) text(name, left - 1, bandStart(i) + band / 2, { align: 'right' });
+            else text(name.length > 12 ? name.slice(0, 11) + '…' : name, bandStart(i) + band / 2, bottom + lineH * 0.6, { align: 'center' });
+        }
+        doc.setDrawColor(166, 166, 166);
+        const zero = valPos(Math.max(min, Math.min(max, 0)));
+        if (horizontal) doc.line(zero, top, zero, bottom);
+        else doc.line(left, zero, right, zero);
+
+        // Bars first, then areas, then lines and scatter points on top
+        const order = { bar: 0, area: 1, line: 2, scatter: 2 };
+        const indexed = plots.map((p, k) => ({ p, spans: stacks[k] })).sort((a, b) => order[a.p.type] - order[b.p.type]);
+        for (const { p, spans } of indexed) {
+            if (p.type === 'bar') {
+                const gap = 1.5;
+                const slots = stacked(p) ? 1 : p.series.length;
+                const barW = band / (slots + gap);
+                p.series.forEach((s, k) => {
+                    doc.setFillColor(`#${s.color}`);
+                    spans[k].forEach((span, i) => {
+                        if (!span) return;
+                        const offset = bandStart(i) + (gap / 2 + (stacked(p) ? 0 : k)) * barW;
+                        const a = valPos(span[0]);
+                        const b = valPos(span[1]);
+                        if (horizontal) doc.rect(Math.min(a, b), offset, Math.abs(b - a), barW, 'F');
+                        else doc.rect(offset, Math.min(a, b), barW, Math.abs(b - a), 'F');
+                    });
+                });
+            } else if (p.type === 'area') {
+                p.series.forEach((s, k) => {
+                    const pts = spans[k].map((span, i) => span && { i, span }).filter(Boolean);
+                    if (pts.length < 2) return;
+                    const outline = [...pts.map(({ i, span }) => point(i, span[1])), ...pts.reverse().map(({ i, span }) => point(i, span[0]))];
+                    const segments = outline.slice(1).map((q, j) => [q[0] - outline[j][0], q[1] - outline[j][1]]);
+                    doc.setFillColor(`#${s.color}`);
+                    doc.lines(segments, outline[0][0], outline[0][1], [1, 1], 'F', true);
+                });
+            } else {
+                p.series.forEach((s, k) => {
+                    doc.setDrawColor(`#${s.color}`);
+                    doc.setFillColor(`#${s.color}`);
+                    doc.setLineWidth(0.5);
+                    let prev = null;
+                    spans[k].forEach((span, i) => {
+                        const q = span ? point(i, span[1]) : null;
+                        if (q && prev) doc.line(prev[0], prev[1], q[0], q[1]);
+                        if (q && p.type === 'scatter') doc.circle(q[0], q[1], 0.6, 'F');
+                        prev = q;
+                    });
+                });
+            }
+        }
+    }
+
+    function drawPageNumber(doc, page, totalPages, pw, ph) {
+        doc.setFontSize(8);
+        doc.setTextColor(150, 150, 150);
+        doc.text(`${page + 1} / ${totalPages}`, pw / 2, ph - 3, { align: 'center' });
+        doc.setTextColor(0, 0, 0);
+    }
+
+    /**
+     * Embed Noto Sans when available.
+     * @returns {Promise<{name: string, fallback: string|null}>} jsPDF font name to use, and
+     *   why Helvetica was used instead when the embedded font could not be loaded
+     */
+    async function registerPdfFont(doc) {
+        if (typeof FontLoader === 'undefined') return { name: 'helvetica', fallback: null };
+        try {
+            await FontLoader.registerFont(doc);
+            return { name: 'NotoSans', fallback: null };
+        } catch (e) {
+            return { name: 'helvetica', fallback: e.message };
+        }
+    }
+
+    // ===== Page header/footer =====
+
+    /**
+     * Draw the template's header/footer for one page, or the plain "n / N" page number
+     * when the template has none
+     */
+    function drawPageDecor(doc, page, totalPages, pw, ph, decor, fontName) {
+        const hf = decor && decor.headerFooter;
+        if (!hf) {
+            drawPageNumber(doc, page, totalPages, pw, ph);
+            return;
+        }
+
+        let variant = hf.odd;
+        let suffix = '';
+        if (hf.first && page === 0) {
+            variant = hf.first;
+            suffix = 'FIRST';
+        } else if (hf.even && page % 2 === 1) {
+            variant = hf.even;
+            suffix = 'EVEN';
+        }
+
+        const info = { page: page + 1, totalPages, fileName: decor.fileName, sheetName: decor.sheetName };
+        const places = [['left', decor.left], ['center', pw / 2], ['right', pw - decor.right]];
+        for (const kind of ['header', 'footer']) {
+            for (const [side, x] of places) {
+                if (!variant[kind][side]) continue;
+                const part = expandHeaderFooterCodes(variant[kind][side], info);
+                const isHeader = kind === 'header';
+                let y = isHeader ? decor.headerY : ph - decor.footerY;
+
+                // Picture (&G): VML shape id such as LH, CF or RHFIRST
+                const image = part.image && decor.images[`${side[0].toUpperCase()}${isHeader ? 'H' : 'F'}${suffix}`];
+                if (image) {
+                    const w = (image.width || 60) * 25.4 / 72;
+                    const h = (image.height || 30) * 25.4 / 72;
+                    const ix = side === 'left' ? x : side === 'right' ? x - w : x - w / 2;
+                    try {
+                        doc.addImage(image.dataUrl, image.format, ix, isHeader ? y : y - h, w, h);
+                    } catch (e) { /* skip bad images */ }
+                    y += isHeader ? h + 1 : -(h + 1);
+                }
+
+                const lines = part.text.split(/\r?\n/).filter((line, i, all) => line || all.length === 1);
+                if (!lines.join('')) continue;
+                const sizePt = part.fontSize || 10;
+                const lineH = sizePt * 25.4 / 72 * 1.2;
+                // Footer lines stack upwards from the footer line
+                let ly = isHeader ? y : y - (lines.length - 1) * lineH;
+                for (const line of lines) {
+                    drawFreeText(doc, line, x, ly, {
+                        align: side, baseline: isHeader ? 'top' : 'bottom',
+                        sizePt, bold: part.bold, color: part.color || '000000', fontName,
+                    });
+                    ly += lineH;
+                }
+            }
+        }
+        doc.setTextColor(0, 0, 0);
+    }
+
+    /**
+     * Expand one header/footer section: field codes become text, and &nn, &"font,Bold"/&B
+     * and &Krrggbb set the size, weight and color. &G marks a picture.
+     */
+    function expandHeaderFooterCodes(section, info) {
+        const out = { text: '', fontSize: null, bold: false, color: null, image: false };
+        const now = new Date();
+        const CODE_RE = /&(&|[PN](?:[+-]\d+)?|[DTFAZG]|"[^"]*"|\d+|K(?:[0-9A-Fa-f]{6}|\d\d[+-]\d{3})|[BIUESXYOH])/g;
+        out.text = section.replace(CODE_RE, (match, code) => {
+            switch (code[0]) {
+                case '&': return '&';
+                case 'P': return String(info.page + (parseInt(code.substring(1), 10) || 0));
+                case 'N': return String(info.totalPages + (parseInt(code.substring(1), 10) || 0));
+                case 'D': return now.toLocaleDateString();
+                case 'T': return now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                case 'F': return info.fileName || '';
+                case 'A': return info.sheetName || '';
+                case 'G': out.image = true; return '';
+                case '"': if (/bold/i.test(code)) out.bold = true; return '';
+                case 'K': if (code.length === 7) out.color = code.substring(1).toUpperCase(); return '';
+                case 'B': out.bold = !out.bold; return '';
+                default:
+                    if (/^\d+$/.test(code)) out.fontSize = parseInt(code, 10);
+                    return ''; // &Z (path) and underline/strike/super/subscript toggles
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Draw one line of text outside the table. Text the embedded font cannot show is
+     * drawn as an image with the browser's fonts.
+     */
+    function drawFreeText(doc, text, x, y, opts) {
+        const { align, baseline, sizePt, bold, color, fontName } = opts;
+        doc.setFont(fontName, bold ? 'bold' : 'normal');
+        doc.setFontSize(sizePt);
+        if (fontHasGlyphs(doc, text)) {
+            doc.setTextColor(`#${color}`);
+            doc.text(text, x, y, { align, baseline });
+            return;
+        }
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext && canvas.getContext('2d');
+        if (!ctx) return;
+        const SCALE = 4;
+        const sizePx = sizePt * 96 / 72;
+        const fontCss = `${bold ? 'bold ' : ''}${sizePx}px 'MS PGothic','Yu Gothic','Meiryo',sans-serif`;
+        ctx.font = fontCss;
+        const wPx = Math.ceil(ctx.measureText(text).width) + 2;
+        const hPx = Math.ceil(sizePx * 1.3);
+        canvas.width = wPx * SCALE;
+        canvas.height = hPx * SCALE;
+        ctx.scale(SCALE, SCALE);
+        ctx.font = fontCss;
+        ctx.fillStyle = `#${color}`;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, 1, hPx / 2);
+
+        const w = wPx * 25.4 / 96;
+        const h = hPx * 25.4 / 96;
+        const ix = align === 'left' ? x : align === 'right' ? x - w : x - w / 2;
+        doc.addImage(canvas.toDataURL('image/png'), 'PNG', ix, baseline === 'top' ? y : y - h, w, h);
+    }
+
+    // ===== Vector PDF: cell layout → jsPDF primitives =====
+
+    async function vectorTableToPDF(rows, mergeMap, styles, maxCol, colPxWidths, dataStartRowNum, pageSize, landscape, margins, images, titleRows = null, view = {}, decor = null, pageRules = null) {
+        const { zoom = 1, centered = false, contentWidthPX } = view;
+        const pgBase = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+        const pw = landscape ? pgBase.h : pgBase.w;
+        const ph = landscape ? pgBase.w : pgBase.h;
+        const contentW = pw - margins.left - margins.right;
+        const contentH = ph - margins.top - margins.bottom;
+
+        // Layout px → mm: the content width is contentWidthPX, like the raster capture
+        const colX = { 1: 0 };
+        for (let c = 1; c <= maxCol; c++) colX[c + 1] = colX[c] + (colPxWidths[c] || 0);
+        const MM = contentW / (contentWidthPX || colX[maxCol + 1] || 1);
+        const left = margins.left + (centered ? Math.max(0, contentW - colX[maxCol + 1] * MM) / 2 : 0);
+        const PT_PER_MM = 72 / 25.4;
+
+        const jsPDFLib = window.jspdf || window.jsPDF;
+        const doc = new jsPDFLib.jsPDF({
+            orientation: landscape ? 'landscape' : 'portrait',
+            unit: 'mm', format: pageSize, compress: true,
+        });
+
+        const font = await registerPdfFont(doc);
+        const fontName = font.name;
+
+        // Page breaks at row boundaries; later pages start with the title rows (unless
+        // they would take more than half the page)
+        let titleH = 0;
+        const heights = rows.map(row => fittedRowHeightPx(doc, row, mergeMap, styles, maxCol, colX, dataStartRowNum, zoom, fontName) * MM);
+        if (titleRows) {
+            for (let i = titleRows.first; i <= titleRows.last; i++) titleH += heights[i];
+            if (titleH > contentH / 2) titleH = 0;
+        }
+        const starts = planPages(heights, contentH, { titleRows, titleH, rules: pageRules });
+        const pages = starts.map((start, p) => {
+            const page = [];
+            let y = 0;
+            const place = (i) => {
+                page.push({ row: rows[i], idx: i, y, h: heights[i] });
+                y += heights[i];
+            };
+            if (p > 0 && titleH > 0 && start > titleRows.last) {
+                for (let t = titleRows.first; t <= titleRows.last; t++) place(t);
+            }
+            page.firstBody = page.length;
+            const end = p + 1 < starts.length ? starts[p + 1] : rows.length;
+            for (let i = start; i < end; i++) place(i);
+            return page;
+        });
+
+        const cellAt = {};
+        for (const row of rows) {
+            for (const cell of row.cells) cellAt[`${row.rowNum},${cell.colNum}`] = cell;
+        }
+
+        for (let page = 0; page < pages.length; page++) {
+            if (page > 0) doc.addPage();
+            const pageRows = pages[page];
+
+            // Vertical extent of rows [startRow, endRow] on this page (rows collapsed away are skipped)
+            const spanY = (startRow, endRow) => {
+                const inSpan = pageRows.filter(r => r.row.rowNum >= startRow && r.row.rowNum <= endRow);
+                const last = inSpan[inSpan.length - 1];
+                return { top: inSpan[0].y, bottom: last.y + last.h };
+            };
+
+            const boxes = [];
+            pageRows.forEach(({ row, y, h }, idx) => {
+                const isHeaderZone = !!(dataStartRowNum && row.rowNum < dataStartRowNum);
+                const addBox = (col, colspan, top, bottom, cell, text) => {
+                    const style = cell ? resolveCellStyle(cell, styles, isHeaderZone, zoom) : null;
+                    boxes.push({
+                        x: colX[col] * MM,
+                        w: (colX[col + colspan] - colX[col]) * MM,
+                        y: top,
+                        h: bottom - top,
+                        style,
+                        text,
+                        runs: cell ? resolveCellRuns(cell, text, style, styles, zoom) : null,
+                        clip: !isHeaderZone,
+                    });
+                };
+
+                for (const item of layoutRowCells(row, mergeMap, styles, maxCol)) {
+                    const span = item.rowspan > 1
+                        ? spanY(row.rowNum, row.rowNum + item.rowspan - 1)
+                        : { top: y, bottom: y + h };
+                    addBox(item.col, item.colspan, span.top, span.bottom, item.cell, cellText(item.cell, styles));
+                }
+
+                // Merges continued from the previous page: fill and borders only
+                if (idx === (pageRows.firstBody || 0)) {
+                    for (let c = 1; c <= maxCol; c++) {
+                        const merge = mergeMap[`${row.rowNum},${c}`];
+                        if (!merge || merge.isOrigin || merge.startCol !== c || merge.startRow >= row.rowNum) continue;
+                        const span = spanY(row.rowNum, merge.endRow);
+                        addBox(c, merge.colspan || 1, span.top, span.bottom, cellAt[`${merge.startRow},${c}`], '');
+                    }
+                }
+            });
+
+            // Fills, then borders, then text on top (overflowing header text stays visible)
+            for (const box of boxes) {
+                if (!box.style || !box.style.fill) continue;
+                doc.setFillColor(`#${box.style.fill}`);
+                doc.rect(left + box.x, margins.top + box.y, box.w, box.h, 'F');
+            }
+            for (const box of boxes) {
+                if (box.style) drawCellBorders(doc, box, left + box.x, margins.top + box.y, MM);
+            }
+            for (const box of boxes) {
+                if (box.style && box.text) drawCellText(doc, box, left + box.x, margins.top + box.y, MM, PT_PER_MM, fontName);
+            }
+
+            const bodyY = new Map(pageRows.slice(pageRows.firstBody).map(r => [r.idx, r.y]));
+            drawAnchoredImages(doc, images, margins, MM, (idx) => bodyY.has(idx) ? bodyY.get(idx) : null, fontName);
+            drawPageDecor(doc, page, pages.length, pw, ph, decor, fontName);
+        }
+
+        const blob = doc.output('blob');
+        blob.fontFallback = font.fallback;
+        return blob;
+    }
+
+    /**
+     * Row height (layout px) grown to fit wrapped, vertical and turned text, like Excel's
+     * auto-fit; text in merges spanning several rows does not grow them
+     */
+    function fittedRowHeightPx(doc, row, mergeMap, styles, maxCol, colX, dataStartRowNum, zoom, fontName) {
+        const MM = 1;
+        const PT_PER_MM = 72 / 25.4;
+        const isHeaderZone = !!(dataStartRowNum && row.rowNum < dataStartRowNum);
+        let h = rowHeightPx(row, zoom);
+        for (const item of layoutRowCells(row, mergeMap, styles, maxCol)) {
+            if (item.rowspan > 1 || !item.cell) continue;
+            const style = resolveCellStyle(item.cell, styles, isHeaderZone, zoom);
+            if (!style.wrap && !style.vertical && !style.rotation) continue;
+            const text = cellText(item.cell, styles);
+            if (!text) continue;
+            const box = {
+                w: colX[item.col + item.colspan] - colX[item.col], h, style, text,
+                runs: resolveCellRuns(item.cell, text, style, styles, zoom), clip: !isHeaderZone,
+            };
+            const runs = boxRuns(box);
+            const { measure } = textMeasure(doc, runs, MM, PT_PER_MM, fontName);
+            h = Math.max(h, Math.ceil(layoutCellText(runs, box, measure).extentH + 2));
+        }
+        return h;
+    }
+
+    function drawCellBorders(doc, box, x, y, MM) {
+        const { top, bottom, left, right } = box.style.borders;
+        const line = (b, x1, y1, x2, y2) => {
+            if (!b) return;
+            doc.setLineWidth(b.width * MM);
+            doc.setDrawColor(`#${b.color}`);
+            doc.line(x1, y1, x2, y2);
+        };
+        line(top, x, y, x + box.w, y);
+        line(bottom, x, y + box.h, x + box.w, y + box.h);
+        line(left, x, y, x, y + box.h);
+        line(right, x + box.w, y, x + box.w, y + box.h);
+    }
+
+    const SCRIPT_SCALE = 0.7; // Superscript/subscript size relative to the run's font
+    const ITALIC_SKEW = 0.21; // tan 12° — the embedded font has no italic face
+    const LINE_SPACING = 1.2; // Line height relative to the largest font on the line
+    const INDENT_PX = 9; // One indent level at 100%
+
+    // Line break opportunities: explicit breaks, space runs, single CJK characters, words
+    const CJK_CHARS = '\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF';
+    const BREAK_RE = new RegExp(`\\n|[ \\t]+|[${CJK_CHARS}]|[^\\s${CJK_CHARS}]+`, 'g');
+    const FULL_WIDTH_RE = new RegExp(`[${CJK_CHARS}]`);
+
+    /** Text runs of a box: its rich text runs, or the whole text in the cell style */
+    function boxRuns(box) {
+        const st = box.style;
+        return (box.runs || [{
+            text: String(box.text), fontSize: st.fontSize, fontFamily: null, bold: st.bold,
+            italic: st.italic, underline: st.underline, strike: st.strike, color: st.color, vertAlign: null,
+        }]).map(r => ({ ...r }));
+    }
+
+    /** Drawn size (px) of a run: super/subscripts are smaller */
+    function runSize(run) {
+        return run.vertAlign ? run.fontSize * SCRIPT_SCALE : run.fontSize;
+    }
+
+    /** CSS font of a run at its drawn size */
+    function runFontCss(run) {
+        return `${run.italic ? 'italic ' : ''}${run.bold ? 'bold ' : ''}${runSize(run)}px ` +
+            `${run.fontFamily ? `'${run.fontFamily.replace(/'/g, '')}',` : ''}'MS PGothic','Yu Gothic','Meiryo',sans-serif`;
+    }
+
+    let measureContext = null;
+
+    /**
+     * Width (px) of text in a run's font with the browser's fonts; without a canvas,
+     * full-width (CJK) characters count 1em and others about half
+     */
+    function measureTextPx(text, run) {
+        if (measureContext === null) {
+            const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+            measureContext = (canvas && canvas.getContext && canvas.getContext('2d')) || false;
+        }
+        if (measureContext) {
+            measureContext.font = runFontCss(run);
+            return measureContext.measureText(text).width;
+        }
+        let em = 0;
+        for (const ch of text) em += FULL_WIDTH_RE.test(ch) ? 1 : run.bold ? 0.6 : 0.55;
+        return em * runSize(run);
+    }
+
+    /**
+     * Width function for a box's runs as they will be drawn: the embedded PDF font when it
+     * has every glyph, otherwise the browser fonts of the raster fallback (layout px)
+     */
+    function textMeasure(doc, runs, MM, PT_PER_MM, fontName) {
+        const useFont = (r) => {
+            doc.setFont(fontName, r.bold ? 'bold' : 'normal');
+            doc.setFontSize(runSize(r) * MM * PT_PER_MM);
+        };
+        const vector = runs.every(r => { useFont(r); return fontHasGlyphs(doc, r.text); });
+        if (!vector) return { vector, measure: measureTextPx };
+        return { vector, measure: (text, r) => { useFont(r); return doc.getTextWidth(text) / MM; } };
+    }
+
+    /**
+     * Break runs into lines no wider than maxWidth. Explicit line breaks always start a
+     * line; words break at spaces, CJK text between any two characters, and a word wider
+     * than the line anywhere.
+     * @returns {Array<{frags: Array<{run, text, w}>, width: number}>}
+     */
+    function wrapRuns(runs, maxWidth, measure) {
+        const lines = [];
+        let line = { frags: [], width: 0 };
+        const add = (run, text, w) => {
+            const last = line.frags[line.frags.length - 1];
+            if (last && last.run === run) {
+                last.text += text;
+                last.w += w;
+            } else {
+                line.frags.push({ run, text, w });
+            }
+            line.width += w;
+        };
+        const newLine = () => {
+            lines.push(line);
+            line = { frags: [], width: 0 };
+        };
+
+        for (const run of runs) {
+            for (const token of run.text.match(BREAK_RE) || []) {
+                if (token === '\n') { newLine(); continue; }
+                const w = measure(token, run);
+                const space = /^[ \t]/.test(token);
+                if (line.width > 0 && line.width + w > maxWidth) {
+                    newLine();
+                    if (space) continue; // The break swallows the spaces
+                }
+                if (w <= maxWidth || space) { add(run, token, w); continue; }
+                for (const ch of token) {
+                    const cw = measure(ch, run);
+                    if (line.width > 0 && line.width + cw > maxWidth) newLine();
+                    add(run, ch, cw);
+                }
+            }
+        }
+        lines.push(line);
+
+        // Trailing spaces don't count for alignment
+        for (const l of lines) {
+            const last = l.frags[l.frags.length - 1];
+            if (!last || !/[ \t]$/.test(last.text)) continue;
+            const trimmed = last.text.replace(/[ \t]+$/, '');
+            const w = trimmed ? measure(trimmed, last.run) : 0;
+            l.width -= last.w - w;
+            if (trimmed) Object.assign(last, { text: trimmed, w });
+            else l.frags.pop();
+        }
+        return lines;
+    }
+
+    /**
+     * Place a box's text (layout px): lines broken for wrapText, one character per line for
+     * vertical text, fonts scaled down for shrinkToFit, characters dropped past the edge of
+     * clipped cells, then aligned (indent, justify, distributed) in a block turned by the
+     * text rotation.
+     * @param {Array} runs - See boxRuns (modified)
+     * @param {Object} box - { w, h, style, clip } in layout px
+     * @param {function(string, Object): number} measure - Width (px) of text in a run's font
+     * @returns {{pieces: Array<{run, text, u, v, w, size}>, cx, cy, angle, extentH}} Pieces
+     *   start at u with their middle at v, around the block center (cx, cy) in the box; angle
+     *   in degrees counterclockwise; extentH: height of the turned block
+     */
+    function layoutCellText(runs, box, measure) {
+        const st = box.style;
+        const padX = 3;
+        const angle = st.vertical ? 0 : st.rotation;
+        const rad = angle * Math.PI / 180;
+        const indentLeft = st.hAlign === 'right' || st.hAlign === 'center' ? 0 : st.indent;
+        const indentRight = st.hAlign === 'right' || st.hAlign === 'distributed' ? st.indent : 0;
+        const innerW = Math.max(1, box.w - 2 * padX - indentLeft - indentRight);
+        // Room along the text direction: the width, or the height for upright text
+        const room = angle === 0 ? innerW : Math.abs(angle) === 90 ? Math.max(1, box.h - 2) : Infinity;
+
+        let lines;
+        if (st.vertical) {
+            lines = [];
+            for (const run of runs) {
+                for (const ch of run.text.replace(/\n/g, '')) {
+                    const w = measure(ch, run);
+                    lines.push({ frags: [{ run, text: ch, w }], width: w });
+                }
+            }
+        } else {
+            if (!st.wrap) runs.forEach(r => { r.text = r.text.replace(/\r?\n/g, ''); });
+            const natural = () => runs.reduce((sum, r) => sum + measure(r.text, r), 0);
+            if (st.shrink) {
+                const total = natural();
+                if (total > room) runs.forEach(r => { r.fontSize *= room / total; });
+            } else if (box.clip && !st.wrap && angle === 0) {
+                // Data zone clips like overflow:hidden — drop characters that don't fit
+                let total = natural();
+                while (total > room && (runs.length > 1 || runs[0].text.length > 1)) {
+                    const last = runs[runs.length - 1];
+                    last.text = last.text.slice(0, -1);
+                    if (!last.text) runs.pop();
+                    total = natural();
+                }
+            }
+            lines = wrapRuns(runs, st.wrap ? room : Infinity, measure);
+        }
+
+        const baseSize = runs.length > 0 ? runs[0].fontSize : st.fontSize;
+        const lineH = (l) => Math.max(...l.frags.map(f => f.run.fontSize), l.frags.length ? 0 : baseSize) *
+            (st.vertical ? 1.05 : LINE_SPACING);
+        const spread = angle === 0 && !st.vertical && (st.hAlign === 'distributed' || st.hAlign === 'justify');
+        const blockW = spread ? innerW : Math.max(0, ...lines.map(l => l.width));
+        const blockH = lines.reduce((sum, l) => sum + lineH(l), 0);
+
+        // Block center: the turned block's bounding box aligned in the cell
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const boundW = blockW * Math.abs(cos) + blockH * Math.abs(sin);
+        const extentH = blockW * Math.abs(sin) + blockH * Math.abs(cos);
+        const cx = st.hAlign === 'right' ? box.w - padX - indentRight - boundW / 2
+            : st.hAlign === 'center' || st.vertical ? box.w / 2
+                : padX + indentLeft + boundW / 2;
+        const cy = st.vAlign === 'top' ? 1 + extentH / 2 : st.vAlign === 'bottom' ? box.h - 1 - extentH / 2 : box.h / 2;
+
+        const pieces = [];
+        let top = -blockH / 2;
+        lines.forEach((line, i) => {
+            const h = lineH(line);
+            const v = top + h / 2;
+            top += h;
+            let u = st.vertical || st.hAlign === 'center' ? -line.width / 2
+                : st.hAlign === 'right' ? blockW / 2 - line.width : -blockW / 2;
+
+            // justify spreads the spaces of every wrapped line but the last; distributed
+            // spreads the characters of every line (a lone character is centered)
+            let units = line.frags.map(f => ({ ...f }));
+            let gap = 0;
+            if (spread && (st.hAlign === 'distributed' || (st.wrap && i < lines.length - 1))) {
+                const pattern = st.hAlign === 'distributed' ? /[\s\S]/gu : /[ \t]+|[^ \t]+/g;
+                units = line.frags.flatMap(f => (f.text.match(pattern) || [])
+                    .map(text => ({ run: f.run, text, w: measure(text, f.run) })));
+                const slots = st.hAlign === 'distributed' ? units.length - 1 : units.filter(p => /^[ \t]/.test(p.text)).length;
+                if (slots > 0) gap = (blockW - line.width) / slots;
+                else if (st.hAlign === 'distributed') u = -line.width / 2;
+            }
+            for (const unit of units) {
+                const r = unit.run;
+                const dy = r.vertAlign === 'superscript' ? -0.3 * r.fontSize : r.vertAlign === 'subscript' ? 0.25 * r.fontSize : 0;
+                pieces.push({ run: r, text: unit.text, u, v: v + dy, w: unit.w, size: runSize(r) });
+                u += unit.w;
+                if (gap && (st.hAlign === 'distributed' || /^[ \t]/.test(unit.text))) u += gap;
+            }
+        });
+        return { pieces, cx, cy, angle, extentH };
+    }
+
+    /**
+     * Draw a cell's text with the embedded font (raster fallback for missing glyphs): each
+     * piece in its run's size and color, bold outlined, italic skewed, underline/strike ruled
+     */
+    function drawCellText(doc, box, x, y, MM, PT_PER_MM, fontName) {
+        const runs = boxRuns(box);
+        const { vector, measure } = textMeasure(doc, runs, MM, PT_PER_MM, fontName);
+        if (!vector) {
+            drawRasterText(doc, box, x, y, MM);
+            return;
+        }
+
+        const layout = layoutCellText(runs, { ...box, w: box.w / MM, h: box.h / MM }, measure);
+        const rad = layout.angle * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        // Block coordinates (layout px) → page mm
+        const at = (u, v) => [x + (layout.cx + u * cos + v * sin) * MM, y + (layout.cy - u * sin + v * cos) * MM];
+
+        for (const p of layout.pieces) {
+            const r = p.run;
+            const sizePt = p.size * MM * PT_PER_MM;
+            doc.setFont(fontName, r.bold ? 'bold' : 'normal');
+            doc.setFontSize(sizePt);
+            // The embedded font has no bold face — thicken the glyph outline instead
+            const fakeBold = r.bold && fontName !== 'helvetica';
+            if (fakeBold) {
+                doc.setDrawColor(`#${r.color}`);
+                doc.setLineWidth(sizePt / PT_PER_MM * 0.04);
+            }
+            doc.setTextColor(`#${r.color}`);
+            const skew = r.italic ? ITALIC_SKEW : 0;
+            const options = { renderingMode: fakeBold ? 'fillThenStroke' : 'fill' };
+            let point;
+            if (layout.angle) {
+                // jsPDF shifts the baseline before turning the text — place the baseline directly
+                point = at(p.u, p.v + 0.35 * p.size);
+                options.angle = new doc.Matrix(cos, sin, skew * cos - sin, skew * sin + cos, 0, 0);
+            } else {
+                point = at(p.u, p.v);
+                options.baseline = 'middle';
+                if (skew) options.angle = new doc.Matrix(1, 0, skew, 1, 0, 0);
+            }
+            doc.text(p.text, point[0], point[1], options);
+
+            if (r.underline || r.strike) {
+                doc.setDrawColor(`#${r.color}`);
+                doc.setLineWidth(p.size * MM * 0.06);
+                const rule = (dv) => doc.line(...at(p.u, p.v + dv), ...at(p.u + p.w, p.v + dv));
+                if (r.underline) rule(0.45 * p.size);
+                if (r.strike) rule(0.05 * p.size);
+            }
+        }
+        doc.setTextColor(0, 0, 0);
+    }
+
+    /** Whether the current jsPDF font can draw every character of text */
+    function fontHasGlyphs(doc, text) {
+        const metadata = doc.getFont().metadata;
+        if (!metadata || typeof metadata.characterToGlyph !== 'function') {
+            return /^[\x20-\xff]*$/.test(text); // Standard 14 fonts: WinAnsi only
+        }
+        for (const ch of text) {
+            if (ch.trim() && !metadata.characterToGlyph(ch.codePointAt(0))) return false;
+        }
+        return true;
+    }
+
+    /** Draw a cell's text as an image with the browser's fonts (glyphs the embedded font lacks) */
+    function drawRasterText(doc, box, x, y, MM) {
+        const SCALE = 4;
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext && canvas.getContext('2d');
+        if (!ctx) return;
+
+        const boxWpx = box.w / MM;
+        const boxHpx = box.h / MM;
+        const measure = (text, r) => {
+            ctx.font = runFontCss(r);
+            return ctx.measureText(text).width;
+        };
+        const layout = layoutCellText(boxRuns(box), { ...box, w: boxWpx, h: boxHpx }, measure);
+
+        // Header-zone text may overflow its box (overflow:visible) — widen the image to fit
+        let minX = 0;
+        let maxX = boxWpx;
+        if (!box.clip && !layout.angle) {
+            for (const p of layout.pieces) {
+                minX = Math.min(minX, layout.cx + p.u - 3);
+                maxX = Math.max(maxX, layout.cx + p.u + p.w + 3);
+            }
+        }
+
+        canvas.width = Math.ceil((maxX - minX) * SCALE);
+        canvas.height = Math.ceil(boxHpx * SCALE);
+        ctx.scale(SCALE, SCALE);
+        ctx.translate(layout.cx - minX, layout.cy);
+        ctx.rotate(-layout.angle * Math.PI / 180);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (const p of layout.pieces) {
+            const r = p.run;
+            ctx.font = runFontCss(r);
+            ctx.fillStyle = `#${r.color}`;
+            ctx.fillText(p.text, p.u, p.v);
+            const thickness = Math.max(0.5, p.size * 0.06);
+            if (r.underline) ctx.fillRect(p.u, p.v + 0.45 * p.size, p.w, thickness);
+            if (r.strike) ctx.fillRect(p.u, p.v + 0.05 * p.size, p.w, thickness);
+        }
+
+        doc.addImage(canvas.toDataURL('image/png'), 'PNG', x + minX * MM, y, (maxX - minX) * MM, box.h);
+    }
+
     // ===== Simple table (no template) =====
 
     async function renderSimpleTable(headers, rows, title, pageSize, landscape, margins) {
@@ -532,19 +2017,55 @@ const SVGPDFRenderer = (() => {
 
     // ===== Parsers =====
 
+    /** Shared strings as { text, runs } (see parseStringItem) */
     function parseStrings(ssXml) {
         const doc = new DOMParser().parseFromString(ssXml, 'application/xml');
         const siNodes = doc.getElementsByTagName('si');
         const arr = [];
-        for (let i = 0; i < siNodes.length; i++) {
-            const tNodes = siNodes[i].getElementsByTagName('t');
-            let text = '';
-            for (let j = 0; j < tNodes.length; j++) text += tNodes[j].textContent || '';
-            arr.push(text);
-        }
+        for (let i = 0; i < siNodes.length; i++) arr.push(parseStringItem(siNodes[i]));
         return arr;
     }
 
+    /**
+     * <si> or <is> → { text, runs }. runs is null for plain strings, otherwise one entry per
+     * <r> with its text and <rPr> font (null = the cell's font). Phonetic guides (<rPh>)
+     * are not displayed.
+     */
+    function parseStringItem(item) {
+        const childOf = (el, name) => Array.from(el.children).find(c => c.localName === name) || null;
+        const runs = [];
+        let text = '';
+        for (const child of Array.from(item.children)) {
+            if (child.localName === 't') {
+                text += child.textContent || '';
+            } else if (child.localName === 'r') {
+                const t = childOf(child, 't');
+                const rPr = childOf(child, 'rPr');
+                const runText = t ? t.textContent || '' : '';
+                runs.push({ text: runText, font: rPr ? parseRunFont(rPr) : null });
+                text += runText;
+            }
+        }
+        return { text, runs: runs.length > 0 ? runs : null };
+    }
+
+    /** <rPr> → run font; a run with <rPr> does not inherit the cell font */
+    function parseRunFont(rPr) {
+        const el = (name) => Array.from(rPr.children).find(c => c.localName === name) || null;
+        const flag = (name) => !!el(name) && !['0', 'false'].includes(el(name).getAttribute('val'));
+        const vertAlign = el('vertAlign')?.getAttribute('val');
+        return {
+            name: el('rFont')?.getAttribute('val') || null,
+            size: parseFloat(el('sz')?.getAttribute('val')) || null,
+            bold: flag('b'),
+            italic: flag('i'),
+            underline: !!el('u') && el('u').getAttribute('val') !== 'none',
+            strike: flag('strike'),
+            color: parseColor(el('color')),
+            vertAlign: vertAlign === 'superscript' || vertAlign === 'subscript' ? vertAlign : null,
+        };
+    }
+
     function parseColumnWidths(sheetDoc) {
         const colNodes = sheetDoc.getElementsByTagName('col');
         const widths = {};
@@ -594,9 +2115,15 @@ const SVGPDFRenderer = (() => {
                 const fEl = c.getElementsByTagName('f')[0];
                 let val = vEl ? vEl.textContent : '';
                 let display = val;
-                if (t === 's') display = strings[parseInt(val)] || '';
+                let runs = null;
+                const isEl = t === 'inlineStr' ? c.getElementsByTagName('is')[0] : null;
+                const entry = t === 's' ? strings[parseInt(val)] : isEl ? parseStringItem(isEl) : null;
+                if (t === 's' || isEl) {
+                    display = entry ? entry.text : '';
+                    runs = entry ? entry.runs : null;
+                }
                 const formula = fEl ? fEl.textContent : '';
-                cells.push({ colNum, s, t, display, formula });
+                cells.push({ colNum, s, t, display, formula, runs });
             }
             rows.push({ rowNum: rn, ht, cells });
         }
@@ -604,123 +2131,107 @@ const SVGPDFRenderer = (() => {
     }
 
     /**
-     * Evaluate footer formulas against new data rows.
-     * Handles common Excel patterns: SUM(range), CELL*constant, SUM(CELL:CELL)
-     * This allows the PDF to show computed values matching the Excel output.
+     * Cell text → formula operand (numbers as numbers)
+     */
+    function toCellValue(v) {
+        if (v === null || v === undefined || v === '') return null;
+        if (typeof v !== 'string') return v;
+        return v.trim() !== '' && !isNaN(v) ? Number(v) : v;
+    }
+
+    /**
+     * Computed value → display text (errors show their code, booleans as TRUE/FALSE)
      */
-    function evaluateFooterFormulas(footerRows, dataRows, dataStart, maxCol) {
-        // Build a cell value map for resolved footer cells (for cross-references)
-        const cellValues = {}; // key: "COL_ROW" e.g. "H44" -> numeric value
+    function formatValue(v) {
+        if (v === null || v === undefined) return '';
+        if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+        return String(v);
+    }
 
-        // Build column sums from data rows
-        const colSums = {};
-        for (let ci = 0; ci < maxCol; ci++) {
-            let sum = 0;
-            for (const row of dataRows) {
-                const cell = row.cells.find(c => c.colNum === ci + 1);
-                if (cell) {
-                    const num = parseFloat(cell.display);
-                    if (!isNaN(num)) sum += num;
-                }
+    /**
+     * Overwrite header/footer cell values by ref, mirroring TemplateEngine's Step 1
+     */
+    function applyFieldUpdates(rows, updates, dataStart, dataEnd) {
+        if (!updates || Object.keys(updates).length === 0) return;
+        for (const row of rows) {
+            if (row.rowNum >= dataStart && row.rowNum <= dataEnd) continue;
+            for (const cell of row.cells) {
+                const value = updates[colNumToRef(cell.colNum) + row.rowNum];
+                if (value === undefined) continue;
+                const text = value == null ? '' : String(value);
+                cell.display = text;
+                cell.t = text.trim() !== '' && !isNaN(text) ? '' : 's';
+                cell.formula = '';
             }
-            colSums[ci + 1] = sum;
         }
+    }
 
-        // Helper: column number to letter(s)
-        const colToLetter = (col) => {
-            let s = '';
-            while (col > 0) { col--; s = String.fromCharCode(65 + (col % 26)) + s; col = Math.floor(col / 26); }
-            return s;
-        };
-
-        // Helper: resolve a cell ref like "H44" to its numeric value
-        const resolveRef = (ref) => {
-            const val = cellValues[ref.toUpperCase()];
-            return val !== undefined ? val : 0;
-        };
+    /**
+     * Evaluate header/footer formulas over the whole generated sheet, like Excel would.
+     * Formulas are first moved to the generated layout (same rewrite as the XLSX output),
+     * then FormulaEngine resolves them in dependency order. Data rows carry their values;
+     * formulas reading other sheets keep the template's cached value, like the XLSX output.
+     */
+    function evaluateSheetFormulas(rows, layout) {
+        const { dataStart, dataEnd, newDataEnd, footerStart, shift, dataRuns } = layout;
+        const footerMoved = shift !== 0 || !!dataRuns;
+        const cells = {};
+        const formulaCells = [];
 
-        // Helper: evaluate a simple formula
-        const evalFormula = (formula, rowNum, colNum) => {
-            if (!formula) return null;
-            const f = formula.trim();
-
-            // Pattern 1: SUM(range) or SUM(range1,range2,...)
-            const sumMatch = f.match(/^SUM\((.+)\)$/i);
-            if (sumMatch) {
-                const parts = sumMatch[1].split(',');
-                let total = 0;
-                for (const part of parts) {
-                    const rangeMatch = part.trim().match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
-                    if (rangeMatch) {
-                        const col = rangeMatch[1].toUpperCase();
-                        const r1 = parseInt(rangeMatch[2]);
-                        const r2 = parseInt(rangeMatch[4]);
-                        for (let r = r1; r <= r2; r++) {
-                            const key = `${col}${r}`;
-                            // Check data rows first
-                            const dataRowIdx = r - dataStart;
-                            if (dataRowIdx >= 0 && dataRowIdx < dataRows.length) {
-                                const colIdx = col.charCodeAt(0) - 65; // simple A-Z
-                                const cell = dataRows[dataRowIdx].cells.find(c => c.colNum === colIdx + 1);
-                                if (cell) {
-                                    const num = parseFloat(cell.display);
-                                    if (!isNaN(num)) total += num;
-                                }
-                            } else {
-                                // Footer cell reference
-                                total += resolveRef(key);
-                            }
-                        }
-                    } else {
-                        // Single cell reference in SUM, e.g. SUM(H44)
-                        total += resolveRef(part.trim());
-                    }
+        for (const row of rows) {
+            for (const cell of row.cells) {
+                const key = colNumToRef(cell.colNum) + row.rowNum;
+                const readsOtherSheet = cell.formula && FormulaEngine.dependencies(cell.formula).some(d => d.sheet);
+                if (cell.formula && !row.generated && !readsOtherSheet) {
+                    const formula = TemplateEngine.updateFormulaRangesGeneric(
+                        cell.formula, dataStart, dataEnd, dataStart, newDataEnd,
+                        footerStart, footerStart + shift, dataRuns
+                    );
+                    cells[key] = { formula };
+                    // Same rule as the XLSX cached values: a footer formula is stale once the footer
+                    // moved or when it reads the rebuilt data rows
+                    const stale = row.rowNum > newDataEnd && (footerMoved || TemplateEngine.readsRowsFrom(formula, dataStart));
+                    formulaCells.push({ cell, key, moved: formula !== cell.formula || stale });
+                } else {
+                    cells[key] = { value: cell.t === 's' || cell.t === 'str' ? cell.display : toCellValue(cell.display) };
                 }
-                return total;
-            }
-
-            // Pattern 2: CELL*constant (e.g. H44*0.1)
-            const mulMatch = f.match(/^([A-Z]+)(\d+)\*([\d.]+)$/i);
-            if (mulMatch) {
-                const ref = `${mulMatch[1].toUpperCase()}${mulMatch[2]}`;
-                const multiplier = parseFloat(mulMatch[3]);
-                return resolveRef(ref) * multiplier;
             }
+        }
 
-            // Pattern 3: constant*CELL (e.g. 0.1*H44)
-            const mulMatch2 = f.match(/^([\d.]+)\*([A-Z]+)(\d+)$/i);
-            if (mulMatch2) {
-                const multiplier = parseFloat(mulMatch2[1]);
-                const ref = `${mulMatch2[2].toUpperCase()}${mulMatch2[3]}`;
-                return multiplier * resolveRef(ref);
-            }
-
-            return null; // Unrecognized formula
-        };
-
-        // Process footer rows in order (so references resolve correctly)
-        for (const row of footerRows) {
-            for (const cell of row.cells) {
-                if (!cell.formula) continue;
-
-                const result = evalFormula(cell.formula, row.rowNum, cell.colNum);
-                if (result !== null && result !== 0) {
-                    cell.display = String(result);
-                    cell.t = ''; // Mark as numeric for formatting
-                    // Register in cell value map for cross-references
-                    const colLetter = colToLetter(cell.colNum);
-                    cellValues[`${colLetter}${row.rowNum}`] = result;
-                } else if (cell.t !== 's') {
-                    // Clear stale cached value for unresolved formulas
-                    cell.display = '';
-                }
+        const results = FormulaEngine.evaluateSheet(cells);
+        for (const { cell, key, moved } of formulaCells) {
+            const result = results[key];
+            if (result !== null) {
+                cell.display = formatValue(result);
+                cell.t = typeof result === 'number' ? '' : 'str';
+            } else if (moved) {
+                // Unsupported formula that moved or over rewritten ranges — its cached value would be stale
+                cell.display = '';
             }
         }
     }
 
-    function parseStyles(stylesXml) {
+    /**
+     * Parse styles.xml. Colors stay as parsed <color> specs (see parseColor) and are resolved
+     * against palette: the workbook theme plus the indexed palette with <indexedColors> applied.
+     * @param {string} stylesXml
+     * @param {string|null} themeXml - xl/theme/theme1.xml, null for the default Office theme
+     */
+    function parseStyles(stylesXml, themeXml = null) {
         const doc = new DOMParser().parseFromString(stylesXml, 'application/xml');
 
+        // Palette
+        const indexed = INDEXED_COLORS.slice();
+        const indexedParent = doc.getElementsByTagName('indexedColors')[0];
+        if (indexedParent) {
+            const rgbNodes = indexedParent.getElementsByTagName('rgbColor');
+            for (let i = 0; i < rgbNodes.length; i++) {
+                const rgb = rgbNodes[i].getAttribute('rgb');
+                if (rgb) indexed[i] = rgb.slice(-6).toUpperCase();
+            }
+        }
+        const palette = { theme: parseThemeColors(themeXml), indexed };
+
         // Fonts
         const fontParent = doc.getElementsByTagName('fonts')[0];
         const fontNodes = fontParent ? fontParent.querySelectorAll(':scope > font') : [];
@@ -728,14 +2239,20 @@ const SVGPDFRenderer = (() => {
         for (const f of fontNodes) {
             const nm = f.getElementsByTagName('name')[0];
             const sz = f.getElementsByTagName('sz')[0];
-            const bNodes = f.getElementsByTagName('b');
+            const flag = (name) => {
+                const el = f.getElementsByTagName(name)[0];
+                return !!el && !['0', 'false'].includes(el.getAttribute('val'));
+            };
+            const uEl = f.getElementsByTagName('u')[0];
             const colorEl = f.getElementsByTagName('color')[0];
             fonts.push({
                 name: nm?.getAttribute('val') || 'sans-serif',
                 size: parseFloat(sz?.getAttribute('val') || '11'),
-                bold: bNodes.length > 0,
-                colorRgb: colorEl?.getAttribute('rgb') || null,
-                colorTheme: colorEl?.getAttribute('theme') || null,
+                bold: flag('b'),
+                italic: flag('i'),
+                underline: !!uEl && uEl.getAttribute('val') !== 'none',
+                strike: flag('strike'),
+                color: parseColor(colorEl),
             });
         }
 
@@ -745,12 +2262,16 @@ const SVGPDFRenderer = (() => {
         const fills = [];
         for (const f of fillNodes) {
             const pf = f.getElementsByTagName('patternFill')[0];
+            const gf = f.getElementsByTagName('gradientFill')[0];
+            if (!pf && gf) {
+                // Gradient: the first stop stands in for the whole fill
+                fills.push({ pattern: 'solid', fg: parseColor(gf.getElementsByTagName('color')[0]) });
+                continue;
+            }
             if (!pf) { fills.push({}); continue; }
-            const fg = pf.getElementsByTagName('fgColor')[0];
             fills.push({
                 pattern: pf.getAttribute('patternType') || 'none',
-                fgRgb: fg?.getAttribute('rgb') || null,
-                fgTheme: fg?.getAttribute('theme') || null,
+                fg: parseColor(pf.getElementsByTagName('fgColor')[0]),
             });
         }
 
@@ -766,7 +2287,7 @@ const SVGPDFRenderer = (() => {
                     const cEl = el.getElementsByTagName('color')[0];
                     sides[side] = {
                         style: el.getAttribute('style'),
-                        color: cEl?.getAttribute('rgb') || (cEl?.getAttribute('auto') === 'true' ? '000000' : '000000'),
+                        color: parseColor(cEl),
                     };
                 }
             }
@@ -787,7 +2308,10 @@ const SVGPDFRenderer = (() => {
                 alignment: al ? {
                     horizontal: al.getAttribute('horizontal') || null,
                     vertical: al.getAttribute('vertical') || null,
-                    wrapText: al.getAttribute('wrapText') === '1',
+                    wrapText: ['1', 'true'].includes(al.getAttribute('wrapText')),
+                    shrinkToFit: ['1', 'true'].includes(al.getAttribute('shrinkToFit')),
+                    indent: parseInt(al.getAttribute('indent') || '0'),
+                    textRotation: parseInt(al.getAttribute('textRotation') || '0'),
                 } : null,
             });
         }
@@ -799,7 +2323,7 @@ const SVGPDFRenderer = (() => {
             numFmts[parseInt(nfNodes[i].getAttribute('numFmtId'))] = nfNodes[i].getAttribute('formatCode');
         }
 
-        return { fonts, fills, borders, xfs, numFmts };
+        return { fonts, fills, borders, xfs, numFmts, palette };
     }
 
     function buildMergeMap(merges) {
@@ -810,7 +2334,7 @@ const SVGPDFRenderer = (() => {
                     if (r === m.startRow && c === m.startCol) {
                         map[`${r},${c}`] = { ...m, isOrigin: true };
                     } else {
-                        map[`${r},${c}`] = { isOrigin: false };
+                        map[`${r},${c}`] = { ...m, isOrigin: false };
                     }
                 }
             }
@@ -818,6 +2342,38 @@ const SVGPDFRenderer = (() => {
         return map;
     }
 
+    /**
+     * Restrict rows, merges and column widths to columns [firstCol, lastCol] and rows
+     * [firstRow, lastRow], renumbering columns from 1
+     */
+    function clipColumns(rows, merges, colWidths, firstCol, lastCol, firstRow, lastRow) {
+        const offset = firstCol - 1;
+        const clippedRows = rows.map(r => ({
+            ...r,
+            cells: r.cells.filter(c => c.colNum >= firstCol && c.colNum <= lastCol)
+                .map(c => ({ ...c, colNum: c.colNum - offset })),
+        }));
+        const clippedMerges = [];
+        for (const m of merges) {
+            const startCol = Math.max(m.startCol, firstCol);
+            const endCol = Math.min(m.endCol, lastCol);
+            const startRow = Math.max(m.startRow, firstRow);
+            const endRow = Math.min(m.endRow, lastRow);
+            if (startCol > endCol || startRow > endRow) continue;
+            clippedMerges.push({
+                startCol: startCol - offset, endCol: endCol - offset,
+                startRow, endRow,
+                colspan: endCol - startCol + 1,
+                rowspan: endRow - startRow + 1,
+            });
+        }
+        const clippedWidths = {};
+        for (let c = firstCol; c <= lastCol; c++) {
+            if (colWidths[c] !== undefined) clippedWidths[c - offset] = colWidths[c];
+        }
+        return { rows: clippedRows, merges: clippedMerges, colWidths: clippedWidths };
+    }
+
     // ===== Utilities =====
 
     function parseCellRef(ref) {
@@ -829,32 +2385,97 @@ const SVGPDFRenderer = (() => {
         return { colNum, rowNum: parseInt(match[2]) };
     }
 
-    function resolveColor(rgb, theme) {
-        if (rgb && rgb.length >= 6) return rgb.length === 8 ? rgb.substring(2) : rgb;
-        if (theme !== null && theme !== undefined) {
-            const t = parseInt(theme);
-            if (t >= 0 && t < THEME_COLORS.length) return THEME_COLORS[t];
-        }
-        return null;
+    function colNumToRef(col) {
+        let s = '';
+        while (col > 0) { col--; s = String.fromCharCode(65 + (col % 26)) + s; col = Math.floor(col / 26); }
+        return s;
     }
 
-    function resolveFillColor(fill) {
-        if (!fill || fill.pattern === 'none' || fill.pattern === 'gray125') return null;
-        return resolveColor(fill.fgRgb, fill.fgTheme);
+    /**
+     * Theme colors by SpreadsheetML index from <a:clrScheme> (srgbClr, or sysClr's lastClr)
+     */
+    function parseThemeColors(themeXml) {
+        if (!themeXml) return THEME_COLORS;
+        const doc = new DOMParser().parseFromString(themeXml, 'application/xml');
+        const scheme = doc.getElementsByTagNameNS('*', 'clrScheme')[0];
+        if (!scheme) return THEME_COLORS;
+        const order = ['lt1', 'dk1', 'lt2', 'dk2', 'accent1', 'accent2', 'accent3', 'accent4',
+            'accent5', 'accent6', 'hlink', 'folHlink'];
+        return order.map((name, i) => {
+            const slot = Array.from(scheme.children).find(el => el.localName === name);
+            const spec = slot && slot.firstElementChild;
+            const val = !spec ? null
+                : spec.localName === 'srgbClr' ? spec.getAttribute('val')
+                    : spec.localName === 'sysClr' ? spec.getAttribute('lastClr') : null;
+            return val && /^[0-9A-Fa-f]{6}$/.test(val) ? val.toUpperCase() : THEME_COLORS[i];
+        });
     }
 
-    function formatNumber(val, numFmtId, numFmts) {
-        const num = parseFloat(val);
-        if (isNaN(num)) return val;
-        if ([3, 4, 38, 39, 40].includes(numFmtId)) return num.toLocaleString('ja-JP');
-        const fmt = numFmts[numFmtId];
-        if (fmt && fmt.includes('#,##0')) return num.toLocaleString('ja-JP');
-        if ((numFmtId >= 14 && numFmtId <= 22) || (fmt && (fmt.includes('yy') || fmt.includes('dd')))) {
-            const date = new Date(Date.UTC(1899, 11, 30) + num * 86400000);
-            return date.toLocaleDateString('ja-JP');
+    /** <color>/<fgColor> element → { rgb, theme, indexed, tint, auto }, null when absent */
+    function parseColor(el) {
+        if (!el) return null;
+        const num = (name) => (el.hasAttribute(name) ? parseFloat(el.getAttribute(name)) : null);
+        return {
+            rgb: el.getAttribute('rgb') || null,
+            theme: num('theme'),
+            indexed: num('indexed'),
+            tint: num('tint') || 0,
+            auto: ['1', 'true'].includes(el.getAttribute('auto')),
+        };
+    }
+
+    /**
+     * Parsed color → RRGGBB (ARGB alpha dropped, tint applied); null for automatic/unknown
+     */
+    function resolveColor(color, palette = { theme: THEME_COLORS, indexed: INDEXED_COLORS }) {
+        if (!color || color.auto) return null;
+        let rgb = null;
+        if (color.rgb && color.rgb.length >= 6) rgb = color.rgb.slice(-6);
+        else if (color.theme !== null) rgb = palette.theme[color.theme] || null;
+        else if (color.indexed !== null) rgb = palette.indexed[color.indexed] || null;
+        if (!rgb) return null;
+        return color.tint ? applyTint(rgb, color.tint) : rgb.toUpperCase();
+    }
+
+    /**
+     * Excel tint: in HLS space, darken (tint < 0) luminance by |tint|, or lighten it
+     * toward white by tint
+     */
+    function applyTint(rgb, tint) {
+        const [r, g, b] = [0, 2, 4].map(i => parseInt(rgb.substr(i, 2), 16) / 255);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        let h = 0;
+        let s = 0;
+        let l = (max + min) / 2;
+        if (max !== min) {
+            const d = max - min;
+            s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+            h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+            h /= 6;
+        }
+        l = tint < 0 ? l * (1 + tint) : l * (1 - tint) + tint;
+
+        const hueToRgb = (p, q, t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+        let out = [l, l, l];
+        if (s !== 0) {
+            const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+            const p = 2 * l - q;
+            out = [hueToRgb(p, q, h + 1 / 3), hueToRgb(p, q, h), hueToRgb(p, q, h - 1 / 3)];
         }
-        if (numFmtId === 49) return val;
-        return val;
+        return out.map(v => Math.round(Math.min(1, Math.max(0, v)) * 255).toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    function resolveFillColor(fill, palette) {
+        if (!fill || fill.pattern === 'none' || fill.pattern === 'gray125') return null;
+        return resolveColor(fill.fg, palette);
     }
 
     function escapeHtml(str) {
@@ -864,108 +2485,107 @@ const SVGPDFRenderer = (() => {
 
     // ===== FIX 5: Extract template images (seal/stamp) =====
 
-    async function extractTemplateImages(zip, dataStart, dataEnd, rowShift) {
-        const images = [];
-
-        // Find drawing relationships from sheet rels
-        const relsPath = 'xl/worksheets/_rels/sheet1.xml.rels';
-        const relsFile = zip.file(relsPath);
-        if (!relsFile) return images;
-
-        const relsXml = await relsFile.async('string');
-        const relsDoc = new DOMParser().parseFromString(relsXml, 'application/xml');
-        const rels = relsDoc.getElementsByTagName('Relationship');
-
-        // Find drawing file path
-        let drawingPath = null;
-        for (let i = 0; i < rels.length; i++) {
-            const type = rels[i].getAttribute('Type') || '';
-            if (type.includes('drawing')) {
-                const target = rels[i].getAttribute('Target') || '';
-                drawingPath = target.startsWith('/') ? target.substring(1) : 'xl/' + target.replace('../', '');
-                break;
-            }
-        }
-        if (!drawingPath) return images;
-
-        // Parse drawing XML for anchor positions
-        const drawingFile = zip.file(drawingPath);
-        if (!drawingFile) return images;
-        const drawingXml = await drawingFile.async('string');
-        const drawingDoc = new DOMParser().parseFromString(drawingXml, 'application/xml');
-
-        // Build a map of rId → anchor position from drawing XML
-        const anchorMap = {};
-        // Try twoCellAnchor elements
-        const anchors = drawingDoc.getElementsByTagName('xdr:twoCellAnchor');
-        for (let i = 0; i < anchors.length; i++) {
-            const from = anchors[i].getElementsByTagName('xdr:from')[0];
+    /**
+     * Position template pictures and charts (TemplateEngine analysis.images/charts) on the
+     * final layout. Cell anchors follow the real column widths and row heights: a twoCell
+     * object spans its from/to cells, oneCell and absolute ones keep their size (scaled with zoom).
+     * @param {Object} layout
+     * @param {Array} layout.rows - Final rows (after footer shift, print area and empty-row collapse)
+     * @param {Array} layout.templateRows - Template rows, for absolute anchors
+     * @param {Object} layout.sheetColWidths - Template column widths (characters) before print-area clipping
+     * @param {function(number): number} layout.mapRow - Template row number → final row number
+     * @returns {Promise<Array<{dataUrl, format, chart, rowIdx, dy, x, w, h}>>} Layout px; rowIdx
+     *   indexes rows. Charts carry their resolved chart instead of image data.
+     */
+    async function placeTemplateImages(zip, anchors, layout) {
+        const { rows, templateRows, sheetColWidths, colPxWidths, maxCol, firstCol, zoom, offsetX, mapRow } = layout;
+        const EMU_PER_PX = 9525;
+        const naturalColPx = (col) => (sheetColWidths[col] || 8.43) * 7 + 5; // Excel characters → px at 100%
+        const naturalRowPx = (rowNum) => {
+            const row = templateRows.find(r => r.rowNum === rowNum);
+            return (row && row.ht ? row.ht : 15) * 4 / 3;
+        };
+
+        // Absolute EMU position → cell marker, walking the template's natural grid
+        const toMarker = (pos) => {
+            let x = pos.x / EMU_PER_PX;
+            let col = 1;
+            while (col < 16384 && x >= naturalColPx(col)) x -= naturalColPx(col++);
+            let y = pos.y / EMU_PER_PX;
+            let row = 1;
+            while (row < 1048576 && y >= naturalRowPx(row)) y -= naturalRowPx(row++);
+            return { col: col - 1, colOff: x * EMU_PER_PX, row: row - 1, rowOff: y * EMU_PER_PX };
+        };
+
+        // Marker → x in layout px (null outside the printed columns)
+        const xAt = (m) => {
+            const col = m.col + 2 - firstCol; // 1-based layout column
+            if (col < 1 || col > maxCol) return null;
+            let x = offsetX;
+            for (let c = 1; c < col; c++) x += colPxWidths[c] || 0;
+            const w = colPxWidths[col] || 0;
+            return x + Math.min(w, (m.colOff / EMU_PER_PX) * w / naturalColPx(m.col + 1));
+        };
+        // Marker → final row index + px below its top (null outside the printed rows).
+        // A collapsed row anchors to the next row that is still printed.
+        const yAt = (m) => {
+            const rowNum = mapRow(m.row + 1);
+            if (rows.length === 0 || rowNum < rows[0].rowNum) return null;
+            const idx = rows.findIndex(r => r.rowNum >= rowNum);
+            if (idx === -1) return null;
+            const h = rowHeightPx(rows[idx], zoom);
+            return { idx, dy: rows[idx].rowNum === rowNum ? Math.min(h, (m.rowOff / EMU_PER_PX) * zoom) : 0 };
+        };
+
+        const placed = [];
+        for (const anchor of anchors) {
+            const ext = anchor.path.split('.').pop().toLowerCase();
+            const format = anchor.chart ? null : ext === 'png' ? 'PNG' : ext === 'jpg' || ext === 'jpeg' ? 'JPEG' : null;
+            const file = zip.file(anchor.path);
+            if ((!format && !anchor.chart) || !file) continue; // EMF/WMF etc. cannot be drawn by jsPDF
+
+            const from = anchor.kind === 'absolute' ? (anchor.pos && toMarker(anchor.pos)) : anchor.from;
             if (!from) continue;
-            const fromRow = parseInt(from.getElementsByTagName('xdr:row')[0]?.textContent || '0');
-            const fromCol = parseInt(from.getElementsByTagName('xdr:col')[0]?.textContent || '0');
-
-            // Get the relationship ID from blipFill
-            const blips = anchors[i].getElementsByTagName('a:blip');
-            for (let j = 0; j < blips.length; j++) {
-                const rEmbed = blips[j].getAttribute('r:embed');
-                if (rEmbed) {
-                    anchorMap[rEmbed] = { row: fromRow, col: fromCol };
+            const x = xAt(from);
+            const y = yAt(from);
+            if (x === null || y === null) continue;
+
+            let w = anchor.ext ? (anchor.ext.cx / EMU_PER_PX) * zoom : 0;
+            let h = anchor.ext ? (anchor.ext.cy / EMU_PER_PX) * zoom : 0;
+            if (anchor.kind === 'twoCell' && anchor.editAs === 'twoCell' && anchor.to) {
+                const x2 = xAt(anchor.to);
+                const y2 = yAt(anchor.to);
+                if (x2 !== null && y2 !== null) {
+                    w = x2 - x;
+                    h = y2.dy - y.dy;
+                    for (let i = y.idx; i < y2.idx; i++) h += rowHeightPx(rows[i], zoom);
+                } else if (x2 !== null) {
+                    // Bottom corner below the last row (a chart under the table): template row heights
+                    w = x2 - x;
+                    h = ((anchor.to.rowOff - from.rowOff) / EMU_PER_PX) * zoom;
+                    for (let r = from.row + 1; r <= anchor.to.row; r++) h += naturalRowPx(r) * zoom;
                 }
             }
-        }
-        // Also try oneCellAnchor
-        const oneAnchors = drawingDoc.getElementsByTagName('xdr:oneCellAnchor');
-        for (let i = 0; i < oneAnchors.length; i++) {
-            const from = oneAnchors[i].getElementsByTagName('xdr:from')[0];
-            if (!from) continue;
-            const fromRow = parseInt(from.getElementsByTagName('xdr:row')[0]?.textContent || '0');
-            const fromCol = parseInt(from.getElementsByTagName('xdr:col')[0]?.textContent || '0');
-
-            const blips = oneAnchors[i].getElementsByTagName('a:blip');
-            for (let j = 0; j < blips.length; j++) {
-                const rEmbed = blips[j].getAttribute('r:embed');
-                if (rEmbed) {
-                    anchorMap[rEmbed] = { row: fromRow, col: fromCol };
+            if (w <= 0 || h <= 0) continue;
+
+            let content = { chart: anchor.chart };
+            if (!anchor.chart) {
+                let data;
+                try {
+                    data = await file.async('base64');
+                } catch (e) {
+                    continue; // Unreadable picture part
                 }
+                content = { dataUrl: `data:${format === 'PNG' ? 'image/png' : 'image/jpeg'};base64,${data}`, format };
             }
+            placed.push({
+                ...content,
+                rowIdx: y.idx,
+                dy: y.dy,
+                x, w, h,
+            });
         }
-
-        // Find drawing rels to map rId → image file
-        const drawingRelsPath = drawingPath.replace('drawings/', 'drawings/_rels/') + '.rels';
-        const drawingRelsFile = zip.file(drawingRelsPath);
-        if (!drawingRelsFile) return images;
-
-        const drawingRelsXml = await drawingRelsFile.async('string');
-        const drawingRelsDoc = new DOMParser().parseFromString(drawingRelsXml, 'application/xml');
-        const imgRels = drawingRelsDoc.getElementsByTagName('Relationship');
-
-        for (let i = 0; i < imgRels.length; i++) {
-            const type = imgRels[i].getAttribute('Type') || '';
-            if (!type.includes('image')) continue;
-
-            const rId = imgRels[i].getAttribute('Id') || '';
-            const target = imgRels[i].getAttribute('Target') || '';
-            const imgPath = target.startsWith('/') ? target.substring(1) : 'xl/' + target.replace('../', '');
-
-            const imgFile = zip.file(imgPath);
-            if (!imgFile) continue;
-
-            try {
-                const imgData = await imgFile.async('base64');
-                const ext = imgPath.split('.').pop().toLowerCase();
-                const mime = ext === 'png' ? 'image/png' : ext === 'jpg' || ext === 'jpeg' ? 'image/jpeg' : 'image/png';
-                const anchor = anchorMap[rId] || { row: 3, col: 6 }; // default to header area if no anchor
-
-                images.push({
-                    dataUrl: `data:${mime};base64,${imgData}`,
-                    path: imgPath,
-                    anchorRow: anchor.row,
-                    anchorCol: anchor.col,
-                });
-            } catch (e) { /* skip unreadable images */ }
-        }
-
-        return images;
+        return placed;
     }
 
     return { renderToPDF };
@@ -47,13 +47,51 @@ const TemplateEngine = (() => {
         return !isNaN(v) && !isNaN(parseFloat(v));
     }
 
+    /**
+     * Resolve a relationship Target against the part that owns the .rels file
+     * (xl/worksheets/sheet1.xml + ../drawings/vmlDrawing1.vml → xl/drawings/vmlDrawing1.vml)
+     */
+    function resolveRelTarget(partPath, target) {
+        if (target.startsWith('/')) return target.substring(1);
+        const parts = partPath.split('/').slice(0, -1);
+        for (const seg of target.split('/')) {
+            if (seg === '..') parts.pop();
+            else if (seg !== '.') parts.push(seg);
+        }
+        return parts.join('/');
+    }
+
+    /**
+     * Relationships of a part: rId → { type, target } with targets resolved to ZIP paths
+     */
+    async function readPartRels(zip, partPath) {
+        const slash = partPath.lastIndexOf('/');
+        const relsFile = zip.file(`${partPath.substring(0, slash)}/_rels/${partPath.substring(slash + 1)}.rels`);
+        const rels = {};
+        if (!relsFile) return rels;
+        const relsDoc = new DOMParser().parseFromString(await relsFile.async('string'), 'application/xml');
+        const nodes = relsDoc.getElementsByTagName('Relationship');
+        for (let i = 0; i < nodes.length; i++) {
+            const type = nodes[i].getAttribute('Type') || '';
+            const target = nodes[i].getAttribute('Target') || '';
+            rels[nodes[i].getAttribute('Id')] = {
+                type: type.substring(type.lastIndexOf('/') + 1),
+                target: nodes[i].getAttribute('TargetMode') === 'External' ? target : resolveRelTarget(partPath, target),
+            };
+        }
+        return rels;
+    }
+
     // --- Template Analysis ---
     /**
      * Analyze a template XLSX file to extract its structure
      * @param {ArrayBuffer} buffer - The template file as ArrayBuffer
+     * @param {Object} [options]
+     * @param {number} [options.sheetIndex=0] - Template sheet used as the layout
      * @returns {Object} Template data including zones, styles, and original ZIP
      */
-    async function analyzeTemplate(buffer) {
+    async function analyzeTemplate(buffer, options = {}) {
+        const { sheetIndex = 0 } = options;
         const zip = await JSZip.loadAsync(buffer);
 
         // Parse shared strings — keep both text and raw XML
@@ -87,27 +125,531 @@ const TemplateEngine = (() => {
             relMap[rel.getAttribute('Id')] = target;
         }
 
-        // Analyze first sheet as the reference template
-        const firstSheetPath = relMap[sheets[0].rId];
-        const analysis = await analyzeSheet(zip, firstSheetPath, sharedStrings);
+        if (sheetIndex < 0 || sheetIndex >= sheets.length || !relMap[sheets[sheetIndex].rId]) {
+            throw new Error(`Không tìm thấy sheet mẫu #${sheetIndex + 1}`);
+        }
 
-        // Parse styles.xml for later PDF rendering use
+        // Parse styles.xml — used for banding detection and later PDF rendering
         const stylesData = await parseStyles(zip);
 
+        // Analyze the chosen sheet as the reference template
+        const sheetPath = relMap[sheets[sheetIndex].rId];
+        const analysis = await analyzeSheet(zip, sheetPath, sharedStrings, stylesData);
+
         return {
             zip: zip,
             sheets: sheets,
             relMap: relMap,
+            printTitles: parsePrintTitleRows(wbDoc),
+            printAreas: parsePrintAreas(wbDoc),
             sharedStrings: sharedStrings,
             rawSiElements: rawSiElements,
-            firstSheetPath: firstSheetPath,
-            sheetPaths: sheets.map(s => relMap[s.rId]).filter(Boolean),
+            firstSheetPath: relMap[sheets[0].rId],
+            sheetPaths: sheets.map(s => relMap[s.rId]),
+            sheetIndex: sheetIndex,
+            sheetPath: sheetPath,
             analysis: analysis,
+            sheetAnalyses: { [sheetIndex]: analysis },
+            sheetMapping: {},
             sheetNames: sheets.map(s => s.name),
             stylesData: stylesData,
+            bandingMode: 'auto',
+        };
+    }
+
+    /**
+     * Analyze another template sheet (cached per sheet index)
+     */
+    async function getSheetAnalysis(templateData, sheetIndex) {
+        if (!templateData.sheetAnalyses[sheetIndex]) {
+            const sheetPath = templateData.sheetPaths[sheetIndex];
+            if (!sheetPath) throw new Error(`Không tìm thấy sheet mẫu #${sheetIndex + 1}`);
+            templateData.sheetAnalyses[sheetIndex] = await analyzeSheet(templateData.zip, sheetPath, templateData.sharedStrings, templateData.stylesData);
+        }
+        return templateData.sheetAnalyses[sheetIndex];
+    }
+
+    /**
+     * Switch the layout sheet used for single-sheet generation and PDF rendering
+     * @returns {Promise<Object>} Updated template data (same ZIP and caches)
+     */
+    async function selectSheet(templateData, sheetIndex) {
+        const analysis = await getSheetAnalysis(templateData, sheetIndex);
+        templateData.sheetIndex = sheetIndex;
+        templateData.sheetPath = templateData.sheetPaths[sheetIndex];
+        templateData.analysis = analysis;
+        return templateData;
+    }
+
+    /**
+     * Default template sheet → data sheet mapping for multi-sheet generation:
+     * exact name match first, then by position. Stored on templateData.sheetMapping.
+     * @param {Object} templateData
+     * @param {string[]} dataSheetNames
+     * @returns {Object} Map of template sheet index → data sheet name
+     */
+    function autoMapSheets(templateData, dataSheetNames) {
+        const mapping = {};
+        const used = new Set();
+        templateData.sheetNames.forEach((name, idx) => {
+            if (dataSheetNames.includes(name)) {
+                mapping[idx] = name;
+                used.add(name);
+            }
+        });
+        const remaining = dataSheetNames.filter(n => !used.has(n));
+        templateData.sheetNames.forEach((_, idx) => {
+            if (mapping[idx] === undefined && remaining.length > 0) mapping[idx] = remaining.shift();
+        });
+        templateData.sheetMapping = mapping;
+        return mapping;
+    }
+
+    /**
+     * Assign (or clear, with null) the data sheet for one template sheet
+     */
+    function setSheetMapping(templateData, sheetIndex, dataSheetName) {
+        if (dataSheetName) {
+            templateData.sheetMapping[sheetIndex] = dataSheetName;
+        } else {
+            delete templateData.sheetMapping[sheetIndex];
+        }
+    }
+
+    /**
+     * Override banding detection for this template
+     * @param {Object} templateData
+     * @param {'auto'|'on'|'off'} mode - auto: follow detection, on: always cycle, off: first pattern only
+     */
+    function setBandingMode(templateData, mode) {
+        templateData.bandingMode = ['on', 'off'].includes(mode) ? mode : 'auto';
+    }
+
+    /**
+     * Number of data-row style patterns to cycle through for a sheet,
+     * after applying the template's banding override
+     */
+    function getBandCycle(templateData, analysis) {
+        const { stylePatterns, banding } = (analysis || templateData.analysis).dataZone;
+        const mode = templateData.bandingMode || 'auto';
+        if (mode === 'off' || !banding) return 1;
+        if (banding.banded) return banding.cycle;
+        return mode === 'on' ? Math.max(1, stylePatterns.length) : 1;
+    }
+
+    /**
+     * Rows to repeat at the top of every printed page: the sheet's print titles
+     * (_xlnm.Print_Titles) when the template defines them, else the column header row.
+     * Rows reaching into the data zone are cut off.
+     * @returns {{startRow: number, endRow: number}|null}
+     */
+    function getRepeatRows(templateData, analysis, sheetIndex = templateData.sheetIndex || 0) {
+        const a = analysis || templateData.analysis;
+        const lastHeaderRow = a.dataZone.startRowNum - 1;
+        const titles = (templateData.printTitles || {})[sheetIndex];
+        const range = titles
+            ? { startRow: titles.startRow, endRow: Math.min(titles.endRow, lastHeaderRow) }
+            : { startRow: a.columnHeaderRow.rowNum, endRow: a.columnHeaderRow.rowNum };
+        return range.startRow <= range.endRow ? range : null;
+    }
+
+    /**
+     * Row ranges of _xlnm.Print_Titles per sheet index, e.g. 'Sheet 1'!$A:$A,'Sheet 1'!$3:$4 → {3, 4}
+     */
+    function parsePrintTitleRows(wbDoc) {
+        const titles = {};
+        const nodes = wbDoc.getElementsByTagName('definedName');
+        for (let i = 0; i < nodes.length; i++) {
+            const node = nodes[i];
+            if (node.getAttribute('name') !== '_xlnm.Print_Titles' || !node.hasAttribute('localSheetId')) continue;
+            const match = node.textContent.match(/!\$?(\d+):\$?(\d+)\s*$/) || node.textContent.match(/!\$?(\d+):\$?(\d+)\s*,/);
+            if (match) {
+                titles[parseInt(node.getAttribute('localSheetId'), 10)] = {
+                    startRow: parseInt(match[1], 10),
+                    endRow: parseInt(match[2], 10),
+                };
+            }
+        }
+        return titles;
+    }
+
+    /**
+     * First range of each sheet's _xlnm.Print_Area, keyed by sheet index. Whole-row or
+     * whole-column areas leave the other bounds null.
+     */
+    function parsePrintAreas(wbDoc) {
+        const areas = {};
+        const nodes = wbDoc.getElementsByTagName('definedName');
+        for (let i = 0; i < nodes.length; i++) {
+            const node = nodes[i];
+            if (node.getAttribute('name') !== '_xlnm.Print_Area' || !node.hasAttribute('localSheetId')) continue;
+            const ref = node.textContent.split(',')[0];
+            const cells = ref.match(/!\$?([A-Z]+)\$?(\d+):\$?([A-Z]+)\$?(\d+)/);
+            const rowsOnly = ref.match(/!\$?(\d+):\$?(\d+)/);
+            const colsOnly = ref.match(/!\$?([A-Z]+):\$?([A-Z]+)/);
+            let area = null;
+            if (cells) {
+                area = { startCol: refToCol(cells[1]), startRow: parseInt(cells[2], 10), endCol: refToCol(cells[3]), endRow: parseInt(cells[4], 10) };
+            } else if (rowsOnly) {
+                area = { startCol: null, startRow: parseInt(rowsOnly[1], 10), endCol: null, endRow: parseInt(rowsOnly[2], 10) };
+            } else if (colsOnly) {
+                area = { startCol: refToCol(colsOnly[1]), startRow: null, endCol: refToCol(colsOnly[2]), endRow: null };
+            }
+            if (area) areas[parseInt(node.getAttribute('localSheetId'), 10)] = area;
+        }
+        return areas;
+    }
+
+    /**
+     * Print settings of a template sheet: page setup, margins (mm), scaling and print area
+     * @returns {{pageSize: string|null, landscape: boolean|null, margins: Object|null, scale: number|null,
+     *   fitToPage: boolean, fitToWidth: number, fitToHeight: number, horizontalCentered: boolean, printArea: Object|null}}
+     */
+    function getPrintSettings(templateData, analysis, sheetIndex = templateData.sheetIndex || 0) {
+        const a = analysis || templateData.analysis;
+        return {
+            ...a.printSetup,
+            printArea: (templateData.printAreas || {})[sheetIndex] || null,
+        };
+    }
+
+    // OOXML paperSize codes → page sizes known to the PDF renderer
+    const PAPER_SIZES = { 1: 'letter', 5: 'legal', 8: 'a3', 9: 'a4', 11: 'a5' };
+
+    /**
+     * Read a worksheet's <pageSetup>, <pageMargins>, <printOptions> and fitToPage flag.
+     * Only direct children count — custom sheet views carry their own copies.
+     */
+    function parsePrintSetup(doc) {
+        const children = Array.from(doc.documentElement.childNodes).filter(n => n.nodeType === 1);
+        const child = (name) => children.find(n => n.localName === name) || null;
+        const num = (el, attr) => {
+            const v = el ? el.getAttribute(attr) : null;
+            return v === null || v === '' ? null : parseFloat(v);
+        };
+        const flag = (el, attr) => !!el && ['1', 'true'].includes(el.getAttribute(attr));
+
+        const sheetPr = child('sheetPr');
+        const pageSetUpPr = sheetPr ? sheetPr.getElementsByTagName('pageSetUpPr')[0] : null;
+        const pageSetup = child('pageSetup');
+        const pageMargins = child('pageMargins');
+        const printOptions = child('printOptions');
+
+        // Inches → mm
+        const margin = (attr) => {
+            const v = num(pageMargins, attr);
+            return v === null ? null : Math.round(v * 25.4 * 10) / 10;
+        };
+        const orientation = pageSetup ? pageSetup.getAttribute('orientation') : null;
+
+        return {
+            pageSize: PAPER_SIZES[num(pageSetup, 'paperSize')] || null,
+            landscape: orientation ? orientation === 'landscape' : null,
+            margins: pageMargins ? {
+                top: margin('top'), right: margin('right'), bottom: margin('bottom'), left: margin('left'),
+                header: margin('header'), footer: margin('footer'),
+            } : null,
+            scale: num(pageSetup, 'scale'),
+            fitToPage: flag(pageSetUpPr, 'fitToPage'),
+            fitToWidth: num(pageSetup, 'fitToWidth') ?? 1,
+            fitToHeight: num(pageSetup, 'fitToHeight') ?? 1,
+            horizontalCentered: flag(printOptions, 'horizontalCentered'),
+        };
+    }
+
+    /**
+     * Manual page breaks of a sheet. Each entry is the row number the break follows
+     * (Excel's <brk id="N"> starts a new page at row N + 1).
+     * @returns {number[]} Ascending row numbers
+     */
+    function parseRowBreaks(doc) {
+        const el = Array.from(doc.documentElement.childNodes).find(n => n.nodeType === 1 && n.localName === 'rowBreaks');
+        if (!el) return [];
+        return Array.from(el.getElementsByTagName('brk'))
+            .map(brk => parseInt(brk.getAttribute('id')))
+            .filter(id => id > 0)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Read <headerFooter>: each odd/even/first header and footer split into its &L/&C/&R
+     * sections, with field codes (&P, &N, &D, &F, ...) left for the renderer. Pictures (&G)
+     * come from the legacyDrawingHF VML part, keyed by shape id (LH, CH, RF, CHFIRST, ...).
+     * @returns {Promise<Object|null>} null when the sheet has no header/footer text
+     */
+    async function parseHeaderFooter(zip, sheetPath, doc) {
+        const hfEl = Array.from(doc.documentElement.childNodes).find(n => n.nodeType === 1 && n.localName === 'headerFooter');
+        if (!hfEl) return null;
+        const text = (name) => {
+            const el = hfEl.getElementsByTagName(name)[0];
+            return el ? el.textContent : '';
+        };
+        const pair = (prefix) => ({
+            header: splitHeaderFooterSections(text(`${prefix}Header`)),
+            footer: splitHeaderFooterSections(text(`${prefix}Footer`)),
+        });
+        const isEmpty = (p) => ['header', 'footer'].every(k => !p[k].left && !p[k].center && !p[k].right);
+
+        const differentFirst = ['1', 'true'].includes(hfEl.getAttribute('differentFirst'));
+        const differentOddEven = ['1', 'true'].includes(hfEl.getAttribute('differentOddEven'));
+        const result = {
+            differentFirst,
+            differentOddEven,
+            odd: pair('odd'),
+            even: differentOddEven ? pair('even') : null,
+            first: differentFirst ? pair('first') : null,
+            images: {},
+        };
+        if ([result.odd, result.even, result.first].every(p => !p || isEmpty(p))) return null;
+
+        const hfDrawing = Array.from(doc.documentElement.childNodes).find(n => n.nodeType === 1 && n.localName === 'legacyDrawingHF');
+        const rId = hfDrawing && (hfDrawing.getAttribute('r:id') || hfDrawing.getAttributeNS(REL_NS, 'id'));
+        const vmlRel = rId && (await readPartRels(zip, sheetPath))[rId];
+        const vmlFile = vmlRel && zip.file(vmlRel.target);
+        if (vmlFile) {
+            const vmlRels = await readPartRels(zip, vmlRel.target);
+            const vml = await vmlFile.async('string');
+            // VML is not always well-formed XML — read the shapes with regexes
+            for (const shape of vml.match(/<v:shape\b[\s\S]*?<\/v:shape>/g) || []) {
+                const id = (shape.match(/\bid="([^"]+)"/) || [])[1];
+                const relId = (shape.match(/<v:imagedata\b[^>]*\bo:relid="([^"]+)"/) || [])[1];
+                const style = (shape.match(/\bstyle="([^"]+)"/) || [])[1] || '';
+                const size = (prop) => {
+                    const m = style.match(new RegExp(`(?:^|;)\\s*${prop}:\\s*([\\d.]+)pt`));
+                    return m ? parseFloat(m[1]) : null;
+                };
+                if (id && relId && vmlRels[relId]) {
+                    result.images[id] = { path: vmlRels[relId].target, width: size('width'), height: size('height') };
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Split header/footer text into left/center/right sections. Text before any &L/&C/&R
+     * belongs to the center; &&, &"font" and other codes are kept verbatim.
+     */
+    function splitHeaderFooterSections(text) {
+        const sections = { left: '', center: '', right: '' };
+        let current = 'center';
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch !== '&' || i + 1 >= text.length) {
+                sections[current] += ch;
+                continue;
+            }
+            const code = text[i + 1];
+            if (code === 'L' || code === 'C' || code === 'R') {
+                current = { L: 'left', C: 'center', R: 'right' }[code];
+                i++;
+            } else if (code === '"') {
+                const end = text.indexOf('"', i + 2);
+                const stop = end === -1 ? text.length - 1 : end;
+                sections[current] += text.substring(i, stop + 1);
+                i = stop;
+            } else {
+                sections[current] += ch + code;
+                i++;
+            }
+        }
+        return sections;
+    }
+
+    /**
+     * Pictures and charts of the sheet's drawing part with their anchors, as stored in the
+     * drawing XML: from/to are { col, colOff, row, rowOff } with 0-based cells and EMU offsets,
+     * pos/ext are EMU. kind is 'twoCell', 'oneCell' or 'absolute'; editAs tells whether a
+     * twoCell object stretches with its cells ('twoCell') or keeps its size.
+     * Charts also carry their parsed chart part (see parseChartPart).
+     * @returns {Promise<{images: Array<Object>, charts: Array<Object>}>}
+     */
+    async function parseDrawingObjects(zip, sheetPath, doc) {
+        const drawingEl = Array.from(doc.documentElement.childNodes).find(n => n.nodeType === 1 && n.localName === 'drawing');
+        const rId = drawingEl && (drawingEl.getAttribute('r:id') || drawingEl.getAttributeNS(REL_NS, 'id'));
+        const drawingRel = rId && (await readPartRels(zip, sheetPath))[rId];
+        const drawingFile = drawingRel && zip.file(drawingRel.target);
+        if (!drawingFile) return { images: [], charts: [] };
+
+        const drawingDoc = new DOMParser().parseFromString(await drawingFile.async('string'), 'application/xml');
+        const imageRels = await readPartRels(zip, drawingRel.target);
+        const childEl = (el, name) => el && Array.from(el.childNodes).find(n => n.nodeType === 1 && n.localName === name);
+        const descendant = (el, name) => el.getElementsByTagNameNS('*', name)[0] || null;
+        const int = (el, name) => parseInt(childEl(el, name)?.textContent || '0', 10);
+        const marker = (el) => el ? {
+            col: int(el, 'col'), colOff: int(el, 'colOff'), row: int(el, 'row'), rowOff: int(el, 'rowOff'),
+        } : null;
+        const size = (el) => el ? {
+            cx: parseInt(el.getAttribute('cx') || '0', 10), cy: parseInt(el.getAttribute('cy') || '0', 10),
+        } : null;
+
+        const images = [];
+        const charts = [];
+        for (const anchor of Array.from(drawingDoc.documentElement.childNodes)) {
+            if (anchor.nodeType !== 1 || !/^(twoCell|oneCell|absolute)Anchor$/.test(anchor.localName)) continue;
+            const blip = descendant(anchor, 'blip');
+            const embed = blip && (blip.getAttribute('r:embed') || blip.getAttributeNS(REL_NS, 'embed'));
+            const chartEl = descendant(anchor, 'chart');
+            const chartId = chartEl && (chartEl.getAttribute('r:id') || chartEl.getAttributeNS(REL_NS, 'id'));
+            const rel = imageRels[embed || chartId];
+            const isImage = embed && rel && rel.type === 'image';
+            const isChart = chartId && rel && rel.type === 'chart';
+            if ((!isImage && !isChart) || !zip.file(rel.target)) continue;
+
+            const xfrm = descendant(anchor, 'xfrm');
+            const pos = childEl(anchor, 'pos');
+            (isImage ? images : charts).push({
+                path: rel.target,
+                ...(isChart ? { chart: parseChartPart(await zip.file(rel.target).async('string')) } : {}),
+                kind: anchor.localName.replace('Anchor', ''),
+                editAs: anchor.getAttribute('editAs') || 'twoCell',
+                from: marker(childEl(anchor, 'from')),
+                to: marker(childEl(anchor, 'to')),
+                pos: pos ? { x: parseInt(pos.getAttribute('x') || '0', 10), y: parseInt(pos.getAttribute('y') || '0', 10) } : null,
+                // oneCell/absolute anchors carry <xdr:ext>; the picture's own xfrm is the fallback
+                ext: size(childEl(anchor, 'ext')) || size(xfrm && childEl(xfrm, 'ext')),
+            });
+        }
+        return { images, charts };
+    }
+
+    // Office default accent colors — series without an explicit fill use them in order
+    const CHART_PALETTE = ['4472C4', 'ED7D31', 'A5A5A5', 'FFC000', '5B9BD5', '70AD47'];
+
+    /**
+     * Chart part → drawing spec: title, legend position and one entry per plot
+     * (bar/line/area/pie/doughnut/scatter/…) with its series. Each series keeps the
+     * references of its name, categories and values (c:f) next to their cached points,
+     * so callers can read fresh values or fall back to the cache.
+     */
+    function parseChartPart(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        const child = (el, name) => el && Array.from(el.childNodes).find(n => n.nodeType === 1 && n.localName === name);
+        const path = (el, ...names) => names.reduce((node, name) => child(node, name), el);
+        const attr = (el, name) => (el ? el.getAttribute(name) : null);
+        const richText = (el) => el ? Array.from(el.getElementsByTagNameNS('*', 't')).map(t => t.textContent).join('') : '';
+
+        // numRef/strRef/numLit/strLit → { ref, points }
+        const source = (el) => {
+            if (!el) return null;
+            const data = Array.from(el.childNodes).find(n => n.nodeType === 1 && /^(num|str|multiLvlStr)(Ref|Lit)$/.test(n.localName));
+            if (!data) return { ref: null, points: [] };
+            const cache = child(data, 'numCache') || child(data, 'strCache') || child(data, 'multiLvlStrCache') || data;
+            const count = parseInt(attr(child(cache, 'ptCount'), 'val') || '0', 10);
+            const points = new Array(count).fill(null);
+            for (const pt of Array.from(cache.getElementsByTagNameNS('*', 'pt'))) {
+                if (pt.parentNode !== cache) continue; // multi-level labels: first level only
+                const idx = parseInt(attr(pt, 'idx') || '0', 10);
+                points[idx] = child(pt, 'v')?.textContent ?? null;
+            }
+            return { ref: child(data, 'f')?.textContent || null, points };
+        };
+        const color = (spPr) => {
+            const fill = path(spPr, 'solidFill') || path(spPr, 'ln', 'solidFill');
+            const rgb = attr(child(fill, 'srgbClr'), 'val');
+            if (rgb) return rgb;
+            const accent = (attr(child(fill, 'schemeClr'), 'val') || '').match(/^accent(\d)$/);
+            return accent ? CHART_PALETTE[(parseInt(accent[1], 10) - 1) % CHART_PALETTE.length] : null;
+        };
+
+        const chart = doc.getElementsByTagNameNS('*', 'chart')[0];
+        const titleEl = child(chart, 'title');
+        const legendEl = child(chart, 'legend');
+        const plotArea = child(chart, 'plotArea');
+        const plots = [];
+        let seriesCount = 0;
+        for (const plotEl of plotArea ? Array.from(plotArea.childNodes) : []) {
+            if (plotEl.nodeType !== 1 || !/Chart$/.test(plotEl.localName)) continue;
+            const type = plotEl.localName.replace(/3D/, '').replace(/Chart$/, '');
+            const series = Array.from(plotEl.childNodes).filter(n => n.nodeType === 1 && n.localName === 'ser').map(ser => {
+                const name = source(child(ser, 'tx'));
+                return {
+                    name: name ? (name.points[0] ?? path(ser, 'tx', 'v')?.textContent ?? null) : null,
+                    nameRef: name ? name.ref : null,
+                    cat: source(child(ser, 'cat') || child(ser, 'xVal')),
+                    val: source(child(ser, 'val') || child(ser, 'yVal')),
+                    color: color(child(ser, 'spPr')) || CHART_PALETTE[seriesCount++ % CHART_PALETTE.length],
+                };
+            });
+            plots.push({
+                type,
+                barDir: attr(child(plotEl, 'barDir'), 'val') || 'col',
+                grouping: attr(child(plotEl, 'grouping'), 'val') || 'clustered',
+                varyColors: attr(child(plotEl, 'varyColors'), 'val') === '1',
+                series,
+            });
+        }
+
+        // A title without text is Excel's automatic one: the name of a lone series
+        const allSeries = plots.flatMap(p => p.series);
+        const autoTitle = allSeries.length === 1 ? allSeries[0].name : null;
+        return {
+            title: titleEl ? (richText(path(titleEl, 'tx', 'rich')) || source(child(titleEl, 'tx'))?.points[0] || autoTitle) : null,
+            legend: legendEl ? (attr(child(legendEl, 'legendPos'), 'val') || 'r') : null,
+            plots,
         };
     }
 
+    /**
+     * Areas of a chart/name reference such as Sheet1!$H$17:$H$45 or
+     * ('My Sheet'!$A$1:$A$3,'My Sheet'!$C$1:$C$3)
+     * @returns {Array<{sheet: string, c1: number, r1: number, c2: number, r2: number}>|null}
+     *   null when any part is not a plain sheet-qualified cell area
+     */
+    function parseAreaRef(text) {
+        const parts = String(text || '').trim().replace(/^\((.*)\)$/, '$1').match(/('(?:[^']|'')+'|[^,']+)+/g) || [];
+        const areas = [];
+        for (const part of parts) {
+            const m = part.trim().match(/^('(?:[^']|'')+'|[^!]+)!\$?([A-Z]{1,3})\$?(\d+)(?::\$?([A-Z]{1,3})\$?(\d+))?$/);
+            if (!m) return null;
+            const sheet = m[1].startsWith("'") ? m[1].slice(1, -1).replace(/''/g, "'") : m[1];
+            const c1 = refToCol(m[2]);
+            const r1 = parseInt(m[3], 10);
+            const c2 = m[4] ? refToCol(m[4]) : c1;
+            const r2 = m[5] ? parseInt(m[5], 10) : r1;
+            areas.push({ sheet, c1: Math.min(c1, c2), r1: Math.min(r1, r2), c2: Math.max(c1, c2), r2: Math.max(r1, r2) });
+        }
+        return areas.length > 0 ? areas : null;
+    }
+
+    /**
+     * Excel Tables (ListObjects) of the sheet, from its tableParts. top/bottom are the rows of
+     * the table ref including header and totals rows; each column carries the text of its
+     * header cell (filled in by analyzeSheet) next to the name stored in the table part.
+     * @returns {Promise<Array<Object>>}
+     */
+    async function parseSheetTables(zip, sheetPath, doc) {
+        const parts = doc.getElementsByTagName('tablePart');
+        if (parts.length === 0) return [];
+        const rels = await readPartRels(zip, sheetPath);
+
+        const tables = [];
+        for (const part of Array.from(parts)) {
+            const rel = rels[part.getAttribute('r:id') || part.getAttributeNS(REL_NS, 'id')];
+            const file = rel && rel.type === 'table' && zip.file(rel.target);
+            if (!file) continue;
+            const tableEl = new DOMParser().parseFromString(await file.async('string'), 'application/xml').documentElement;
+            const m = (tableEl.getAttribute('ref') || '').match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/);
+            if (!m) continue;
+            const childText = (el, name) => Array.from(el.childNodes).find(n => n.nodeType === 1 && n.localName === name)?.textContent || null;
+            tables.push({
+                path: rel.target,
+                name: tableEl.getAttribute('displayName') || tableEl.getAttribute('name'),
+                firstCol: refToCol(m[1]),
+                top: parseInt(m[2], 10),
+                bottom: parseInt(m[4], 10),
+                headerRowCount: parseInt(tableEl.getAttribute('headerRowCount') ?? '1', 10),
+                totalsRowCount: parseInt(tableEl.getAttribute('totalsRowCount') || '0', 10),
+                columns: Array.from(tableEl.getElementsByTagName('tableColumn')).map(col => ({
+                    name: col.getAttribute('name') || '',
+                    header: null,
+                    calculatedColumnFormula: childText(col, 'calculatedColumnFormula'),
+                })),
+            });
+        }
+        return tables;
+    }
+
     /**
      * Parse shared strings, preserving raw XML for rich text
      */
@@ -244,16 +786,223 @@ const TemplateEngine = (() => {
         return { numFmts, fonts, fills, borders, cellXfs };
     }
 
+    /**
+     * Formula of a shared-formula dependent: the master's formula with relative refs moved
+     */
+    function expandSharedFormula(master, col, row) {
+        const dc = col - master.col;
+        const dr = row - master.row;
+        return FormulaEngine.shiftReferences(master.formula, ref => ({
+            col: ref.colAbs ? ref.col : ref.col + dc,
+            row: ref.rowAbs ? ref.row : ref.row + dr,
+        }));
+    }
+
+    /**
+     * Formulas of a data-row style pattern rewritten for a generated row, with computed values.
+     * Relative row references move with the row like Excel fill-down (a running balance =H16+G17
+     * becomes =H17+G18 on the next row); only $-absolute rows stay put.
+     * Reference-free formulas (e.g. ROW()-16 numbering) only fill cells the data leaves empty.
+     * @param {Object} analysis
+     * @param {Object} pattern - Entry of dataZone.stylePatterns
+     * @param {number} rowNum - Row number of the generated row
+     * @param {Array} values - The row's data values (index = column - 1)
+     * @param {Function} getCell - (col, row, sheet) → value of cells outside this row
+     * @returns {Object} col → { formula, value } (value null when it cannot be computed)
+     */
+    function buildRowFormulas(analysis, pattern, rowNum, values, getCell) {
+        const delta = rowNum - pattern.rowNum;
+        const given = (col) => {
+            const v = values[col - 1];
+            return (v === undefined || v === null || String(v) === '') ? null : v;
+        };
+
+        const formulas = {};
+        for (const p of pattern.pattern) {
+            if (!p.hasFormula) continue;
+            if (given(p.col) !== null && !FormulaEngine.hasReferences(p.formulaPattern)) continue;
+            formulas[p.col] = FormulaEngine.shiftReferences(p.formulaPattern, ref =>
+                ref.rowAbs ? null : { col: ref.col, row: ref.row + delta }
+            );
+        }
+
+        // Same-row formulas may depend on each other (e.g. H = F*G, F = E) — evaluate on demand
+        const results = {};
+        const evaluating = new Set();
+        const cellValue = (col, row, sheet) => {
+            if (sheet || row !== rowNum) return getCell(col, row, sheet);
+            if (formulas[col] !== undefined) return formulaValue(col);
+            const v = given(col);
+            return isNumeric(v) ? Number(v) : v;
+        };
+        const formulaValue = (col) => {
+            if (col in results) return results[col];
+            if (evaluating.has(col)) return new FormulaEngine.FormulaError('#REF!'); // Circular
+            evaluating.add(col);
+            let v = FormulaEngine.evaluate(formulas[col], { getCell: cellValue, row: rowNum, col });
+            if (v === null) v = given(col); // Unsupported — fall back to the data's own value
+            results[col] = v;
+            return v;
+        };
+
+        const out = {};
+        for (const col of Object.keys(formulas).map(Number)) {
+            out[col] = { formula: formulas[col], value: formulaValue(col) };
+        }
+        return out;
+    }
+
+    /**
+     * Tell deliberate banding apart from incidental style differences between template data rows.
+     * Only the fills count: rows that differ just in font size/weight are treated as one pattern.
+     * @returns {{banded: boolean, cycle: number, fontOnly: boolean}}
+     */
+    function detectBanding(stylePatterns, stylesData) {
+        const result = { banded: false, cycle: 1, fontOnly: false };
+        if (stylePatterns.length < 2) return result;
+
+        const xfs = stylesData ? stylesData.cellXfs : [];
+        const fills = stylesData ? stylesData.fills : [];
+        const fillKey = (styleIdx) => {
+            const xf = xfs[parseInt(styleIdx || '0', 10)];
+            const fill = xf ? fills[xf.fillId] : null;
+            if (!fill || !fill.pattern || fill.pattern === 'none' || fill.pattern === 'gray125') return '';
+            if (fill.pattern === 'solid' && /^(FF)?FFFFFF$/i.test(fill.fgColorRgb || '')) return ''; // white = no fill
+            return `${fill.pattern}:${fill.fgColorRgb || 'theme' + (fill.fgColorTheme || '')}`;
+        };
+        const signatures = stylePatterns.map(p =>
+            p.pattern.map(c => `${c.col}=${fillKey(c.style)}`).join('|')
+        );
+
+        if (new Set(signatures).size < 2) {
+            result.fontOnly = new Set(stylePatterns.map(p => p.pattern.map(c => c.style).join('|'))).size > 1;
+            return result;
+        }
+
+        // Smallest period that reproduces the sampled fill sequence
+        let cycle = signatures.length;
+        for (let p = 2; p < signatures.length; p++) {
+            if (signatures.every((sig, i) => sig === signatures[i % p])) {
+                cycle = p;
+                break;
+            }
+        }
+        result.banded = true;
+        result.cycle = cycle;
+        return result;
+    }
+
+    // --- Row height estimation ---
+    // Excel measures columns in "0" glyphs of the default 11pt font (7px, plus 5px of cell margins)
+    // and rows in points. Full-width CJK glyphs are 1em wide, other text averages about half that.
+    const DIGIT_PX = 7;
+    const CELL_MARGIN_PX = 5;
+    const NARROW_EM = 0.5;
+    const BOLD_SCALE = 1.08;
+    const ROW_LINE_HEIGHT = 1.36; // 11pt text → the default 15pt row
+    const CJK_CLASS = '\\u1100-\\u115F\\u2E80-\\u303F\\u3040-\\u30FF\\u3100-\\u31FF\\u3400-\\u4DBF\\u4E00-\\u9FFF' +
+        '\\uA960-\\uA97F\\uAC00-\\uD7AF\\uF900-\\uFAFF\\uFE30-\\uFE4F\\uFF01-\\uFF60\\uFFE0-\\uFFE6';
+    const FULL_WIDTH_RE = new RegExp(`[${CJK_CLASS}]`);
+    // Break opportunities: after every full-width glyph, and between words
+    const WRAP_TOKEN_RE = new RegExp(`[${CJK_CLASS}]|[^\\s${CJK_CLASS}]+|\\s+`, 'g');
+
+    function textWidthPx(text, sizePt, bold) {
+        let em = 0;
+        for (const ch of text) em += FULL_WIDTH_RE.test(ch) ? 1 : NARROW_EM;
+        return em * sizePt * 4 / 3 * (bold ? BOLD_SCALE : 1);
+    }
+
+    /**
+     * Number of lines Excel needs to show wrapped text in a column of the given pixel width.
+     */
+    function countWrappedLines(text, widthPx, sizePt, bold) {
+        let lines = 0;
+        for (const para of String(text).split(/\r?\n/)) {
+            lines++;
+            let lineW = 0;
+            for (const token of para.match(WRAP_TOKEN_RE) || []) {
+                const w = textWidthPx(token, sizePt, bold);
+                if (/^\s/.test(token)) { // Spaces hang past the edge, they never start a line
+                    lineW += w;
+                    continue;
+                }
+                if (lineW > 0 && lineW + w > widthPx) {
+                    lines++;
+                    lineW = 0;
+                }
+                if (w > widthPx) { // A word wider than the column breaks between characters
+                    lines += Math.ceil(w / widthPx) - 1;
+                    lineW = w % widthPx;
+                } else {
+                    lineW += w;
+                }
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Inner width in pixels of a cell, across its merge when the template row merges it
+     */
+    function cellWidthPx(analysis, col, mergeRowNum) {
+        let lastCol = col;
+        if (mergeRowNum != null) {
+            for (const ref of analysis.mergeCells) {
+                const m = ref.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/);
+                if (m && refToCol(m[1]) === col && parseInt(m[2]) === mergeRowNum && parseInt(m[4]) === mergeRowNum) {
+                    lastCol = refToCol(m[3]);
+                }
+            }
+        }
+        let px = 0;
+        for (let c = col; c <= lastCol; c++) {
+            const def = analysis.columns.find(d => c >= parseInt(d.min) && c <= parseInt(d.max));
+            const width = def && def.width ? parseFloat(def.width) : (analysis.defaultColWidth || 8.43);
+            px += Math.trunc(width * DIGIT_PX + 0.5);
+        }
+        return Math.max(DIGIT_PX, px - CELL_MARGIN_PX);
+    }
+
+    /**
+     * Row height (pt) that shows every cell of a generated row in full: font size sets the
+     * single-line height, wrapText cells add lines for text wider than their column.
+     * Both outputs pass the raw cell value (or formula result), not the formatted display.
+     * @param {Array<{col: number, style: string|number, text: *}>} cells
+     * @param {Object} analysis - Sheet analysis (column widths, merges)
+     * @param {Object} stylesData - parseStyles result
+     * @param {number|null} [mergeRowNum] - Template row whose merges the generated row copies
+     * @returns {number} Height in points, 0 for an empty row
+     */
+    function estimateRowHeight(cells, analysis, stylesData, mergeRowNum = null) {
+        const xfs = stylesData ? stylesData.cellXfs : [];
+        const fonts = stylesData ? stylesData.fonts : [];
+        let height = 0;
+        for (const { col, style, text: value } of cells) {
+            if (value === '' || value == null) continue;
+            const text = typeof value === 'boolean' ? (value ? 'TRUE' : 'FALSE') : String(value);
+            const xf = xfs[parseInt(style || '0', 10)];
+            const font = (xf && fonts[xf.fontId]) || {};
+            const size = font.size || 11;
+            // Numbers never wrap — Excel shows #### instead
+            const lines = xf && xf.alignment && xf.alignment.wrapText && !isNumeric(text)
+                ? countWrappedLines(text, cellWidthPx(analysis, col, mergeRowNum), size, font.bold)
+                : 1;
+            height = Math.max(height, lines * size * ROW_LINE_HEIGHT);
+        }
+        return Math.ceil(height / 0.75) * 0.75; // Whole pixels
+    }
+
     /**
      * Analyze a single sheet to detect header/data/footer zones
      */
-    async function analyzeSheet(zip, sheetPath, sharedStrings) {
+    async function analyzeSheet(zip, sheetPath, sharedStrings, stylesData) {
         const xml = await zip.file(sheetPath).async('string');
         const doc = new DOMParser().parseFromString(xml, 'application/xml');
 
         // Parse all rows
         const rowNodes = doc.getElementsByTagName('row');
         const rows = [];
+        const sharedFormulas = {}; // si → { formula, col, row } of the shared formula's master cell
         for (let i = 0; i < rowNodes.length; i++) {
             const rowNode = rowNodes[i];
             const rowNum = parseInt(rowNode.getAttribute('r'), 10);
@@ -274,10 +1023,21 @@ const TemplateEngine = (() => {
                     displayValue = sharedStrings[parseInt(value)];
                 }
 
+                // Shared formulas: dependents carry only si — expand them from the master
+                let formula = fEl ? fEl.textContent : null;
+                if (fEl && fEl.getAttribute('t') === 'shared') {
+                    const si = fEl.getAttribute('si');
+                    if (formula) {
+                        sharedFormulas[si] = { formula, col: refToCol(ref), row: rowNum };
+                    } else if (sharedFormulas[si]) {
+                        formula = expandSharedFormula(sharedFormulas[si], refToCol(ref), rowNum);
+                    }
+                }
+
                 cells.push({
                     ref, s, t, value, displayValue,
                     col: refToCol(ref),
-                    formula: fEl ? fEl.textContent : null,
+                    formula,
                 });
             }
             rows.push({
@@ -289,99 +1049,42 @@ const TemplateEngine = (() => {
             });
         }
 
-        // Detect column headers row
-        let headerRowIdx = -1;
-        let headerRow = null;
-
-        for (let i = 0; i < rows.length; i++) {
-            const r = rows[i];
-            if (r.cells.length >= 3) {
-                const texts = r.cells.map(c => c.displayValue);
-                const looksLikeHeaders = texts.every(t => t.length < 30) && texts.filter(t => t.length > 0).length >= 3;
-                if (looksLikeHeaders && i + 1 < rows.length) {
-                    const nextRow = rows[i + 1];
-                    const hasNextData = nextRow && nextRow.cells.length > 0;
-                    if (hasNextData) {
-                        const hasNoColumn = texts.some(t =>
-                            t === 'No.' || t === 'No' || t === 'STT' || t === '#' || t === '番号'
-                        );
-                        if (hasNoColumn) {
-                            headerRowIdx = i;
-                            headerRow = r;
-                            break;
-                        }
-                    }
-                }
-            }
+        const tables = await parseSheetTables(zip, sheetPath, doc);
+        for (const table of tables) {
+            const headerCells = rows.find(r => r.rowNum === table.top)?.cells || [];
+            table.columns.forEach((column, i) => {
+                const cell = headerCells.find(c => c.col === table.firstCol + i);
+                column.header = cell ? String(cell.displayValue) : null;
+            });
         }
 
-        // Fallback: first row with many cells
-        if (headerRowIdx === -1) {
-            let maxCells = 0;
-            for (let i = 0; i < Math.min(rows.length, 20); i++) {
-                if (rows[i].cells.length > maxCells) {
-                    maxCells = rows[i].cells.length;
-                    headerRowIdx = i;
-                    headerRow = rows[i];
-                }
-            }
-        }
+        // Explicit placeholder tags ({{#rows}} … {{/rows}}) take precedence over an Excel Table,
+        // which takes precedence over heuristics
+        const placeholders = findPlaceholders(rows);
+        const rowsBlock = placeholders && placeholders.startIdx !== null;
+        const tableZones = rowsBlock ? null : detectZonesFromTable(rows, tables);
+        const zones = rowsBlock
+            ? detectZonesFromPlaceholders(rows, placeholders)
+            : tableZones || detectZonesHeuristically(rows);
+        const { headerRowIdx, headerRow, dataStartIdx, dataEndIdx, categoryRows, actualDataRows } = zones;
 
         // Header zone
         const headerZoneRows = rows.slice(0, headerRowIdx);
 
-        // Find data zone
-        let dataStartIdx = headerRowIdx + 1;
-        while (dataStartIdx < rows.length) {
-            const r = rows[dataStartIdx];
-            const firstCellVal = r.cells[0]?.value;
-            if (firstCellVal && !isNaN(parseInt(firstCellVal))) break;
-            dataStartIdx++;
-        }
-
-        // Find where data ends
-        let dataEndIdx = rows.length - 1;
-        for (let i = dataStartIdx; i < rows.length; i++) {
-            const r = rows[i];
-            const hasFormula = r.cells.some(c => c.formula && c.formula.includes('SUM'));
-            const hasTotalText = r.cells.some(c =>
-                c.displayValue.includes('小計') || c.displayValue.includes('合計') ||
-                c.displayValue.includes('Total') || c.displayValue.includes('Subtotal') ||
-                c.displayValue.includes('Tổng') || c.displayValue.includes('消費税')
-            );
-            if (hasFormula || hasTotalText) {
-                dataEndIdx = i - 1;
-                break;
-            }
-        }
-
-        // Categorize data rows
-        const categoryRows = [];
-        const actualDataRows = [];
-        for (let i = dataStartIdx; i <= dataEndIdx; i++) {
-            const r = rows[i];
-            const firstVal = r.cells[0]?.value;
-            if (!firstVal || isNaN(parseInt(firstVal))) {
-                if (r.cells.length >= 1 && r.cells[0].displayValue.length > 0) {
-                    categoryRows.push({ index: i, row: r });
-                }
-            } else {
-                actualDataRows.push({ index: i, row: r });
-            }
-        }
-
         // Footer zone
         const footerZoneRows = rows.slice(dataEndIdx + 1);
 
         // Column headers — build for ALL columns (1 to maxCol), filling merge gaps
         // Merge cells (e.g. C15:D15) cause the merged column (D) to have no <c> element,
         // so we must fill the gap to ensure columnHeaders.length === maxCol
+        const columnFields = placeholders ? placeholders.columnFields : {};
         const headerCellMap = {};
         for (const c of headerRow.cells) {
             headerCellMap[c.col] = c;
         }
         const computedMaxCol = Math.max(
             ...headerRow.cells.map(c => c.col),
+            ...Object.keys(columnFields).map(Number),
             ...rows.slice(dataStartIdx, Math.min(dataStartIdx + 5, rows.length)).flatMap(r => r.cells.map(c => c.col))
         );
         const columnHeaders = [];
@@ -391,29 +1094,38 @@ const TemplateEngine = (() => {
                 columnHeaders.push({
                     col: cell.col,
                     ref: cell.ref,
-                    label: cell.displayValue,
+                    label: cell.displayValue || (columnFields[col] || ''),
                     style: cell.s,
+                    field: columnFields[col] || null,
                 });
             } else {
                 // This column is part of a merge or has no header cell — insert empty placeholder
                 columnHeaders.push({
                     col: col,
                     ref: colToRef(col) + headerRow.rowNum,
-                    label: '',
+                    label: columnFields[col] || '',
                     style: '0',
+                    field: columnFields[col] || null,
                 });
             }
         }
 
         // Style patterns for data rows
+        // Calculated table columns fill new rows even where the sampled row holds a plain value
+        const calculated = {};
+        if (tableZones) {
+            tableZones.table.columns.forEach((column, i) => {
+                if (column.calculatedColumnFormula) calculated[tableZones.table.firstCol + i] = column.calculatedColumnFormula;
+            });
+        }
         const dataStylePatterns = [];
         for (const { row } of actualDataRows.slice(0, 4)) {
             const pattern = row.cells.map(c => ({
                 col: c.col,
                 style: c.s,
                 type: c.t,
-                hasFormula: !!c.formula,
-                formulaPattern: c.formula,
+                hasFormula: !!(c.formula || calculated[c.col]),
+                formulaPattern: c.formula || calculated[c.col] || null,
             }));
             dataStylePatterns.push({ rowNum: row.rowNum, ht: row.ht, pattern });
         }
@@ -439,6 +1151,12 @@ const TemplateEngine = (() => {
             });
         }
 
+        // Sizes of rows/columns without their own ht/width
+        const sheetFormat = doc.getElementsByTagName('sheetFormatPr')[0];
+        const defaultRowHeight = parseFloat(sheetFormat && sheetFormat.getAttribute('defaultRowHeight')) || 15;
+        const defaultColWidth = parseFloat(sheetFormat && sheetFormat.getAttribute('defaultColWidth')) ||
+            (parseFloat(sheetFormat && sheetFormat.getAttribute('baseColWidth')) || 8) + 0.43;
+
         const maxCol = computedMaxCol;
 
         return {
@@ -459,6 +1177,8 @@ const TemplateEngine = (() => {
                 dataRows: actualDataRows,
                 categoryRows: categoryRows,
                 stylePatterns: dataStylePatterns,
+                banding: detectBanding(dataStylePatterns, stylesData),
+                table: tableZones ? tableZones.table.path : null,
             },
             footerZone: {
                 startIdx: dataEndIdx + 1,
@@ -466,166 +1186,702 @@ const TemplateEngine = (() => {
             },
             mergeCells,
             columns,
+            defaultColWidth,
+            defaultRowHeight,
             maxCol,
+            placeholders: placeholders ? {
+                rowsBlock,
+                columnFields: placeholders.columnFields,
+                headerFields: placeholders.headerFields,
+            } : null,
+            printSetup: parsePrintSetup(doc),
+            rowBreaks: parseRowBreaks(doc),
+            headerFooter: await parseHeaderFooter(zip, sheetPath, doc),
+            ...(await parseDrawingObjects(zip, sheetPath, doc)),
+            tables,
             totalRows: rows.length,
             rawRows: rows,
         };
     }
 
-    // --- Template-Based Generation ---
+    // --- Zone detection ---
+    const PLACEHOLDER_RE = /\{\{\s*([#/]?)\s*([\w.\-]+)\s*\}\}/g;
+    const ROWS_BLOCK = 'rows';
+
+    /**
+     * Scan all template cells for placeholder tags.
+     * {{#rows}} and {{/rows}} delimit the data zone, {{field}} inside it binds a column,
+     * and {{field}} anywhere else is a scalar header/footer field. Without a {{#rows}} block
+     * every {{field}} is scalar and the markers (startIdx, endIdx, zone) are null.
+     * @returns {Object|null} Marker positions and bindings, or null when the sheet has no tags
+     */
+    function findPlaceholders(rows) {
+        let startIdx = -1;
+        let endIdx = -1;
+        const tagged = []; // { rowIdx, cell, fields: [] }
+
+        for (let i = 0; i < rows.length; i++) {
+            for (const cell of rows[i].cells) {
+                if (!cell.displayValue || !cell.displayValue.includes('{{')) continue;
+                const fields = [];
+                for (const m of cell.displayValue.matchAll(PLACEHOLDER_RE)) {
+                    const [, kind, name] = m;
+                    if (kind === '#' && name === ROWS_BLOCK) {
+                        if (startIdx === -1) startIdx = i;
+                    } else if (kind === '/' && name === ROWS_BLOCK) {
+                        endIdx = i;
+                    } else if (!kind) {
+                        fields.push(name);
+                    }
+                }
+                if (fields.length > 0) tagged.push({ rowIdx: i, cell, fields });
+            }
+        }
+
+        if (startIdx === -1) {
+            if (tagged.length === 0) return null;
+            // Scalar fields only — zones come from a table or the heuristics
+            const headerFields = tagged.flatMap(({ rowIdx, cell, fields }) => fields.map(field => ({
+                ref: cell.ref,
+                rowNum: rows[rowIdx].rowNum,
+                field,
+                text: cell.displayValue,
+                zone: null,
+            })));
+            return { startIdx: null, endIdx: null, columnFields: {}, headerFields, dataRowIdxs: new Set() };
+        }
+        if (endIdx < startIdx) endIdx = startIdx; // Unclosed block — data zone is the single {{#rows}} row
+
+        const columnFields = {}; // col -> field name
+        const headerFields = []; // { ref, rowNum, field, text }
+        const dataRowIdxs = new Set();
+        for (const { rowIdx, cell, fields } of tagged) {
+            if (rowIdx >= startIdx && rowIdx <= endIdx) {
+                if (columnFields[cell.col] === undefined) columnFields[cell.col] = fields[0];
+                dataRowIdxs.add(rowIdx);
+            } else {
+                for (const field of fields) {
+                    headerFields.push({
+                        ref: cell.ref,
+                        rowNum: rows[rowIdx].rowNum,
+                        field,
+                        text: cell.displayValue,
+                        zone: rowIdx < startIdx ? 'header' : 'footer',
+                    });
+                }
+            }
+        }
+
+        return { startIdx, endIdx, columnFields, headerFields, dataRowIdxs };
+    }
+
+    /**
+     * Zones from explicit tags: the column header row is the last non-empty row above {{#rows}}
+     */
+    function detectZonesFromPlaceholders(rows, placeholders) {
+        const { startIdx, endIdx, dataRowIdxs } = placeholders;
+
+        let headerRowIdx = startIdx - 1;
+        while (headerRowIdx > 0 && rows[headerRowIdx].cells.every(c => !c.displayValue)) {
+            headerRowIdx--;
+        }
+        const headerRow = headerRowIdx >= 0
+            ? rows[headerRowIdx]
+            : { rowNum: rows[startIdx].rowNum - 1, cells: [] };
+
+        // Tagged rows become the style patterns; fall back to the {{#rows}} row itself
+        const actualDataRows = [];
+        for (let i = startIdx; i <= endIdx; i++) {
+            if (dataRowIdxs.has(i)) actualDataRows.push({ index: i, row: rows[i] });
+        }
+        if (actualDataRows.length === 0) actualDataRows.push({ index: startIdx, row: rows[startIdx] });
+
+        return {
+            headerRowIdx: Math.max(headerRowIdx, 0),
+            headerRow,
+            dataStartIdx: startIdx,
+            dataEndIdx: endIdx,
+            categoryRows: [],
+            actualDataRows,
+        };
+    }
+
+    /**
+     * Zones from an Excel Table: its header row is the column header row and its body (without
+     * the totals row) is the data zone. The largest table with a header row and at least one
+     * body row in sheetData wins.
+     * @returns {Object|null} Zones plus the chosen table, or null when no table qualifies
+     */
+    function detectZonesFromTable(rows, tables) {
+        let best = null;
+        for (const table of tables) {
+            if (table.headerRowCount < 1) continue;
+            const bodyStart = table.top + table.headerRowCount;
+            const bodyEnd = table.bottom - table.totalsRowCount;
+            const headerRowIdx = rows.findIndex(r => r.rowNum === table.top);
+            const dataStartIdx = rows.findIndex(r => r.rowNum >= bodyStart && r.rowNum <= bodyEnd);
+            if (headerRowIdx === -1 || dataStartIdx === -1) continue;
+            if (best && bodyEnd - bodyStart <= best.size) continue;
+
+            let dataEndIdx = dataStartIdx;
+            while (dataEndIdx + 1 < rows.length && rows[dataEndIdx + 1].rowNum <= bodyEnd) dataEndIdx++;
+            const actualDataRows = [];
+            for (let i = dataStartIdx; i <= dataEndIdx; i++) actualDataRows.push({ index: i, row: rows[i] });
+            best = {
+                size: bodyEnd - bodyStart,
+                table,
+                headerRowIdx,
+                headerRow: rows[headerRowIdx],
+                dataStartIdx,
+                dataEndIdx,
+                categoryRows: [],
+                actualDataRows,
+            };
+        }
+        return best;
+    }
+
+    /**
+     * Zones from heuristics: "No."/"STT"/"番号" header row, SUM/合計/Tổng footer start
+     */
+    function detectZonesHeuristically(rows) {
+        // Detect column headers row
+        let headerRowIdx = -1;
+        let headerRow = null;
+
+        for (let i = 0; i < rows.length; i++) {
+            const r = rows[i];
+            if (r.cells.length >= 3) {
+                const texts = r.cells.map(c => c.displayValue);
+                const looksLikeHeaders = texts.every(t => t.length < 30) && texts.filter(t => t.length > 0).length >= 3;
+                if (looksLikeHeaders && i + 1 < rows.length) {
+                    const nextRow = rows[i + 1];
+                    const hasNextData = nextRow && nextRow.cells.length > 0;
+                    if (hasNextData) {
+                        const hasNoColumn = texts.some(t =>
+                            t === 'No.' || t === 'No' || t === 'STT' || t === '#' || t === '番号'
+                        );
+                        if (hasNoColumn) {
+                            headerRowIdx = i;
+                            headerRow = r;
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        // Fallback: first row with many cells
+        if (headerRowIdx === -1) {
+            let maxCells = 0;
+            for (let i = 0; i < Math.min(rows.length, 20); i++) {
+                if (rows[i].cells.length > maxCells) {
+                    maxCells = rows[i].cells.length;
+                    headerRowIdx = i;
+                    headerRow = rows[i];
+                }
+            }
+        }
+
+        // Find data zone
+        let dataStartIdx = headerRowIdx + 1;
+        while (dataStartIdx < rows.length) {
+            const r = rows[dataStartIdx];
+            const firstCellVal = r.cells[0]?.value;
+            if (firstCellVal && !isNaN(parseInt(firstCellVal))) break;
+            dataStartIdx++;
+        }
+
+        // Find where data ends
+        let dataEndIdx = rows.length - 1;
+        for (let i = dataStartIdx; i < rows.length; i++) {
+            const r = rows[i];
+            const hasFormula = r.cells.some(c => c.formula && c.formula.includes('SUM'));
+            const hasTotalText = r.cells.some(c =>
+                c.displayValue.includes('小計') || c.displayValue.includes('合計') ||
+                c.displayValue.includes('Total') || c.displayValue.includes('Subtotal') ||
+                c.displayValue.includes('Tổng') || c.displayValue.includes('消費税')
+            );
+            if (hasFormula || hasTotalText) {
+                dataEndIdx = i - 1;
+                break;
+            }
+        }
+
+        // Categorize data rows
+        const categoryRows = [];
+        const actualDataRows = [];
+        for (let i = dataStartIdx; i <= dataEndIdx; i++) {
+            const r = rows[i];
+            const first = r.cells[0];
+            const firstVal = first && first.t === 's' ? first.displayValue : first?.value;
+            if (!firstVal || isNaN(parseInt(firstVal))) {
+                if (r.cells.length >= 1 && r.cells[0].displayValue.length > 0) {
+                    categoryRows.push({ index: i, row: r });
+                }
+            } else {
+                actualDataRows.push({ index: i, row: r });
+            }
+        }
+
+        return { headerRowIdx, headerRow, dataStartIdx, dataEndIdx, categoryRows, actualDataRows };
+    }
+
+    // --- Template-Based Generation ---
+    /**
+     * Generate a new XLSX file using template formatting and new data.
+     * Uses surgical DOM manipulation — only replaces data rows, preserves everything else.
+     * Other template sheets are kept untouched.
+     * @param {Object} templateData - Result of analyzeTemplate
+     * @param {Object} options
+     * @param {Array[]} [options.rows] - Data rows for the layout sheet (templateData.sheetIndex),
+     *   optionally mixed with category/subtotal markers from buildGroupedRows
+     * @param {string} [options.sheetName] - New name for the layout sheet
+     * @param {Object} [options.fieldValues] - Header/footer {{field}} values
+     * @param {Object} [options.headerFieldUpdates] - Direct cell ref → value updates
+     * @param {Object[]} [options.sheets] - Multi-sheet mode: [{ sheetIndex, rows, sheetName, fieldValues, headerFieldUpdates }]
+     * @param {boolean} [options.fullCalcOnLoad=false] - Ask Excel/LibreOffice to recalculate everything when opening
+     * @param {boolean} [options.repeatHeaderRows=false] - Set print titles so the header rows repeat on every page
+     */
+    async function generateFromTemplate(templateData, options) {
+        const { zip, sharedStrings: origSharedStrings, rawSiElements } = templateData;
+
+        const jobs = options.sheets || [{
+            sheetIndex: templateData.sheetIndex || 0,
+            rows: options.rows,
+            sheetName: options.sheetName,
+            fieldValues: options.fieldValues,
+            headerFieldUpdates: options.headerFieldUpdates,
+        }];
+
+        // Clone the template ZIP
+        const newZipData = await zip.generateAsync({ type: 'arraybuffer' });
+        const newZip = await JSZip.loadAsync(newZipData);
+
+        // Build new shared strings — preserve originals, add new ones
+        const newSharedStrings = [...origSharedStrings];
+        const newRawSiElements = [...rawSiElements];
+        const ssIndexMap = {};
+
+        function getOrAddSharedString(text) {
+            const key = String(text);
+            if (ssIndexMap[key] !== undefined) return ssIndexMap[key];
+            const existingIdx = newSharedStrings.indexOf(key);
+            if (existingIdx !== -1) {
+                ssIndexMap[key] = existingIdx;
+                return existingIdx;
+            }
+            const idx = newSharedStrings.length;
+            newSharedStrings.push(key);
+            // New strings are plain text (no rich text)
+            newRawSiElements.push(`<si xmlns="${XLSX_NS}"><t>${escapeXml(key)}</t></si>`);
+            ssIndexMap[key] = idx;
+            return idx;
+        }
+
+        // Pre-index existing strings
+        origSharedStrings.forEach((s, i) => { ssIndexMap[s] = i; });
+
+        // --- Surgical rebuild of each target worksheet ---
+        const layouts = {}; // sheetIndex → row layout of the rebuilt sheet
+        for (const job of jobs) {
+            const analysis = await getSheetAnalysis(templateData, job.sheetIndex);
+            const sheetPath = templateData.sheetPaths[job.sheetIndex];
+
+            // {{field}} tags are always resolved (unknown fields become blank); explicit ref updates win
+            const headerFieldUpdates = {
+                ...buildFieldUpdates(analysis, job.fieldValues || {}, templateData.sheetNames[job.sheetIndex]),
+                ...(job.headerFieldUpdates || {}),
+            };
+
+            const origXml = await zip.file(sheetPath).async('string');
+            const { xml: newSheetXml, layout } = rebuildSheetSurgical(origXml, analysis, job.rows || [], getOrAddSharedString, headerFieldUpdates, {
+                bandCycle: getBandCycle(templateData, analysis),
+                sharedStrings: newSharedStrings,
+                sheetName: templateData.sheetNames[job.sheetIndex],
+                stylesData: templateData.stylesData,
+            });
+            newZip.file(sheetPath, newSheetXml);
+            if (layout) {
+                await shiftSheetParts(newZip, sheetPath, newSheetXml, layout);
+                await updateSheetTables(newZip, sheetPath, analysis, layout, templateData.sheetNames[job.sheetIndex]);
+            }
+            layouts[job.sheetIndex] = layout;
+        }
+
+        // --- Rebuild shared strings XML preserving rich text ---
+        const newSSXml = buildSharedStringsXmlPreserved(newRawSiElements);
+        newZip.file('xl/sharedStrings.xml', newSSXml);
+
+        // Generated sheets: unhide, rename (unless the name is taken), make the first one active
+        {
+            const wbXml = await newZip.file('xl/workbook.xml').async('string');
+            const wbDoc = new DOMParser().parseFromString(wbXml, 'application/xml');
+            const sheetNodes = wbDoc.getElementsByTagName('sheet');
+            for (const job of jobs) {
+                const node = sheetNodes[job.sheetIndex];
+                if (!node) continue;
+                node.removeAttribute('state');
+                if (job.sheetName) {
+                    const newName = job.sheetName.substring(0, 31);
+                    const taken = Array.from(sheetNodes).some(n => n !== node && n.getAttribute('name') === newName);
+                    if (!taken) node.setAttribute('name', newName);
+                }
+            }
+            // References into the generated sheets follow their rows and new names
+            const moves = {};
+            for (const job of jobs) {
+                const node = sheetNodes[job.sheetIndex];
+                const oldName = templateData.sheetNames[job.sheetIndex];
+                if (!node || (!layouts[job.sheetIndex] && node.getAttribute('name') === oldName)) continue;
+                moves[oldName] = { sheetIndex: job.sheetIndex, newName: node.getAttribute('name'), layout: layouts[job.sheetIndex] };
+            }
+            const hasMoves = Object.keys(moves).length > 0;
+            if (hasMoves) {
+                for (const dn of Array.from(wbDoc.getElementsByTagName('definedName'))) {
+                    dn.textContent = rewriteSheetRefs(dn.textContent, moves);
+                }
+            }
+
+            const bookView = wbDoc.getElementsByTagName('workbookView')[0];
+            if (bookView) {
+                bookView.setAttribute('activeTab', String(jobs[0].sheetIndex));
+                bookView.removeAttribute('firstSheet');
+            }
+            if (options.fullCalcOnLoad) setFullCalcOnLoad(wbDoc);
+            if (options.repeatHeaderRows) {
+                for (const job of jobs) {
+                    const node = sheetNodes[job.sheetIndex];
+                    const range = getRepeatRows(templateData, await getSheetAnalysis(templateData, job.sheetIndex), job.sheetIndex);
+                    if (node && range) setPrintTitleRows(wbDoc, job.sheetIndex, node.getAttribute('name'), range);
+                }
+            }
+            newZip.file('xl/workbook.xml', serializeXml(wbDoc));
+            if (hasMoves) {
+                await updateWorkbookReferences(newZip, templateData, moves);
+                await refreshChartCaches(newZip, templateData, moves, newSharedStrings);
+            }
+
+            // Only the active sheet may be tab-selected, otherwise Excel opens them grouped
+            for (let i = 0; i < templateData.sheetPaths.length; i++) {
+                const path = templateData.sheetPaths[i];
+                const file = path && newZip.file(path);
+                if (!file) continue;
+                const xml = await file.async('string');
+                const updated = xml.replace(/\s+tabSelected="[^"]*"/g, '')
+                    .replace(/<sheetView\b/, i === jobs[0].sheetIndex ? '<sheetView tabSelected="1"' : '<sheetView');
+                if (updated !== xml) newZip.file(path, updated);
+            }
+        }
+
+        // calcChain lists formula cells by address — stale after a rebuild, Excel recreates it
+        await removeCalcChain(newZip);
+
+        // Generate blob WITH compression
+        const blob = await newZip.generateAsync({
+            type: 'blob',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            compression: 'DEFLATE',
+            compressionOptions: { level: 6 },
+        });
+
+        return blob;
+    }
+
+    // CT_Workbook child order — new elements must be inserted at their schema position
+    const WORKBOOK_CHILD_ORDER = ['fileVersion', 'fileSharing', 'workbookPr', 'workbookProtection', 'bookViews',
+        'sheets', 'functionGroups', 'externalReferences', 'definedNames', 'calcPr', 'oleSize',
+        'customWorkbookViews', 'pivotCaches', 'smartTagPr', 'smartTagTypes', 'webPublishing',
+        'fileRecoveryPr', 'webPublishObjects', 'extLst'];
+
+    /**
+     * Get a direct child of <workbook>, creating it at its schema position if missing
+     */
+    function getOrCreateWorkbookChild(wbDoc, name) {
+        const root = wbDoc.documentElement;
+        const existing = Array.from(root.childNodes).find(n => n.nodeType === 1 && n.localName === name);
+        if (existing) return existing;
+        const el = wbDoc.createElementNS(XLSX_NS, name);
+        const later = WORKBOOK_CHILD_ORDER.slice(WORKBOOK_CHILD_ORDER.indexOf(name) + 1);
+        const before = Array.from(root.childNodes).find(n => n.nodeType === 1 && later.includes(n.localName));
+        root.insertBefore(el, before || null);
+        return el;
+    }
+
+    /**
+     * Set <calcPr fullCalcOnLoad="1"/>
+     */
+    function setFullCalcOnLoad(wbDoc) {
+        getOrCreateWorkbookChild(wbDoc, 'calcPr').setAttribute('fullCalcOnLoad', '1');
+    }
+
+    /**
+     * Point the sheet's _xlnm.Print_Titles at the given rows (keeps repeated columns, if any)
+     */
+    function setPrintTitleRows(wbDoc, sheetIndex, sheetName, range) {
+        const definedNames = getOrCreateWorkbookChild(wbDoc, 'definedNames');
+        const quoted = `'${sheetName.replace(/'/g, "''")}'`;
+        const rowsRef = `${quoted}!$${range.startRow}:$${range.endRow}`;
+
+        const nodes = Array.from(definedNames.getElementsByTagName('definedName'));
+        let node = nodes.find(n => n.getAttribute('name') === '_xlnm.Print_Titles' &&
+            n.getAttribute('localSheetId') === String(sheetIndex));
+        let colsRef = '';
+        if (node) {
+            const cols = node.textContent.match(/!(\$?[A-Z]+:\$?[A-Z]+)(?:,|$)/);
+            if (cols) colsRef = `${quoted}!${cols[1]},`;
+        } else {
+            node = wbDoc.createElementNS(XLSX_NS, 'definedName');
+            node.setAttribute('name', '_xlnm.Print_Titles');
+            node.setAttribute('localSheetId', String(sheetIndex));
+            definedNames.appendChild(node);
+        }
+        node.textContent = colsRef + rowsRef;
+    }
+
+    // Sheet-qualified reference: 'Name'! or Name! followed by a cell, cell range, row range or column range
+    const SHEET_REF_RE = /('(?:[^']|'')+'|[A-Za-z_\u00C0-\uFFFF][\w.\u00C0-\uFFFF]*)!(\$?[A-Z]{1,3})?(\$?\d+)?(?::(\$?[A-Z]{1,3})?(\$?\d+)?)?(?![\w.(])/g;
+
+    /**
+     * Rewrite references to moved sheets in a formula (defined name, cell formula, chart
+     * series): rows follow shiftRowRange — footer rows shift, ranges reaching the data end
+     * grow or shrink — and renamed sheets get their new name. Ranges stay contiguous, since
+     * other sheets may use them anywhere in a formula. Refs to data rows that no longer
+     * exist become #REF!, as when Excel deletes rows. String literals are left alone.
+     * @param {string} formula
+     * @param {Object<string, {newName: string, layout: Object|null}>} moves - By old sheet name;
+     *   a null layout only renames
+     * @returns {string}
+     */
+    function rewriteSheetRefs(formula, moves) {
+        return String(formula).split(/("(?:[^"]|"")*")/).map((part, i) => {
+            if (i % 2 === 1) return part; // "string literal"
+            return part.replace(SHEET_REF_RE, (match, prefix, col1, row1, col2, row2) => {
+                const name = prefix.startsWith("'") ? prefix.slice(1, -1).replace(/''/g, "'") : prefix;
+                const move = moves[name];
+                if (!move || (!row1 && !col1)) return match;
+
+                const rowNum = (r) => parseInt(r.replace('$', ''), 10);
+                const withRow = (r, n) => (r.startsWith('$') ? '$' : '') + n;
+                let rows = [row1, row2];
+                if (move.layout && row1) {
+                    if (row2) {
+                        const [range] = shiftRowRange(rowNum(row1), rowNum(row2), move.layout);
+                        if (!range) return quoteSheetName(move.newName) + '!#REF!';
+                        rows = [withRow(row1, range[0]), withRow(row2, range[1])];
+                    } else {
+                        const mapped = mapTemplateRow(rowNum(row1), move.layout);
+                        if (mapped === null) return quoteSheetName(move.newName) + '!#REF!';
+                        rows = [withRow(row1, mapped), row2];
+                    }
+                }
+                const first = (col1 || '') + (rows[0] || '');
+                const hasSecond = match.includes(':');
+                const second = hasSecond ? ':' + (col2 || '') + (rows[1] || '') : '';
+                return quoteSheetName(move.newName) + '!' + first + second;
+            });
+        }).join('');
+    }
+
     /**
-     * Generate a new XLSX file using template formatting and new data.
-     * Uses surgical DOM manipulation — only replaces data rows, preserves everything else.
+     * Sheet name as written before "!" — quoted unless it is a plain identifier
      */
-    async function generateFromTemplate(templateData, options) {
-        const {
-            rows: newDataRows,
-            sheetName,
-            headerFieldUpdates = {},
-        } = options;
-
-        const { zip, analysis, sharedStrings: origSharedStrings, rawSiElements } = templateData;
-
-        // Clone the template ZIP
-        const newZipData = await zip.generateAsync({ type: 'arraybuffer' });
-        const newZip = await JSZip.loadAsync(newZipData);
-
-        // Build new shared strings — preserve originals, add new ones
-        const newSharedStrings = [...origSharedStrings];
-        const newRawSiElements = [...rawSiElements];
-        const ssIndexMap = {};
+    function quoteSheetName(name) {
+        return /^[A-Za-z_][\w.]*$/.test(name) && !/^[A-Za-z]{1,3}\d+$/.test(name)
+            ? name : `'${name.replace(/'/g, "''")}'`;
+    }
 
-        function getOrAddSharedString(text) {
-            const key = String(text);
-            if (ssIndexMap[key] !== undefined) return ssIndexMap[key];
-            const existingIdx = newSharedStrings.indexOf(key);
-            if (existingIdx !== -1) {
-                ssIndexMap[key] = existingIdx;
-                return existingIdx;
+    /**
+     * Update references into generated sheets outside workbook.xml: formulas, rule formulas
+     * and internal hyperlinks of every worksheet, chart series and pivot cache sources.
+     * A generated sheet's own qualified refs are only renamed — its rebuild shifted them.
+     * Pivot caches are flagged to refresh on load, their records describe the old data.
+     */
+    async function updateWorkbookReferences(zip, templateData, moves) {
+        for (let idx = 0; idx < templateData.sheetPaths.length; idx++) {
+            const path = templateData.sheetPaths[idx];
+            const file = path && zip.file(path);
+            if (!file) continue;
+            const xml = await file.async('string');
+            if (!xml.includes('!')) continue;
+
+            const sheetMoves = {};
+            for (const [name, move] of Object.entries(moves)) {
+                sheetMoves[name] = move.sheetIndex === idx ? { ...move, layout: null } : move;
             }
-            const idx = newSharedStrings.length;
-            newSharedStrings.push(key);
-            // New strings are plain text (no rich text)
-            newRawSiElements.push(`<si xmlns="${XLSX_NS}"><t>${escapeXml(key)}</t></si>`);
-            ssIndexMap[key] = idx;
-            return idx;
+            const doc = new DOMParser().parseFromString(xml, 'application/xml');
+            for (const tag of ['f', 'formula', 'formula1', 'formula2']) {
+                for (const el of Array.from(doc.getElementsByTagNameNS('*', tag))) {
+                    if (el.textContent) el.textContent = rewriteSheetRefs(el.textContent, sheetMoves);
+                }
+            }
+            for (const link of Array.from(doc.getElementsByTagName('hyperlink'))) {
+                const location = link.getAttribute('location');
+                if (location) link.setAttribute('location', rewriteSheetRefs(location, sheetMoves));
+            }
+            zip.file(path, serializeXml(doc));
         }
 
-        // Pre-index existing strings
-        origSharedStrings.forEach((s, i) => { ssIndexMap[s] = i; });
-
-        // --- Surgical rebuild of the worksheet XML ---
-        const sheetPath = templateData.firstSheetPath;
-        const origXml = await zip.file(sheetPath).async('string');
-        const newSheetXml = rebuildSheetSurgical(origXml, analysis, newDataRows, getOrAddSharedString, headerFieldUpdates);
-
-        newZip.file(sheetPath, newSheetXml);
-
-        // --- Rebuild shared strings XML preserving rich text ---
-        const newSSXml = buildSharedStringsXmlPreserved(newRawSiElements);
-        newZip.file('xl/sharedStrings.xml', newSSXml);
+        const parts = Object.keys(zip.files);
+        for (const path of parts.filter(p => /^xl\/charts\/chart\d+\.xml$/.test(p))) {
+            const doc = new DOMParser().parseFromString(await zip.file(path).async('string'), 'application/xml');
+            for (const el of Array.from(doc.getElementsByTagNameNS('*', 'f'))) {
+                el.textContent = rewriteSheetRefs(el.textContent, moves);
+            }
+            zip.file(path, serializeXml(doc));
+        }
 
-        // Update sheet name if provided
-        if (sheetName) {
-            const wbXml = await newZip.file('xl/workbook.xml').async('string');
-            const updatedWb = wbXml.replace(
-                /(<sheet[^>]*name=")([^"]*)(")/,
-                `$1${escapeXml(sheetName)}$3`
-            );
-            newZip.file('xl/workbook.xml', updatedWb);
+        for (const path of parts.filter(p => /^xl\/pivotCache\/pivotCacheDefinition\d+\.xml$/.test(p))) {
+            const doc = new DOMParser().parseFromString(await zip.file(path).async('string'), 'application/xml');
+            const source = doc.getElementsByTagName('worksheetSource')[0];
+            const move = source && moves[source.getAttribute('sheet')];
+            if (!move) continue;
+            source.setAttribute('sheet', move.newName);
+            const ref = source.getAttribute('ref');
+            if (ref && move.layout) source.setAttribute('ref', shiftSqref(ref, move.layout) || ref);
+            doc.documentElement.setAttribute('refreshOnLoad', '1');
+            zip.file(path, serializeXml(doc));
         }
+    }
 
-        // === Remove extra sheets from output ZIP ===
-        // The template may have multiple sheets (e.g. 8 monthly sheets).
-        // Only keep the first modified sheet to avoid duplicate footer content.
-        {
-            const wbXml2 = await newZip.file('xl/workbook.xml').async('string');
-            const wbDoc2 = new DOMParser().parseFromString(wbXml2, 'application/xml');
-            const sheetNodes2 = wbDoc2.getElementsByTagName('sheet');
-
-            // Collect rIds of sheets to remove (all except first)
-            const relsXml2 = await newZip.file('xl/_rels/workbook.xml.rels').async('string');
-            const relsDoc2 = new DOMParser().parseFromString(relsXml2, 'application/xml');
-            const relNodes2 = relsDoc2.getElementsByTagName('Relationship');
-
-            // Build rId -> target map
-            const rIdMap = {};
-            for (let i = 0; i < relNodes2.length; i++) {
-                rIdMap[relNodes2[i].getAttribute('Id')] = relNodes2[i].getAttribute('Target');
-            }
-
-            // Remove sheets 2+ from workbook.xml and their files
-            const rIdsToRemove = [];
-            for (let i = sheetNodes2.length - 1; i >= 1; i--) {
-                const rId = sheetNodes2[i].getAttribute('r:id') ||
-                    sheetNodes2[i].getAttributeNS(REL_NS, 'id');
-                if (rId) rIdsToRemove.push(rId);
-                sheetNodes2[i].parentNode.removeChild(sheetNodes2[i]);
-            }
-
-            // Remove corresponding sheet files and relationship entries
-            for (const rId of rIdsToRemove) {
-                const target = rIdMap[rId];
-                if (target) {
-                    const fullPath = target.startsWith('/') ? target.substring(1) : `xl/${target}`;
-                    newZip.remove(fullPath);
-                }
-                for (let i = relNodes2.length - 1; i >= 0; i--) {
-                    if (relNodes2[i].getAttribute('Id') === rId) {
-                        relNodes2[i].parentNode.removeChild(relNodes2[i]);
+    /**
+     * Rewrite the cached points (numCache/strCache) of chart series that read a generated
+     * sheet, from the cells of the output. Run after updateWorkbookReferences, so the
+     * series references already cover the generated rows.
+     * @param {Array<string>} sharedStrings - Shared strings of the output workbook
+     */
+    async function refreshChartCaches(zip, templateData, moves, sharedStrings) {
+        const sheetPaths = {}; // new sheet name → worksheet path
+        for (const move of Object.values(moves)) sheetPaths[move.newName] = templateData.sheetPaths[move.sheetIndex];
+        const sheetCells = {};
+        const cellsOf = async (path) => {
+            if (sheetCells[path]) return sheetCells[path];
+            const cells = {};
+            const doc = new DOMParser().parseFromString(await zip.file(path).async('string'), 'application/xml');
+            for (const c of Array.from(doc.getElementsByTagName('c'))) {
+                const t = c.getAttribute('t');
+                const v = c.getElementsByTagName('v')[0]?.textContent;
+                if (t === 'inlineStr') cells[c.getAttribute('r')] = Array.from(c.getElementsByTagName('t')).map(n => n.textContent).join('');
+                else if (v === undefined) continue;
+                else if (t === 's') cells[c.getAttribute('r')] = sharedStrings[parseInt(v, 10)] ?? '';
+                else cells[c.getAttribute('r')] = t === 'str' || t === 'e' ? v : t === 'b' ? v === '1' : Number(v);
+            }
+            return (sheetCells[path] = cells);
+        };
+
+        for (const path of Object.keys(zip.files).filter(p => /^xl\/charts\/chart\d+\.xml$/.test(p))) {
+            const doc = new DOMParser().parseFromString(await zip.file(path).async('string'), 'application/xml');
+            let changed = false;
+            const refs = [...Array.from(doc.getElementsByTagNameNS('*', 'numRef')), ...Array.from(doc.getElementsByTagNameNS('*', 'strRef'))];
+            for (const refEl of refs) {
+                const child = (name) => Array.from(refEl.childNodes).find(n => n.nodeType === 1 && n.localName === name);
+                const areas = parseAreaRef(child('f')?.textContent);
+                if (!areas || !areas.every(a => sheetPaths[a.sheet])) continue;
+
+                const values = [];
+                for (const area of areas) {
+                    const cells = await cellsOf(sheetPaths[area.sheet]);
+                    for (let r = area.r1; r <= area.r2; r++) {
+                        for (let c = area.c1; c <= area.c2; c++) values.push(cells[colToRef(c) + r] ?? null);
                     }
                 }
+                writeChartCache(doc, refEl, refEl.localName === 'numRef' ? 'numCache' : 'strCache', values);
+                changed = true;
             }
-
-            // Save updated workbook.xml and rels
-            const ser = new XMLSerializer();
-            let wb2 = ser.serializeToString(wbDoc2);
-            wb2 = wb2.replace(/\s+xmlns:ns\d+="[^"]*"/g, '');
-            wb2 = wb2.replace(/ns\d+:/g, '');
-            newZip.file('xl/workbook.xml', wb2);
-
-            let rels2 = ser.serializeToString(relsDoc2);
-            rels2 = rels2.replace(/\s+xmlns:ns\d+="[^"]*"/g, '');
-            rels2 = rels2.replace(/ns\d+:/g, '');
-            newZip.file('xl/_rels/workbook.xml.rels', rels2);
+            if (changed) zip.file(path, serializeXml(doc));
         }
+    }
 
-        // Generate blob WITH compression
-        const blob = await newZip.generateAsync({
-            type: 'blob',
-            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-            compression: 'DEFLATE',
-            compressionOptions: { level: 6 },
+    /**
+     * Replace the points of a series cache, keeping its formatCode and extLst.
+     * A number cache only lists numeric points; a string cache every non-empty one.
+     */
+    function writeChartCache(doc, refEl, cacheName, values) {
+        const prefix = refEl.prefix ? refEl.prefix + ':' : '';
+        const ns = refEl.namespaceURI;
+        const make = (name) => doc.createElementNS(ns, prefix + name);
+        let cache = Array.from(refEl.childNodes).find(n => n.nodeType === 1 && n.localName === cacheName);
+        if (!cache) {
+            cache = make(cacheName);
+            refEl.appendChild(cache);
+        }
+        for (const n of Array.from(cache.childNodes)) {
+            if (n.nodeType === 1 && (n.localName === 'pt' || n.localName === 'ptCount')) cache.removeChild(n);
+        }
+        const before = Array.from(cache.childNodes).find(n => n.nodeType === 1 && n.localName === 'extLst') || null;
+        const ptCount = make('ptCount');
+        ptCount.setAttribute('val', String(values.length));
+        cache.insertBefore(ptCount, before);
+        values.forEach((value, idx) => {
+            const numeric = typeof value === 'number' && isFinite(value);
+            if (cacheName === 'numCache' ? !numeric : (value === null || value === '')) return;
+            const pt = make('pt');
+            pt.setAttribute('idx', String(idx));
+            const v = make('v');
+            v.textContent = String(value);
+            pt.appendChild(v);
+            cache.insertBefore(pt, before);
         });
+    }
 
-        return blob;
+    /**
+     * Remove xl/calcChain.xml together with its relationship and content-type override
+     */
+    async function removeCalcChain(zip) {
+        if (!zip.file('xl/calcChain.xml')) return;
+        zip.remove('xl/calcChain.xml');
+
+        const relsXml = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+        zip.file('xl/_rels/workbook.xml.rels',
+            relsXml.replace(/<Relationship\b[^>]*Target="[^"]*calcChain\.xml"[^>]*\/>/g, ''));
+
+        const ctFile = zip.file('[Content_Types].xml');
+        if (ctFile) {
+            const ctXml = await ctFile.async('string');
+            zip.file('[Content_Types].xml',
+                ctXml.replace(/<Override\b[^>]*PartName="\/xl\/calcChain\.xml"[^>]*\/>/g, ''));
+        }
+    }
+
+    /**
+     * Serialize a DOM document and strip the ns-prefixes XMLSerializer adds
+     */
+    function serializeXml(doc) {
+        let output = new XMLSerializer().serializeToString(doc);
+        output = output.replace(/\s+xmlns:ns\d+="[^"]*"/g, '');
+        output = output.replace(/ns\d+:/g, '');
+        return output;
     }
 
     /**
      * Surgical rebuild — Modify DOM directly, only replace data zone rows.
      * Preserves ALL XML elements: conditionalFormatting, dataValidations,
      * printOptions, sheetPr, autoFilter, hyperlinks, drawings, comments, etc.
+     * @returns {{xml: string, layout: Object|null}} The new sheet XML and the row layout
+     *   { dataStart, dataEnd, newDataEnd, rowShift } for the sheet's other parts (null when unchanged)
      */
-    function rebuildSheetSurgical(origXml, analysis, newDataRows, getOrAddSS, headerFieldUpdates) {
+    function rebuildSheetSurgical(origXml, analysis, newDataRows, getOrAddSS, headerFieldUpdates, options = {}) {
+        const { bandCycle = 1, sharedStrings = [], sheetName = null, stylesData = null } = options;
         const doc = new DOMParser().parseFromString(origXml, 'application/xml');
         const sheetData = doc.getElementsByTagName('sheetData')[0];
-        if (!sheetData) return origXml; // Safety fallback
+        if (!sheetData) return { xml: origXml, layout: null }; // Safety fallback
 
         const { columnHeaderRow, dataZone, footerZone, maxCol } = analysis;
         const stylePatterns = dataZone.stylePatterns;
-        if (stylePatterns.length === 0) return origXml;
+        if (stylePatterns.length === 0) return { xml: origXml, layout: null };
 
         const colCount = maxCol; // Use maxCol, NOT headers.length (merge cells cause gaps)
         const dataStartRowNum = dataZone.startRowNum;
         const origDataEndRowNum = dataZone.endRowNum;
         const origFooterStartRowNum = footerZone.rows[0]?.rowNum || origDataEndRowNum + 1;
 
-        // === Step 1: Apply header field updates (if any) ===
+        // === Step 1: Apply header/footer field updates (if any) ===
+        // Refs are template refs — applied before footer rows are shifted
         if (Object.keys(headerFieldUpdates).length > 0) {
             const allRows = sheetData.getElementsByTagName('row');
             for (let i = 0; i < allRows.length; i++) {
                 const rowNum = parseInt(allRows[i].getAttribute('r'), 10);
-                if (rowNum >= dataStartRowNum) break; // Only update header zone
+                if (rowNum >= dataStartRowNum && rowNum <= origDataEndRowNum) continue; // Data zone is rebuilt below
                 const cells = allRows[i].getElementsByTagName('c');
                 for (let j = 0; j < cells.length; j++) {
                     const cellRef = cells[j].getAttribute('r');
@@ -648,51 +1904,203 @@ const TemplateEngine = (() => {
         rowsToRemove.forEach(row => sheetData.removeChild(row));
 
         // === Step 3: Build new data rows ===
-        // FIX: Use ONLY the first style pattern for ALL rows to ensure consistent font size.
-        // Template may have 2+ data rows with different font sizes — cycling causes alternating sizes.
-        const patternCycleLen = 1; // Always use pattern[0]
+        // Entries are data rows (arrays) or group markers from buildGroupedRows:
+        // { kind: 'category', label } and { kind: 'subtotal', label? }.
+        // Cycle style patterns only for detected (or forced) banding; otherwise pattern[0] for
+        // ALL rows — template rows that differ only in font size would alternate large/small text.
+        const patternCycleLen = Math.max(1, Math.min(bandCycle, stylePatterns.length));
+        const categoryTpl = dataZone.categoryRows.length > 0 ? dataZone.categoryRows[0].row : null;
+        const subtotalTpl = footerZone.rows.find(r => r.cells.some(c => c.formula && /\bSUM\(/i.test(c.formula))) || null;
         let currentRowNum = dataStartRowNum;
         const newDataRowNodes = [];
+        const groupMerges = [];
+        const dataRuns = [];      // [firstRow, lastRow] of consecutive data rows — what footer SUMs cover
+        let groupFirstRow = null; // First data row of the current group (subtotal range start)
+        let groupData = [];       // Data rows of the current group
+        let bandIdx = 0;          // Banding restarts after each category row
+        const generatedValues = {}; // rowNum → values (formula results included), for cross-row refs
+
+        // Values visible to data-row formulas: earlier generated rows and the header zone
+        const headerValues = {};
+        for (const row of analysis.rawRows) {
+            if (row.rowNum >= dataStartRowNum) continue;
+            for (const c of row.cells) {
+                headerValues[c.ref] = c.t === 's' || c.t === 'str' || c.t === 'inlineStr'
+                    ? c.displayValue
+                    : (isNumeric(c.value) ? Number(c.value) : c.value);
+            }
+        }
+        const getCell = (col, row, sheet) => {
+            if (sheet) return null;
+            if (generatedValues[row]) {
+                const v = generatedValues[row][col - 1];
+                return isNumeric(v) ? Number(v) : (v ?? null);
+            }
+            return headerValues[colToRef(col) + row] ?? null;
+        };
 
-        for (let i = 0; i < newDataRows.length; i++) {
-            const dataRow = newDataRows[i];
-            const pattern = stylePatterns[0]; // Always use first pattern
+        // Cells of the row being built, for its height estimate
+        let rowCells = [];
+        let rowMergeTpl = null;
 
+        const createRow = (ht, mergeRowNum = null) => {
             const rowEl = doc.createElementNS(XLSX_NS, 'row');
             rowEl.setAttribute('r', String(currentRowNum));
-            if (pattern.ht) {
-                rowEl.setAttribute('ht', pattern.ht);
+            if (ht) {
+                rowEl.setAttribute('ht', ht);
+                rowEl.setAttribute('customHeight', '1');
+            }
+            rowCells = [];
+            rowMergeTpl = mergeRowNum;
+            return rowEl;
+        };
+
+        // The template height is a custom height — Excel never grows it, so wrapped text
+        // taller than the template row gets an estimated height instead
+        const fitRowHeight = (rowEl) => {
+            const base = parseFloat(rowEl.getAttribute('ht')) || analysis.defaultRowHeight || 15;
+            const needed = estimateRowHeight(rowCells, analysis, stylesData, rowMergeTpl);
+            if (needed > base) {
+                rowEl.setAttribute('ht', String(needed));
                 rowEl.setAttribute('customHeight', '1');
             }
+        };
+
+        const appendCell = (rowEl, colNum, styleIdx, cellValue, formula, cachedValue = null) => {
+            const cellEl = doc.createElementNS(XLSX_NS, 'c');
+            cellEl.setAttribute('r', colToRef(colNum) + currentRowNum);
+            cellEl.setAttribute('s', styleIdx);
+            rowCells.push({ col: colNum, style: styleIdx, text: formula ? cachedValue : cellValue });
+
+            if (formula) {
+                const fEl = doc.createElementNS(XLSX_NS, 'f');
+                fEl.textContent = formula;
+                cellEl.appendChild(fEl);
+                setCachedValue(doc, cellEl, cachedValue);
+            } else if (cellValue === '') {
+                // Empty cell — just has style
+            } else if (isNumeric(cellValue)) {
+                const vEl = doc.createElementNS(XLSX_NS, 'v');
+                vEl.textContent = cellValue;
+                cellEl.appendChild(vEl);
+            } else {
+                const ssIdx = getOrAddSS(cellValue);
+                cellEl.setAttribute('t', 's');
+                const vEl = doc.createElementNS(XLSX_NS, 'v');
+                vEl.textContent = String(ssIdx);
+                cellEl.appendChild(vEl);
+            }
 
-            for (let c = 0; c < colCount; c++) {
-                const colNum = c + 1;
-                const cellRef = colToRef(colNum) + currentRowNum;
-                const patternCell = pattern.pattern.find(p => p.col === colNum);
-                const styleIdx = patternCell ? patternCell.style : '0';
-                const cellValue = (dataRow[c] !== undefined && dataRow[c] !== null) ? String(dataRow[c]) : '';
+            rowEl.appendChild(cellEl);
+        };
 
-                const cellEl = doc.createElementNS(XLSX_NS, 'c');
-                cellEl.setAttribute('r', cellRef);
-                cellEl.setAttribute('s', styleIdx);
+        // Template merges inside a category/subtotal row are repeated on every generated copy
+        const copyRowMerges = (tplRowNum) => {
+            for (const ref of analysis.mergeCells) {
+                const m = ref.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/);
+                if (m && parseInt(m[2]) === tplRowNum && parseInt(m[4]) === tplRowNum) {
+                    groupMerges.push(`${m[1]}${currentRowNum}:${m[3]}${currentRowNum}`);
+                }
+            }
+        };
 
-                if (cellValue === '') {
-                    // Empty cell — just has style
-                } else if (isNumeric(cellValue)) {
-                    const vEl = doc.createElementNS(XLSX_NS, 'v');
-                    vEl.textContent = cellValue;
-                    cellEl.appendChild(vEl);
-                } else {
-                    const ssIdx = getOrAddSS(cellValue);
-                    cellEl.setAttribute('t', 's');
-                    const vEl = doc.createElementNS(XLSX_NS, 'v');
-                    vEl.textContent = String(ssIdx);
-                    cellEl.appendChild(vEl);
+        for (const entry of newDataRows) {
+            let rowEl;
+
+            if (Array.isArray(entry)) {
+                const pattern = stylePatterns[bandIdx++ % patternCycleLen];
+                const formulas = buildRowFormulas(analysis, pattern, currentRowNum, entry, getCell);
+                const rowValues = [];
+                rowEl = createRow(pattern.ht);
+                for (let c = 0; c < colCount; c++) {
+                    const colNum = c + 1;
+                    const patternCell = pattern.pattern.find(p => p.col === colNum);
+                    const styleIdx = patternCell ? patternCell.style : '0';
+                    if (formulas[colNum]) {
+                        // Live formula, moved to this row, with its computed value cached
+                        appendCell(rowEl, colNum, styleIdx, '', formulas[colNum].formula, formulas[colNum].value);
+                        rowValues.push(formulas[colNum].value);
+                    } else {
+                        const cellValue = (entry[c] !== undefined && entry[c] !== null) ? String(entry[c]) : '';
+                        appendCell(rowEl, colNum, styleIdx, cellValue);
+                        rowValues.push(cellValue);
+                    }
                 }
+                generatedValues[currentRowNum] = rowValues;
 
-                rowEl.appendChild(cellEl);
+                const lastRun = dataRuns[dataRuns.length - 1];
+                if (lastRun && lastRun[1] === currentRowNum - 1) {
+                    lastRun[1] = currentRowNum;
+                } else {
+                    dataRuns.push([currentRowNum, currentRowNum]);
+                }
+                if (groupFirstRow === null) groupFirstRow = currentRowNum;
+                groupData.push(entry);
+            } else if (entry.kind === 'category') {
+                // Styled like the template's first category row; label goes where its text was
+                const tplCells = categoryTpl ? categoryTpl.cells : stylePatterns[0].pattern;
+                const labelCell = categoryTpl && categoryTpl.cells.find(c => c.displayValue);
+                const labelCol = labelCell ? labelCell.col : 1;
+                rowEl = createRow(categoryTpl ? categoryTpl.ht : stylePatterns[0].ht, categoryTpl ? categoryTpl.rowNum : null);
+                for (let colNum = 1; colNum <= colCount; colNum++) {
+                    const tplCell = tplCells.find(c => c.col === colNum);
+                    const style = tplCell ? (tplCell.s || tplCell.style || '0') : '0';
+                    appendCell(rowEl, colNum, style, colNum === labelCol ? String(entry.label ?? '') : '');
+                }
+                if (categoryTpl) copyRowMerges(categoryTpl.rowNum);
+                groupFirstRow = null;
+                groupData = [];
+                bandIdx = 0;
+            } else if (entry.kind === 'subtotal') {
+                if (groupFirstRow === null) continue; // Empty group — nothing to total
+                const groupLastRow = currentRowNum - 1;
+                const sumOf = (colNum) => `SUM(${colToRef(colNum)}${groupFirstRow}:${colToRef(colNum)}${groupLastRow})`;
+                const evalSum = (colNum) => FormulaEngine.evaluate(sumOf(colNum), { getCell, row: currentRowNum, col: colNum });
+
+                if (subtotalTpl) {
+                    // Copy the template's subtotal row: its SUM cells cover just this group, text is kept
+                    rowEl = createRow(subtotalTpl.ht, subtotalTpl.rowNum);
+                    let labelDone = false;
+                    for (let colNum = 1; colNum <= colCount; colNum++) {
+                        const tplCell = subtotalTpl.cells.find(c => c.col === colNum);
+                        if (!tplCell) {
+                            appendCell(rowEl, colNum, '0', '');
+                        } else if (tplCell.formula && /\bSUM\(/i.test(tplCell.formula)) {
+                            appendCell(rowEl, colNum, tplCell.s, '', sumOf(colNum), evalSum(colNum));
+                        } else if (!tplCell.formula && tplCell.displayValue && !labelDone) {
+                            appendCell(rowEl, colNum, tplCell.s, entry.label != null ? String(entry.label) : tplCell.displayValue);
+                            labelDone = true;
+                        } else {
+                            appendCell(rowEl, colNum, tplCell.s, '');
+                        }
+                    }
+                    copyRowMerges(subtotalTpl.rowNum);
+                } else {
+                    // No subtotal row in the template: total every numeric column except the first (No./STT)
+                    const pattern = stylePatterns[0];
+                    const isNumericCol = (c) => c > 0 &&
+                        groupData.some(r => isNumeric(r[c])) &&
+                        groupData.every(r => r[c] === '' || r[c] == null || isNumeric(r[c]));
+                    let labelDone = false;
+                    rowEl = createRow(pattern.ht);
+                    for (let c = 0; c < colCount; c++) {
+                        const patternCell = pattern.pattern.find(p => p.col === c + 1);
+                        const style = patternCell ? patternCell.style : '0';
+                        if (isNumericCol(c)) {
+                            appendCell(rowEl, c + 1, style, '', sumOf(c + 1), evalSum(c + 1));
+                        } else {
+                            appendCell(rowEl, c + 1, style, labelDone ? '' : String(entry.label ?? 'Subtotal'));
+                            labelDone = true;
+                        }
+                    }
+                }
+                groupFirstRow = null;
+                groupData = [];
+            } else {
+                continue;
             }
 
+            fitRowHeight(rowEl);
             newDataRowNodes.push(rowEl);
             currentRowNum++;
         }
@@ -700,6 +2108,7 @@ const TemplateEngine = (() => {
         // === Step 4: Find the insertion point (first row after data zone = footer) ===
         const newDataEnd = currentRowNum - 1;
         const rowShift = newDataEnd - origDataEndRowNum; // How many rows shifted
+        const layout = { dataStart: dataStartRowNum, dataEnd: origDataEndRowNum, newDataEnd, rowShift };
 
         // Find the first footer row in DOM to insert data before it
         let insertBeforeNode = null;
@@ -722,12 +2131,16 @@ const TemplateEngine = (() => {
         }
 
         // === Step 5: Adjust footer row numbers ===
-        if (rowShift !== 0) {
-            // Re-fetch rows after insertion
+        // Category/subtotal rows change what the footer totals must cover even when the
+        // row count happens to match the template, so their formulas are rewritten anyway
+        const grouped = newDataRows.some(entry => !Array.isArray(entry));
+        if (rowShift !== 0 || grouped) {
+            // Re-fetch rows after insertion — new data rows may already sit past the old footer start
+            const insertedRows = new Set(newDataRowNodes);
             const updatedRows = sheetData.getElementsByTagName('row');
             for (let i = 0; i < updatedRows.length; i++) {
                 const rn = parseInt(updatedRows[i].getAttribute('r'), 10);
-                if (rn >= origFooterStartRowNum) {
+                if (rn >= origFooterStartRowNum && !insertedRows.has(updatedRows[i])) {
                     const newRn = rn + rowShift;
                     updatedRows[i].setAttribute('r', String(newRn));
                     // Update all cell refs in this row
@@ -744,7 +2157,8 @@ const TemplateEngine = (() => {
                                 fEl.textContent,
                                 dataStartRowNum, origDataEndRowNum,
                                 dataStartRowNum, newDataEnd,
-                                origFooterStartRowNum, origFooterStartRowNum + rowShift
+                                origFooterStartRowNum, origFooterStartRowNum + rowShift,
+                                grouped ? dataRuns : null
                             );
                         }
                     }
@@ -795,8 +2209,12 @@ const TemplateEngine = (() => {
             }
         }
 
+        // === Step 5.6: Recompute cached values of the generated and footer formula cells ===
+        // Moved footer ranges keep the template's old <v>; viewers that don't recalculate would show it
+        recalculateCachedValues(doc, sheetData, sharedStrings, dataStartRowNum, rowShift !== 0 || grouped);
+
         // === Step 6: Update merge cells ===
-        updateMergeCells(doc, dataStartRowNum, origDataEndRowNum, newDataEnd, origFooterStartRowNum, rowShift);
+        updateMergeCells(doc, dataStartRowNum, origDataEndRowNum, newDataEnd, origFooterStartRowNum, rowShift, groupMerges);
 
         // === Step 7: Update dimension ref ===
         const dimNode = doc.getElementsByTagName('dimension')[0];
@@ -808,29 +2226,53 @@ const TemplateEngine = (() => {
             dimNode.setAttribute('ref', `A1:${lastCol}${lastRow}`);
         }
 
-        // === Step 8: Update autoFilter range if it exists ===
+        // === Step 8: Update autoFilter range (and its sort state) if it exists ===
         const autoFilterNodes = doc.getElementsByTagName('autoFilter');
         if (autoFilterNodes.length > 0) {
             const af = autoFilterNodes[0];
-            const afRef = af.getAttribute('ref');
-            if (afRef) {
-                const match = afRef.match(/([A-Z]+)(\d+):([A-Z]+)(\d+)/);
-                if (match) {
-                    const [, c1, r1, c2, r2] = match;
-                    const origR2 = parseInt(r2);
-                    if (origR2 >= origDataEndRowNum) {
-                        af.setAttribute('ref', `${c1}${r1}:${c2}${origR2 + rowShift}`);
-                    }
+            const refEls = [af, ...Array.from(af.getElementsByTagName('sortState')), ...Array.from(af.getElementsByTagName('sortCondition'))];
+            for (const el of refEls) {
+                const ref = el.getAttribute('ref');
+                if (ref) el.setAttribute('ref', shiftSqref(ref, layout) || ref);
+            }
+        }
+
+        // === Step 8.5: Move manual page breaks with the footer ===
+        // Breaks inside the data zone belonged to the sample rows and are dropped.
+        const rowBreaksEl = doc.getElementsByTagName('rowBreaks')[0];
+        if (rowBreaksEl) {
+            for (const brk of Array.from(rowBreaksEl.getElementsByTagName('brk'))) {
+                const id = parseInt(brk.getAttribute('id'));
+                if (id >= dataStartRowNum && id < origDataEndRowNum) {
+                    rowBreaksEl.removeChild(brk);
+                } else if (id >= origDataEndRowNum) {
+                    brk.setAttribute('id', String(id + rowShift));
                 }
             }
+            const remaining = rowBreaksEl.getElementsByTagName('brk').length;
+            if (remaining === 0) {
+                rowBreaksEl.parentNode.removeChild(rowBreaksEl);
+            } else {
+                rowBreaksEl.setAttribute('count', String(remaining));
+                rowBreaksEl.setAttribute('manualBreakCount', String(remaining));
+            }
         }
 
-        // === Step 9: Update conditional formatting ranges ===
-        const cfNodes = doc.getElementsByTagName('conditionalFormatting');
-        for (let i = 0; i < cfNodes.length; i++) {
-            const sqref = cfNodes[i].getAttribute('sqref');
-            if (sqref) {
-                cfNodes[i].setAttribute('sqref', adjustRangeRef(sqref, origDataEndRowNum, rowShift));
+        // === Step 9: Update every other range-bearing element ===
+        // Conditional formats, validations, selections, protected ranges, ignored errors and
+        // their x14 extension forms; data zone ranges cover exactly the new data rows
+        shiftSheetRanges(doc, layout, dataRuns, sheetName);
+
+        // === Step 10: Move hyperlinks with their cells ===
+        const hyperlinksEl = doc.getElementsByTagName('hyperlinks')[0];
+        if (hyperlinksEl) {
+            for (const link of Array.from(hyperlinksEl.getElementsByTagName('hyperlink'))) {
+                const ref = shiftSqref(link.getAttribute('ref') || '', layout);
+                if (ref) link.setAttribute('ref', ref);
+                else hyperlinksEl.removeChild(link);
+            }
+            if (hyperlinksEl.getElementsByTagName('hyperlink').length === 0) {
+                hyperlinksEl.parentNode.removeChild(hyperlinksEl);
             }
         }
 
@@ -842,7 +2284,95 @@ const TemplateEngine = (() => {
         output = output.replace(/\s+xmlns:ns\d+="[^"]*"/g, '');
         output = output.replace(/ns\d+:/g, '');
 
-        return output;
+        return { xml: output, layout };
+    }
+
+    /**
+     * Recompute the cached <v> of formula cells from fromRow on (generated rows and the moved
+     * footer). Header formulas and formulas reading other sheets keep the <v> Excel saved —
+     * they also feed the recomputed cells as plain values. A formula the engine cannot evaluate
+     * loses its <v> once the footer moved or when it reads the rebuilt rows — the saved value
+     * belongs to the template's rows.
+     */
+    function recalculateCachedValues(doc, sheetData, sharedStrings, fromRow, footerMoved) {
+        const cells = {};
+        const formulaCells = {};
+        const sharedMasters = {};
+        const cellNodes = sheetData.getElementsByTagName('c');
+
+        for (let i = 0; i < cellNodes.length; i++) {
+            const cellEl = cellNodes[i];
+            const ref = cellEl.getAttribute('r');
+            const fEl = cellEl.getElementsByTagName('f')[0];
+            let formula = fEl ? fEl.textContent : null;
+            if (fEl && fEl.getAttribute('t') === 'shared') {
+                const si = fEl.getAttribute('si');
+                if (formula) {
+                    sharedMasters[si] = { formula, col: refToCol(ref), row: refToRow(ref) };
+                } else if (sharedMasters[si]) {
+                    formula = expandSharedFormula(sharedMasters[si], refToCol(ref), refToRow(ref));
+                }
+            }
+            if (formula && refToRow(ref) >= fromRow && !FormulaEngine.dependencies(formula).some(d => d.sheet)) {
+                cells[ref] = { formula };
+                formulaCells[ref] = cellEl;
+                continue;
+            }
+
+            const t = cellEl.getAttribute('t') || '';
+            const vEl = cellEl.getElementsByTagName('v')[0];
+            const raw = vEl ? vEl.textContent : '';
+            let value;
+            if (t === 's') value = sharedStrings[parseInt(raw, 10)] ?? '';
+            else if (t === 'str') value = raw;
+            else if (t === 'b') value = raw === '1';
+            else if (t === 'e') value = new FormulaEngine.FormulaError(raw);
+            else if (t === 'inlineStr') value = Array.from(cellEl.getElementsByTagName('t')).map(n => n.textContent).join('');
+            else value = raw === '' ? null : Number(raw);
+            cells[ref] = { value };
+        }
+
+        const results = FormulaEngine.evaluateSheet(cells);
+        for (const [ref, cellEl] of Object.entries(formulaCells)) {
+            if (results[ref] !== null || footerMoved || readsRowsFrom(cells[ref].formula, fromRow)) {
+                setCachedValue(doc, cellEl, results[ref]);
+            }
+        }
+    }
+
+    /**
+     * Whether a formula reads any row from fromRow on (same-sheet refs and ranges)
+     */
+    function readsRowsFrom(formula, fromRow) {
+        return FormulaEngine.dependencies(formula).some(d =>
+            !d.sheet && (d.from ? Math.max(d.from.row, d.to.row) : d.row) >= fromRow);
+    }
+
+    /**
+     * Write a formula cell's cached <v> (number, str, b or e); null leaves it uncached
+     */
+    function setCachedValue(doc, cellEl, value) {
+        const oldV = cellEl.getElementsByTagName('v')[0];
+        if (oldV) cellEl.removeChild(oldV);
+        cellEl.removeAttribute('t');
+        if (value === null || value === undefined) return;
+
+        let text;
+        if (value instanceof FormulaEngine.FormulaError) {
+            cellEl.setAttribute('t', 'e');
+            text = value.code;
+        } else if (typeof value === 'boolean') {
+            cellEl.setAttribute('t', 'b');
+            text = value ? '1' : '0';
+        } else if (typeof value === 'number') {
+            text = String(value);
+        } else {
+            cellEl.setAttribute('t', 'str');
+            text = String(value);
+        }
+        const vEl = doc.createElementNS(XLSX_NS, 'v');
+        vEl.textContent = text;
+        cellEl.appendChild(vEl);
     }
 
     /**
@@ -852,7 +2382,11 @@ const TemplateEngine = (() => {
         // Remove existing v element
         const existingV = cellEl.getElementsByTagName('v')[0];
 
-        if (isNumeric(newValue)) {
+        if (newValue === '' || newValue == null) {
+            // Blank — keep the styled cell, drop its value
+            cellEl.removeAttribute('t');
+            if (existingV) cellEl.removeChild(existingV);
+        } else if (isNumeric(newValue)) {
             cellEl.removeAttribute('t');
             if (existingV) {
                 existingV.textContent = String(newValue);
@@ -874,19 +2408,103 @@ const TemplateEngine = (() => {
         }
     }
 
+    /**
+     * Flatten nested field values into dotted keys: { customer: { name } } → { 'customer.name' }
+     */
+    function flattenFieldValues(obj, prefix = '', out = {}) {
+        for (const [key, val] of Object.entries(obj || {})) {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (val !== null && typeof val === 'object' && !Array.isArray(val)) {
+                flattenFieldValues(val, name, out);
+            } else {
+                out[name] = val == null ? '' : val;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Resolve scalar field values into cell-ref updates for the header and footer zones.
+     * Keys shaped like cell refs ("F3") update that cell directly, sheet-qualified refs ("Data!F3",
+     * "'My Sheet'!F3") only on the named template sheet; other keys fill {{field}} tags.
+     * A cell holding a single tag takes the raw value (so numbers stay numeric);
+     * tags embedded in longer text are substituted in place.
+     * @param {Object} analysis - Result of analyzeSheet
+     * @param {Object} fieldValues - Flat or nested key-value map
+     * @param {string|null} [sheetName] - Template name of the sheet being filled
+     * @returns {Object} Map of cell ref → new value
+     */
+    function buildFieldUpdates(analysis, fieldValues, sheetName = null) {
+        const values = flattenFieldValues(fieldValues);
+        const updates = {};
+
+        const sheetRefs = {}; // Sheet-qualified refs win over plain ones
+        for (const [key, val] of Object.entries(values)) {
+            if (/^[A-Z]+\d+$/.test(key)) {
+                updates[key] = val;
+                continue;
+            }
+            const m = key.match(/^(?:'((?:[^']|'')+)'|([^'!]+))!([A-Z]+\d+)$/);
+            if (m && sheetName !== null && (m[1] !== undefined ? m[1].replace(/''/g, "'") : m[2]) === sheetName) {
+                sheetRefs[m[3]] = val;
+            }
+        }
+        Object.assign(updates, sheetRefs);
+
+        const headerFields = analysis.placeholders ? analysis.placeholders.headerFields : [];
+        const seenRefs = new Set();
+        for (const { ref, text } of headerFields) {
+            if (seenRefs.has(ref)) continue;
+            seenRefs.add(ref);
+
+            const single = text.trim().match(/^\{\{\s*([\w.\-]+)\s*\}\}$/);
+            if (single) {
+                updates[ref] = values[single[1]] !== undefined ? values[single[1]] : '';
+            } else {
+                updates[ref] = text.replace(PLACEHOLDER_RE, (match, kind, name) =>
+                    kind ? match : String(values[name] !== undefined ? values[name] : ''));
+            }
+        }
+        return updates;
+    }
+
     /**
      * Generic formula range updater — handles all columns, not just H.
      * Handles multi-range formulas like SUM(H17:H45,H47:H53) correctly:
-     *   - Ranges within data zone are clamped to new data boundaries
+     *   - A range list split around category rows covers all new data rows
+     *   - Ranges within data zone follow the new data end (or are clamped to it)
      *   - Orphaned ranges (start > newDataEnd after shift) are removed
      *   - Footer references are shifted by rowShift
+     * With dataRuns ([[firstRow, lastRow], ...] of plain data rows, passed whenever grouping added
+     * category/subtotal rows), every data zone range is replaced by one range per run so those rows are skipped.
      */
-    function updateFormulaRangesGeneric(formula, origDataStart, origDataEnd, newDataStart, newDataEnd, origFooterStart, newFooterStart) {
+    function updateFormulaRangesGeneric(formula, origDataStart, origDataEnd, newDataStart, newDataEnd, origFooterStart, newFooterStart, dataRuns = null) {
         const rowShift = newFooterStart - origFooterStart;
 
+        // Rewritten ranges are parked as tokens so Step 3 does not shift their end rows again
+        const finished = [];
+        const park = (text) => `<<range_${finished.push(text) - 1}>>`;
+        // Every occurrence becomes the same run list: IF(SUM(H17:H45)=0,"",SUM(H17:H45)) keeps both SUMs
+        const runsFor = (col1, col2) => park(dataRuns.map(([a, b]) => `${col1}${a}:${col2}${b}`).join(','));
+
+        // Step 0: A template range list split around category rows (SUM(H17:H45,H47:H53))
+        // covers the data rows as a whole — every new data row, or the runs when grouped
+        let result = formula.replace(/[A-Z]+\d+:[A-Z]+\d+(?:,[A-Z]+\d+:[A-Z]+\d+)+/g, (list) => {
+            const ranges = list.split(',').map(r => r.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/));
+            const [, col1, , col2] = ranges[0];
+            const isSplitZone = ranges.every((m, i) =>
+                m[1] === col1 && m[3] === col2 &&
+                parseInt(m[2]) >= origDataStart && parseInt(m[4]) <= origDataEnd &&
+                (i === 0 || parseInt(m[2]) > parseInt(ranges[i - 1][4])));
+            if (!isSplitZone) return list;
+            if (dataRuns && dataRuns.length > 0) return runsFor(col1, col2);
+            if (newDataEnd < newDataStart) return '<<ORPHANED>>';
+            return park(`${col1}${newDataStart}:${col2}${newDataEnd}`);
+        });
+
         // Step 1: Update cell range references (e.g. H17:H45)
         // Process each range individually, marking orphaned ones for removal
-        let result = formula.replace(
+        result = result.replace(
             /([A-Z]+)(\d+):([A-Z]+)(\d+)/g,
             (match, col1, row1, col2, row2) => {
                 const r1 = parseInt(row1);
@@ -894,30 +2512,32 @@ const TemplateEngine = (() => {
 
                 // Case A: Both ends in footer zone → shift both
                 if (r1 >= origFooterStart && r2 >= origFooterStart) {
-                    return `${col1}${r1 + rowShift}:${col2}${r2 + rowShift}`;
+                    return park(`${col1}${r1 + rowShift}:${col2}${r2 + rowShift}`);
                 }
 
                 // Case B: Range within or covering the data zone
                 if (r1 >= origDataStart && r2 <= origDataEnd) {
+                    if (dataRuns && dataRuns.length > 0) return runsFor(col1, col2);
                     // If original r1 is already beyond the new data end,
                     // this entire range is orphaned (no data rows exist here anymore)
                     if (r1 > newDataEnd) {
                         return '<<ORPHANED>>';
                     }
-                    // Clamp r2 to newDataEnd (data zone may have shrunk)
-                    const newR2 = Math.min(r2, newDataEnd);
-                    return `${col1}${r1}:${col2}${newR2}`;
+                    // A range reaching the last data row follows the new data end (like shiftRowRange),
+                    // others are clamped to it (data zone may have shrunk)
+                    const newR2 = r2 >= origDataEnd ? newDataEnd : Math.min(r2, newDataEnd);
+                    return park(`${col1}${r1}:${col2}${newR2}`);
                 }
 
                 // Case C: Range starts in data/header, ends in footer
                 if (r1 < origFooterStart && r2 >= origFooterStart) {
                     const newR2 = r2 + rowShift;
-                    return `${col1}${r1}:${col2}${newR2}`;
+                    return park(`${col1}${r1}:${col2}${newR2}`);
                 }
 
                 // Case D: Range starts before data, ends within data
                 if (r1 < origDataStart && r2 >= origDataStart && r2 <= origDataEnd) {
-                    return `${col1}${r1}:${col2}${newDataEnd}`;
+                    return park(`${col1}${r1}:${col2}${newDataEnd}`);
                 }
 
                 return match;
@@ -943,13 +2563,13 @@ const TemplateEngine = (() => {
             }
         );
 
-        return result;
+        return result.replace(/<<range_(\d+)>>/g, (m, i) => finished[parseInt(i)]);
     }
 
     /**
      * Update merge cells in the DOM — adjust for data zone changes
      */
-    function updateMergeCells(doc, dataStart, origDataEnd, newDataEnd, origFooterStart, rowShift) {
+    function updateMergeCells(doc, dataStart, origDataEnd, newDataEnd, origFooterStart, rowShift, addedRefs = []) {
         const mergeCellsNode = doc.getElementsByTagName('mergeCells')[0];
         if (!mergeCellsNode) return;
 
@@ -984,6 +2604,13 @@ const TemplateEngine = (() => {
 
         toRemove.forEach(node => mergeCellsNode.removeChild(node));
 
+        // Merges of generated category/subtotal rows
+        for (const ref of addedRefs) {
+            const mergeEl = doc.createElementNS(XLSX_NS, 'mergeCell');
+            mergeEl.setAttribute('ref', ref);
+            mergeCellsNode.appendChild(mergeEl);
+        }
+
         // Update count
         const remaining = mergeCellsNode.getElementsByTagName('mergeCell').length;
         if (remaining === 0) {
@@ -994,19 +2621,351 @@ const TemplateEngine = (() => {
     }
 
     /**
-     * Adjust a sqref string (e.g. "A5:H50") when rows shift
+     * Where a template row ends up after the rebuild: footer rows move by rowShift,
+     * data zone rows past the new data end are gone (null), other rows stay.
+     * @param {{dataStart: number, dataEnd: number, newDataEnd: number, rowShift: number}} layout
+     * @returns {number|null}
      */
-    function adjustRangeRef(sqref, origDataEnd, rowShift) {
-        return sqref.replace(
-            /([A-Z]+)(\d+):([A-Z]+)(\d+)/g,
-            (match, col1, row1, col2, row2) => {
-                const r2 = parseInt(row2);
-                if (r2 >= origDataEnd) {
-                    return `${col1}${row1}:${col2}${r2 + rowShift}`;
+    function mapTemplateRow(rowNum, layout) {
+        const { dataStart, dataEnd, newDataEnd, rowShift } = layout;
+        if (rowNum > dataEnd) return rowNum + rowShift;
+        if (rowNum >= dataStart && rowNum > newDataEnd) return null;
+        return rowNum;
+    }
+
+    /**
+     * Rows of a template range after the rebuild. Footer rows move by rowShift, a range
+     * reaching the last data row (or running from the header into the data zone) grows or
+     * shrinks with the data, and a range inside the data zone is clamped to the new data —
+     * or, given dataRuns, replaced by the runs of plain data rows.
+     * @returns {number[][]} [[start, end], ...] — empty when no rows are left
+     */
+    function shiftRowRange(r1, r2, layout, dataRuns = null) {
+        const { dataStart, dataEnd, newDataEnd, rowShift } = layout;
+        if (dataRuns && r1 >= dataStart && r2 <= dataEnd) return dataRuns.map(run => [...run]);
+        const start = r1 > dataEnd ? r1 + rowShift : r1;
+        const end = r2 >= dataEnd ? r2 + rowShift
+            : r2 < dataStart ? r2
+                : r1 < dataStart ? newDataEnd : Math.min(r2, newDataEnd);
+        return start <= end ? [[start, end]] : [];
+    }
+
+    /**
+     * Shift a space-separated list of cell refs/ranges (sqref, hyperlink ref) to the rebuilt
+     * rows (see shiftRowRange). Cells and ranges left without rows are dropped.
+     * @returns {string} The new list ('' when nothing is left)
+     */
+    function shiftSqref(sqref, layout, dataRuns = null) {
+        const out = [];
+        for (const part of sqref.trim().split(/\s+/)) {
+            const m = part.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+            if (!m) {
+                if (part) out.push(part); // Whole columns/rows are not row-bound
+                continue;
+            }
+            const [, col1, row1, col2, row2] = m;
+            if (!col2) {
+                const row = mapTemplateRow(parseInt(row1), layout);
+                if (row !== null) out.push(`${col1}${row}`);
+                continue;
+            }
+            for (const [start, end] of shiftRowRange(parseInt(row1), parseInt(row2), layout, dataRuns)) {
+                out.push(start === end && col1 === col2 ? `${col1}${start}` : `${col1}${start}:${col2}${end}`);
+            }
+        }
+        // Several data ranges can collapse onto the same runs
+        return [...new Set(out)].join(' ');
+    }
+
+    /**
+     * Shift the row references of a rule formula (conditional format, validation, sparkline)
+     * that point into this sheet. Ranges follow shiftRowRange without data runs — a formula
+     * range cannot be split — and are left alone when no rows remain.
+     * @param {string} formula
+     * @param {Object} layout
+     * @param {string|null} sheetName - Refs qualified with this name count as local
+     * @param {number} [anchorDelta=0] - Extra move of relative rows, when the rule's top-left cell moved
+     * @returns {string}
+     */
+    function shiftFormulaRows(formula, layout, sheetName, anchorDelta = 0) {
+        const tokens = FormulaEngine.tokenize(formula);
+        const isLocal = (tok) => tok.sheet === null || tok.sheet === sheetName;
+        const write = (tok, row) => tok.sheetText + (tok.colAbs ? '$' : '') + colToRef(tok.col) +
+            (tok.rowAbs ? '$' : '') + (tok.rowAbs ? row : row + anchorDelta);
+        let out = '';
+        for (let i = 0; i < tokens.length; i++) {
+            const tok = tokens[i];
+            if (tok.type !== 'ref' || !isLocal(tok)) {
+                out += tok.text;
+                continue;
+            }
+            const end = tokens[i + 1] && tokens[i + 1].text === ':' && tokens[i + 2] && tokens[i + 2].type === 'ref'
+                ? tokens[i + 2] : null;
+            if (end) {
+                const [range] = shiftRowRange(tok.row, end.row, layout);
+                out += range ? `${write(tok, range[0])}:${write(end, range[1])}` : tok.text + ':' + end.text;
+                i += 2;
+            } else {
+                const row = mapTemplateRow(tok.row, layout);
+                out += write(tok, row === null ? tok.row : row);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Shift every sqref-bearing element of a rebuilt sheet and the formulas of its rules.
+     * Rule formulas are relative to the top-left cell of the first range, so when that cell
+     * moves differently from the rows around it (a data zone range now starting at the first
+     * data run), relative rows move along. Elements left without a range are removed.
+     */
+    function shiftSheetRanges(doc, layout, dataRuns, sheetName) {
+        const root = doc.documentElement;
+        const all = (name) => Array.from(root.getElementsByTagNameNS('*', name));
+        const children = (el, name) => Array.from(el.childNodes).filter(n => n.nodeType === 1 && n.localName === name);
+        const topRow = (sqref) => {
+            const m = sqref.trim().match(/^[A-Z]+(\d+)/);
+            return m ? parseInt(m[1]) : null;
+        };
+        const removeEmptied = (el) => {
+            const list = el.parentNode;
+            list.removeChild(el);
+            const left = children(list, el.localName).length;
+            if (list.hasAttribute('count')) list.setAttribute('count', String(left));
+            if (left === 0 && list !== root && /s$/.test(list.localName)) list.parentNode.removeChild(list);
+        };
+
+        // Rule containers: the sqref is an attribute (main namespace) or an <xm:sqref> child (x14)
+        // (<formula> / <formula1> hold the text directly, x14 wraps it in <xm:f>)
+        const descendants = (el, name) => Array.from(el.getElementsByTagNameNS('*', name));
+        const rules = [
+            ...all('conditionalFormatting').map(el => ({
+                el, formulas: [...descendants(el, 'formula'), ...descendants(el, 'f')],
+            })),
+            ...all('dataValidation').map(el => ({
+                el, formulas: [...children(el, 'formula1'), ...children(el, 'formula2')]
+                    .flatMap(f => children(f, 'f').length > 0 ? children(f, 'f') : [f]),
+            })),
+            ...all('protectedRange').map(el => ({ el, formulas: [] })),
+            ...all('ignoredError').map(el => ({ el, formulas: [] })),
+        ];
+        for (const { el, formulas } of rules) {
+            const sqrefEl = children(el, 'sqref')[0] || null;
+            const oldSqref = sqrefEl ? sqrefEl.textContent : el.getAttribute('sqref');
+            if (!oldSqref) continue;
+            const newSqref = shiftSqref(oldSqref, layout, dataRuns);
+            if (!newSqref) {
+                removeEmptied(el);
+                continue;
+            }
+            if (sqrefEl) sqrefEl.textContent = newSqref;
+            else el.setAttribute('sqref', newSqref);
+
+            const oldTop = topRow(oldSqref);
+            const newTop = topRow(newSqref);
+            const movedTop = oldTop === null ? null : oldTop > layout.dataEnd ? oldTop + layout.rowShift : oldTop;
+            const delta = movedTop === null || newTop === null ? 0 : newTop - movedTop;
+            for (const f of formulas) {
+                if (f.textContent) f.textContent = shiftFormulaRows(f.textContent, layout, sheetName, delta);
+            }
+        }
+
+        // Sparklines: data range formula plus the location cell
+        for (const sparkline of all('sparkline')) {
+            for (const f of children(sparkline, 'f')) f.textContent = shiftFormulaRows(f.textContent, layout, sheetName);
+            for (const ref of children(sparkline, 'sqref')) ref.textContent = shiftSqref(ref.textContent, layout) || ref.textContent;
+        }
+
+        // Selections fall back to A1 when their rows are gone
+        for (const sel of all('selection')) {
+            const sqref = sel.getAttribute('sqref');
+            const active = sel.getAttribute('activeCell');
+            const newSqref = sqref ? shiftSqref(sqref, layout) : '';
+            const newActive = active ? shiftSqref(active, layout) : '';
+            if (sqref) sel.setAttribute('sqref', newSqref || 'A1');
+            if (active) sel.setAttribute('activeCell', newActive || 'A1');
+        }
+    }
+
+    /**
+     * Move the parts attached to a rebuilt sheet's cells: drawing anchors (logos, seals,
+     * charts), cell comments with their VML note shapes, and threaded comments.
+     * Absolute anchors and header/footer pictures are not cell-bound and stay.
+     */
+    async function shiftSheetParts(zip, sheetPath, sheetXml, layout) {
+        const rels = await readPartRels(zip, sheetPath);
+        const relId = (tag) => (sheetXml.match(new RegExp(`<${tag}\\b[^>]*\\br:id="([^"]+)"`)) || [])[1];
+        const parse = async (path) => {
+            const file = path && zip.file(path);
+            return file ? new DOMParser().parseFromString(await file.async('string'), 'application/xml') : null;
+        };
+        const drawingPath = rels[relId('drawing')]?.target;
+        const drawingDoc = await parse(drawingPath);
+        if (drawingDoc) {
+            for (const anchor of Array.from(drawingDoc.documentElement.childNodes)) {
+                if (anchor.nodeType !== 1 || !/^(twoCell|oneCell)Anchor$/.test(anchor.localName)) continue;
+                shiftDrawingAnchor(anchor, layout);
+            }
+            zip.file(drawingPath, serializeXml(drawingDoc));
+        }
+
+        // Comments: a comment on a removed data row goes away together with its note shape
+        for (const rel of Object.values(rels)) {
+            if (rel.type !== 'comments' && rel.type !== 'threadedComment') continue;
+            const commentsDoc = await parse(rel.target);
+            if (!commentsDoc) continue;
+            const tag = rel.type === 'comments' ? 'comment' : 'threadedComment';
+            for (const comment of Array.from(commentsDoc.getElementsByTagName(tag))) {
+                const ref = comment.getAttribute('ref') || '';
+                const rowNum = parseInt((ref.match(/\d+/) || ['0'])[0], 10);
+                const newRow = mapTemplateRow(rowNum, layout);
+                if (newRow === null) {
+                    comment.parentNode.removeChild(comment);
+                } else {
+                    comment.setAttribute('ref', ref.replace(/\d+/, String(newRow)));
                 }
-                return match;
             }
-        );
+            zip.file(rel.target, serializeXml(commentsDoc));
+        }
+
+        const vmlPath = rels[relId('legacyDrawing')]?.target;
+        const vmlFile = vmlPath && zip.file(vmlPath);
+        if (vmlFile) {
+            // VML is not always well-formed XML — edit the note shapes with regexes
+            const vml = (await vmlFile.async('string')).replace(/<v:shape\b[\s\S]*?<\/v:shape>/g, (shape) => {
+                const rowMatch = shape.match(/<x:Row>(\d+)<\/x:Row>/);
+                if (!rowMatch) return shape;
+                const rowNum = parseInt(rowMatch[1], 10) + 1;
+                const newRow = mapTemplateRow(rowNum, layout);
+                if (newRow === null) return '';
+                const delta = newRow - rowNum;
+                return shape
+                    .replace(/<x:Row>\d+<\/x:Row>/, `<x:Row>${newRow - 1}</x:Row>`)
+                    .replace(/(<x:Anchor>)([^<]*)(<\/x:Anchor>)/, (m, open, values, close) => {
+                        // LeftColumn, LeftOffset, TopRow, TopOffset, RightColumn, RightOffset, BottomRow, BottomOffset
+                        const parts = values.split(',').map(v => v.trim());
+                        if (parts.length !== 8) return m;
+                        parts[2] = String(Math.max(0, parseInt(parts[2], 10) + delta));
+                        parts[6] = String(Math.max(0, parseInt(parts[6], 10) + delta));
+                        return open + parts.join(values.includes(', ') ? ', ' : ',') + close;
+                    });
+            });
+            zip.file(vmlPath, vml);
+        }
+    }
+
+    /**
+     * Fit the sheet's Excel Tables to the rebuilt rows. The data-zone table's body becomes
+     * the generated rows (at least one, as Excel requires) with its totals row below; other
+     * tables move like any range. Column names follow the header cells — Excel repairs the
+     * file when they differ — with the table's structured refs in the sheet renamed along,
+     * and calculated/totals formulas get the row shift.
+     */
+    async function updateSheetTables(zip, sheetPath, analysis, layout, sheetName) {
+        for (const table of analysis.tables || []) {
+            const file = zip.file(table.path);
+            if (!file) continue;
+            const doc = new DOMParser().parseFromString(await file.async('string'), 'application/xml');
+            const tableEl = doc.documentElement;
+            const [, col1, , col2] = tableEl.getAttribute('ref').match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/);
+
+            let top = table.top;
+            let bottom;
+            if (table.path === analysis.dataZone.table) {
+                const bodyEnd = Math.max(layout.newDataEnd, table.top + table.headerRowCount);
+                bottom = table.totalsRowCount > 0 ? Math.max(mapTemplateRow(table.bottom, layout), bodyEnd + 1) : bodyEnd;
+            } else {
+                const [range] = shiftRowRange(table.top, table.bottom, layout);
+                if (!range) continue;
+                [top, bottom] = range;
+            }
+            tableEl.setAttribute('ref', `${col1}${top}:${col2}${bottom}`);
+
+            const child = (el, name) => Array.from(el.childNodes).find(n => n.nodeType === 1 && n.localName === name);
+            const autoFilter = child(tableEl, 'autoFilter');
+            if (autoFilter) autoFilter.setAttribute('ref', `${col1}${top}:${col2}${bottom - table.totalsRowCount}`);
+            for (const el of Array.from(tableEl.getElementsByTagName('sortState'))
+                .concat(Array.from(tableEl.getElementsByTagName('sortCondition')))) {
+                const ref = el.getAttribute('ref');
+                if (ref) el.setAttribute('ref', shiftSqref(ref, layout) || ref);
+            }
+
+            const used = new Set();
+            const renames = {}; // lower-case old name → new name
+            const colEls = Array.from(tableEl.getElementsByTagName('tableColumn'));
+            colEls.forEach((colEl, i) => {
+                const oldName = colEl.getAttribute('name') || '';
+                const base = (table.columns[i]?.header || '').trim() || oldName || `Column${i + 1}`;
+                let name = base;
+                for (let n = 2; used.has(name.toLowerCase()); n++) name = base + n;
+                used.add(name.toLowerCase());
+                if (name !== oldName) {
+                    colEl.setAttribute('name', name);
+                    renames[oldName.toLowerCase()] = name;
+                }
+            });
+            const hasRenames = Object.keys(renames).length > 0;
+            for (const colEl of colEls) {
+                for (const tag of ['calculatedColumnFormula', 'totalsRowFormula']) {
+                    const f = child(colEl, tag);
+                    if (!f || !f.textContent) continue;
+                    const formula = hasRenames ? renameTableColumns(f.textContent, table.name, renames) : f.textContent;
+                    f.textContent = shiftFormulaRows(formula, layout, sheetName);
+                }
+            }
+            zip.file(table.path, serializeXml(doc));
+
+            if (hasRenames) {
+                const sheetDoc = new DOMParser().parseFromString(await zip.file(sheetPath).async('string'), 'application/xml');
+                for (const f of Array.from(sheetDoc.getElementsByTagName('f'))) {
+                    if (f.textContent) f.textContent = renameTableColumns(f.textContent, table.name, renames);
+                }
+                zip.file(sheetPath, serializeXml(sheetDoc));
+            }
+        }
+    }
+
+    /**
+     * Rename columns inside the structured refs of one table: Table[Col], Table[[#Totals],[Col]]
+     * and, inside the table itself, [@Col] / [Col]. Other tables' refs are left alone.
+     */
+    function renameTableColumns(formula, tableName, renames) {
+        const tokens = FormulaEngine.tokenize(formula);
+        return tokens.map((tok, i) => {
+            if (tok.type !== 'struct') return tok.text;
+            const prev = tokens[i - 1];
+            if (prev && prev.type === 'name' && prev.text.toLowerCase() !== String(tableName).toLowerCase()) return tok.text;
+            return tok.text.replace(/\[(@?)([^\[\]#]+)\]/g, (m, at, name) =>
+                renames[name.toLowerCase()] !== undefined ? `[${at}${renames[name.toLowerCase()]}]` : m);
+        }).join('');
+    }
+
+    /**
+     * Move a twoCell/oneCell drawing anchor with its rows. A twoCell picture that resizes
+     * with its cells (editAs="twoCell", the default) maps both corners, so it stretches when
+     * it spans the data zone; other pictures keep their height and move with the top corner.
+     */
+    function shiftDrawingAnchor(anchor, layout) {
+        const marker = (name) => Array.from(anchor.childNodes).find(n => n.nodeType === 1 && n.localName === name);
+        const rowEl = (m) => m && Array.from(m.childNodes).find(n => n.nodeType === 1 && n.localName === 'row');
+        const fromRow = rowEl(marker('from'));
+        const toRow = rowEl(marker('to'));
+        if (!fromRow) return;
+
+        // Markers are 0-based; a corner on a removed data row moves up to the new data end
+        const map = (row0) => {
+            const rowNum = row0 + 1;
+            const mapped = mapTemplateRow(rowNum, layout);
+            return (mapped === null ? layout.newDataEnd + 1 : mapped) - 1;
+        };
+        const from = parseInt(fromRow.textContent, 10);
+        const newFrom = map(from);
+        fromRow.textContent = String(newFrom);
+        if (toRow) {
+            const to = parseInt(toRow.textContent, 10);
+            const stretches = anchor.localName === 'twoCellAnchor' && (anchor.getAttribute('editAs') || 'twoCell') === 'twoCell';
+            toRow.textContent = String(stretches ? Math.max(newFrom, map(to)) : to + newFrom - from);
+        }
     }
 
     /**
@@ -1026,15 +2985,39 @@ ${cleanedElements.join('\n')}
 </sst>`;
     }
 
+    /**
+     * Flatten grouped data into generator rows: a category marker before each group
+     * and, optionally, a subtotal marker after it. Groups without a label get no category row.
+     * @param {Array<{label: string, rows: Array[]}>} groups
+     * @param {Object} [options]
+     * @param {boolean} [options.subtotals=false] - Add a per-group SUM row
+     * @returns {Array} Data rows mixed with { kind: 'category'|'subtotal', label } markers
+     */
+    function buildGroupedRows(groups, options = {}) {
+        const out = [];
+        for (const group of groups) {
+            if (group.rows.length === 0) continue;
+            if (group.label != null && String(group.label).trim() !== '') {
+                out.push({ kind: 'category', label: String(group.label) });
+            }
+            out.push(...group.rows);
+            if (options.subtotals) out.push({ kind: 'subtotal' });
+        }
+        return out;
+    }
+
     /**
      * Get a summary of the template for UI display
      */
-    function getTemplateSummary(templateData) {
-        const a = templateData.analysis;
+    function getTemplateSummary(templateData, analysis) {
+        const a = analysis || templateData.analysis;
         return {
             sheetCount: templateData.sheets.length,
             sheetNames: templateData.sheetNames,
             columnHeaders: a.columnHeaderRow.headers.map(h => h.label),
+            columnFields: a.columnHeaderRow.headers.map(h => h.field || null),
+            hasPlaceholders: !!(a.placeholders && a.placeholders.rowsBlock),
+            fieldNames: a.placeholders ? [...new Set(a.placeholders.headerFields.map(f => f.field))] : [],
             headerRowCount: a.headerZone.rows.length + 1,
             dataRowCount: a.dataZone.dataRows.length,
             footerRowCount: a.footerZone.rows.length,
@@ -1042,6 +3025,8 @@ ${cleanedElements.join('\n')}
             categoryCount: a.dataZone.categoryRows.length,
             maxColumns: a.maxCol,
             mergeCount: a.mergeCells.length,
+            banding: a.dataZone.banding,
+            bandingMode: templateData.bandingMode || 'auto',
         };
     }
 
@@ -1049,5 +3034,22 @@ ${cleanedElements.join('\n')}
         analyzeTemplate,
         generateFromTemplate,
         getTemplateSummary,
+        getSheetAnalysis,
+        selectSheet,
+        autoMapSheets,
+        setSheetMapping,
+        setBandingMode,
+        getBandCycle,
+        getRepeatRows,
+        getPrintSettings,
+        buildGroupedRows,
+        buildRowFormulas,
+        estimateRowHeight,
+        updateFormulaRangesGeneric,
+        readsRowsFrom,
+        buildFieldUpdates,
+        flattenFieldValues,
+        parseAreaRef,
+        shiftRowRange,
     };
 })();
@@ -10,7 +10,9 @@ const XLSXReader = (function () {
     /**
      * Read an XLSX file (ArrayBuffer) and return structured data
      * @param {ArrayBuffer} buffer - The file content
-     * @returns {Promise<{sheetNames: string[], sheets: Object}>}
+     * @returns {Promise<{sheetNames: string[], sheets: Object, date1904: boolean}>} Each sheet is
+     *   { headers, rows, formats }: formats[r][c] is the number format code of a numeric cell
+     *   ('' for General and text), to display rows[r][c] through NumberFormat
      */
     async function read(buffer) {
         const zip = await JSZip.loadAsync(buffer);
@@ -19,19 +21,22 @@ const XLSXReader = (function () {
         const sharedStrings = await parseSharedStrings(zip);
 
         // 2. Parse workbook to get sheet names and their rIds
-        const { sheets: sheetInfoList } = await parseWorkbook(zip);
+        const { sheets: sheetInfoList, date1904 } = await parseWorkbook(zip);
 
         // 3. Parse workbook relationships to map rId -> file path
         const rels = await parseWorkbookRels(zip);
 
-        // 4. Parse each sheet
-        const result = { sheetNames: [], sheets: {} };
+        // 4. Number format code of each cell style
+        const xfFormats = await parseCellFormats(zip);
+
+        // 5. Parse each sheet
+        const result = { sheetNames: [], sheets: {}, date1904 };
 
         for (const sheetInfo of sheetInfoList) {
             const filePath = rels[sheetInfo.rId];
             if (!filePath) continue;
 
-            const sheetData = await parseSheet(zip, filePath, sharedStrings);
+            const sheetData = await parseSheet(zip, filePath, sharedStrings, xfFormats);
             result.sheetNames.push(sheetInfo.name);
             result.sheets[sheetInfo.name] = sheetData;
         }
@@ -90,7 +95,36 @@ const XLSXReader = (function () {
             sheets.push({ name, rId });
         }
 
-        return { sheets };
+        const workbookPr = doc.getElementsByTagName('workbookPr')[0];
+        const date1904 = !!workbookPr && ['1', 'true'].includes(workbookPr.getAttribute('date1904'));
+
+        return { sheets, date1904 };
+    }
+
+    /**
+     * Parse xl/styles.xml: format code of each cellXfs entry (index = cell s attribute)
+     */
+    async function parseCellFormats(zip) {
+        const file = zip.file('xl/styles.xml');
+        if (!file) return [];
+
+        const xml = await file.async('string');
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+
+        const custom = {};
+        const nfNodes = doc.getElementsByTagName('numFmt');
+        for (let i = 0; i < nfNodes.length; i++) {
+            custom[parseInt(nfNodes[i].getAttribute('numFmtId'), 10)] = nfNodes[i].getAttribute('formatCode') || '';
+        }
+
+        const cellXfs = doc.getElementsByTagName('cellXfs')[0];
+        if (!cellXfs) return [];
+        const formats = [];
+        const xfNodes = cellXfs.getElementsByTagName('xf');
+        for (let i = 0; i < xfNodes.length; i++) {
+            formats.push(NumberFormat.resolveFormatCode(xfNodes[i].getAttribute('numFmtId'), custom));
+        }
+        return formats;
     }
 
     /**
@@ -124,7 +158,7 @@ const XLSXReader = (function () {
     /**
      * Parse a worksheet XML file
      */
-    async function parseSheet(zip, filePath, sharedStrings) {
+    async function parseSheet(zip, filePath, sharedStrings, xfFormats = []) {
         const file = zip.file(filePath);
         if (!file) throw new Error(`Không tìm thấy sheet: ${filePath}`);
 
@@ -134,6 +168,7 @@ const XLSXReader = (function () {
         // Get all rows
         const rowNodes = doc.getElementsByTagName('row');
         const rawRows = {}; // rowNum -> { colNum -> value }
+        const rawFormats = {}; // rowNum -> { colNum -> format code } (numeric cells only)
         let maxCol = 0;
 
         for (let i = 0; i < rowNodes.length; i++) {
@@ -141,6 +176,7 @@ const XLSXReader = (function () {
             const rowNum = parseInt(rowNode.getAttribute('r'), 10);
             const cells = rowNode.getElementsByTagName('c');
             const rowData = {};
+            const rowFormats = {};
 
             for (let j = 0; j < cells.length; j++) {
                 const cell = cells[j];
@@ -150,9 +186,14 @@ const XLSXReader = (function () {
 
                 const value = getCellValue(cell, sharedStrings);
                 rowData[colNum] = value;
+
+                const type = cell.getAttribute('t');
+                const code = xfFormats[parseInt(cell.getAttribute('s'), 10) || 0];
+                if ((!type || type === 'n') && value !== '' && code && code !== 'General') rowFormats[colNum] = code;
             }
 
             rawRows[rowNum] = rowData;
+            rawFormats[rowNum] = rowFormats;
         }
 
         // Convert to arrays
@@ -160,7 +201,7 @@ const XLSXReader = (function () {
         // (not just the first row, which may be a template title/header zone)
         const rowNums = Object.keys(rawRows).map(Number).sort((a, b) => a - b);
         if (rowNums.length === 0) {
-            return { headers: ['Cột 1'], rows: [] };
+            return { headers: ['Cột 1'], rows: [], formats: [] };
         }
 
         // Look for a row that looks like column headers:
@@ -225,16 +266,20 @@ const XLSXReader = (function () {
         }
 
         const rows = [];
+        const formats = [];
         for (let ri = dataStartIdx; ri < rowNums.length; ri++) {
             const rn = rowNums[ri];
             const row = [];
+            const rowFormats = [];
             for (let c = 1; c <= maxCol; c++) {
                 row.push(rawRows[rn] ? (rawRows[rn][c] || '') : '');
+                rowFormats.push(rawFormats[rn] ? (rawFormats[rn][c] || '') : '');
             }
             rows.push(row);
+            formats.push(rowFormats);
         }
 
-        return { headers, rows };
+        return { headers, rows, formats };
     }
 
     /**
@@ -70,6 +70,8 @@ const XLSXWriter = (function () {
    * @param {boolean} options.addDate
    * @param {boolean} options.autofit
    * @param {string} options.sheetName
+   * @param {string} [options.headerText] - Printed page header; Excel codes allowed (&L/&C/&R, &P, &N, &D, &F)
+   * @param {string} [options.footerText] - Printed page footer, same codes
    * @returns {Promise<Blob>}
    */
   async function generate(options) {
@@ -82,6 +84,8 @@ const XLSXWriter = (function () {
       addDate = true,
       autofit = true,
       sheetName = 'Sheet1',
+      headerText = '',
+      footerText = '',
     } = options;
 
     const tpl = TEMPLATES[templateName] || TEMPLATES.professional;
@@ -162,6 +166,8 @@ const XLSXWriter = (function () {
       addDate,
       totalCols,
       colWidths,
+      headerText,
+      footerText,
     }));
 
     const blob = await zip.generateAsync({
@@ -306,7 +312,7 @@ const XLSXWriter = (function () {
   }
 
   function buildSheet(opts) {
-    const { headers, rows, headerSSIdxs, dataSSIdxs, titleSSIdx, dateSSIdx, addDate, totalCols, colWidths } = opts;
+    const { headers, rows, headerSSIdxs, dataSSIdxs, titleSSIdx, dateSSIdx, addDate, totalCols, colWidths, headerText, footerText } = opts;
 
     // Column definitions
     const colDefs = colWidths.map((w, i) =>
@@ -403,7 +409,21 @@ const XLSXWriter = (function () {
   <sheetData>
 ${xmlRows}  </sheetData>
 ${mergeCells}  <pageSetup orientation="portrait" paperSize="9"/>
-</worksheet>`;
+${buildHeaderFooter(headerText, footerText)}</worksheet>`;
+  }
+
+  /**
+   * <headerFooter> for the printed page. Text without &L/&C/&R goes to the center section.
+   */
+  function buildHeaderFooter(headerText, footerText) {
+    const section = (text) => {
+      const t = String(text || '').trim();
+      return /&[LCR]/.test(t.replace(/&&/g, '')) ? t : `&C${t}`;
+    };
+    let xml = '';
+    if (headerText && headerText.trim()) xml += `<oddHeader>${escapeXml(section(headerText))}</oddHeader>`;
+    if (footerText && footerText.trim()) xml += `<oddFooter>${escapeXml(section(footerText))}</oddFooter>`;
+    return xml ? `  <headerFooter>${xml}</headerFooter>\n` : '';
   }
 
   // ---- Helpers ----